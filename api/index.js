@@ -16,6 +16,15 @@ require("dotenv").config();
 
 const app = express();
 
+// Number of reverse proxies in front of the app (e.g. 1 on Vercel/Render) so
+// req.ip, used for rate limiting and session details, is the client's address.
+// Vercel always has its own proxy in front, so it defaults to 1 there.
+const trustProxy = parseInt(process.env.TRUST_PROXY);
+app.set(
+  "trust proxy",
+  Number.isNaN(trustProxy) ? (process.env.VERCEL ? 1 : 0) : trustProxy
+);
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -23,7 +32,7 @@ app.use(
   cors({
     origin: process.env.CORS_ORIGIN || "*",
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
   })
 );
 app.use(helmet());
@@ -63,11 +72,29 @@ const authRoutes = require("../routes/auth.routes");
 const donorRoutes = require("../routes/donor.routes");
 const donationRoutes = require("../routes/donation.routes");
 const groupRoutes = require("../routes/group.routes");
+const userRoutes = require("../routes/user.routes");
+const inviteRoutes = require("../routes/invite.routes");
+const settingRoutes = require("../routes/setting.routes");
+const apiKeyRoutes = require("../routes/apiKey.routes");
+const auditRoutes = require("../routes/audit.routes");
+const organizationRoutes = require("../routes/organization.routes");
+const collectionRouteRoutes = require("../routes/collectionRoute.routes");
+const handoverRoutes = require("../routes/handover.routes");
+const depositRoutes = require("../routes/deposit.routes");
 
 app.use("/api/auth", authRoutes);
 app.use("/api/donors", donorRoutes);
 app.use("/api/donations", donationRoutes);
 app.use("/api/groups", groupRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/invites", inviteRoutes);
+app.use("/api/settings", settingRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/routes", collectionRouteRoutes);
+app.use("/api/handovers", handoverRoutes);
+app.use("/api/deposits", depositRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -1,4 +1,9 @@
 const mongoose = require("mongoose");
+const { migrateToOrganizations } = require("../utils/organizations");
+const { migrateSettingsToOrganizations } = require("../utils/settings");
+const { backfillDonorLocations } = require("../utils/geocoding");
+const { backfillPaymentModes } = require("../utils/payments");
+const { backfillCashStatus } = require("../utils/handovers");
 
 const RETRY_INTERVAL = 5000; // 5 seconds
 const MAX_RETRIES = 5;
@@ -24,13 +29,37 @@ const connectWithRetry = async () => {
       console.log("Created collection: users");
     }
     // Add other required collections
-    const requiredCollections = ["donors", "donations", "groups"];
+    const requiredCollections = [
+      "donors",
+      "donations",
+      "groups",
+      "sessions",
+      "invites",
+      "otps",
+      "apikeys",
+      "auditlogs",
+      "organizations",
+      "loginevents",
+      "handovers",
+      "deposits",
+    ];
     for (const collection of requiredCollections) {
       if (!collectionNames.includes(collection)) {
         await mongoose.connection.createCollection(collection);
         console.log(`Created collection: ${collection}`);
       }
     }
+
+    await migrateToOrganizations();
+    await migrateSettingsToOrganizations();
+    await backfillPaymentModes();
+    await backfillCashStatus();
+
+    // Short map links are resolved over the network, so this runs in the
+    // background instead of holding up startup
+    backfillDonorLocations().catch((error) =>
+      console.error("Donor location backfill error:", error)
+    );
   } catch (err) {
     console.error("MongoDB connection error:", err);
     retryCount++;
@@ -0,0 +1,98 @@
+/**
+ * Role based permission map.
+ *
+ * Routes declare the permission they need with `authorize("<permission>")`
+ * and this map decides which roles hold it.
+ */
+
+// Super admins run the deployment: they are admins of their own
+// organization and can also create and manage organizations.
+const ROLES = {
+  USER: "user",
+  ADMIN: "admin",
+  SUPER_ADMIN: "superadmin",
+};
+
+const ALL_ROLES = Object.values(ROLES);
+const ADMIN_ONLY = [ROLES.ADMIN, ROLES.SUPER_ADMIN];
+const SUPER_ADMIN_ONLY = [ROLES.SUPER_ADMIN];
+
+const PERMISSIONS = {
+  // Donors
+  "donors:read": ALL_ROLES,
+  "donors:write": ALL_ROLES,
+  "donors:delete": ADMIN_ONLY,
+  "donors:status-sync": ADMIN_ONLY,
+  "donors:import": ADMIN_ONLY,
+
+  // Donations
+  "donations:read": ALL_ROLES,
+  "donations:write": ALL_ROLES,
+  "donations:void": ADMIN_ONLY,
+
+  // Groups
+  "groups:read": ALL_ROLES,
+  "groups:write": ALL_ROLES,
+  "groups:delete": ADMIN_ONLY,
+
+  // Cash handovers and bank deposits. Collectors hand over their own cash;
+  // admins act as the treasurer who confirms it and pays it in.
+  "handovers:read": ALL_ROLES,
+  "handovers:create": ALL_ROLES,
+  "handovers:confirm": ADMIN_ONLY,
+  "deposits:manage": ADMIN_ONLY,
+
+  // Collection route planning
+  "routes:plan": ALL_ROLES,
+
+  // User administration
+  "users:read": ADMIN_ONLY,
+  "users:manage": ADMIN_ONLY,
+  "invites:manage": ADMIN_ONLY,
+
+  // Reports and exports
+  "reports:read": ADMIN_ONLY,
+
+  // Runtime settings. Admins manage their organization's settings; the few
+  // that apply to the whole deployment are left to super admins.
+  "settings:manage": ADMIN_ONLY,
+  "settings:deployment": SUPER_ADMIN_ONLY,
+
+  // Integration API keys
+  "api-keys:manage": ADMIN_ONLY,
+
+  // Audit trail
+  "audit:read": ADMIN_ONLY,
+
+  // Organizations (tenants) on this deployment
+  "organizations:manage": SUPER_ADMIN_ONLY,
+};
+
+// Permissions an API key can be granted as scopes. Account, key and settings
+// administration always need a signed-in user.
+const API_KEY_SCOPES = [
+  "donors:read",
+  "donors:write",
+  "donations:read",
+  "donations:write",
+  "groups:read",
+  "groups:write",
+  "reports:read",
+];
+
+// Whether a role has admin rights within its organization
+const isAdminRole = (role) => ADMIN_ONLY.includes(role);
+
+// Check whether a role holds a permission. Unknown permissions are denied.
+const hasPermission = (role, permission) => {
+  const roles = PERMISSIONS[permission];
+  return Array.isArray(roles) && roles.includes(role);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  isAdminRole,
+  hasPermission,
+};
@@ -9,14 +9,14 @@ const options = {
       description: `
 ## NGO Donation Management System API
 
-This API provides a complete solution for managing donors and donations for NGOs. The system is designed to be simple and accessible to all users without role-based restrictions.
+This API provides a complete solution for managing donors and donations for NGOs. Day-to-day work is open to every team member, while destructive and bulk operations are reserved for admins.
 
 ### Key Features:
 - **Donor Management**: Create and manage donors with location tracking
 - **Group-based Organization**: Categorize donors by geographical areas
 - **Monthly Collection Tracking**: Track monthly donations from donors
 - **Automatic Status Updates**: System automatically flags donors who miss collection dates
-- **Simple Access Control**: All authenticated users have full access to all data
+- **Role-based Access Control**: Users manage donors, donations and groups; deletes and bulk operations require the admin role
 
 ### System Overview:
 1. **Donors** are individuals who make monthly donations
@@ -28,6 +28,11 @@ This API provides a complete solution for managing donors and donations for NGOs
 All endpoints require JWT authentication. Include the token in the Authorization header:
 \`Authorization: Bearer <your-jwt-token>\`
 
+Scripts and integrations can use an API key from an admin instead:
+\`X-API-Key: ssk_<key>\`
+
+API keys only work on donor, donation, group and report endpoints covered by their scopes. Other requests get 403 with code \`FORBIDDEN\`.
+
 ### Response Format:
 All API responses follow this standardized format:
 \`\`\`json
@@ -39,6 +44,12 @@ All API responses follow this standardized format:
 }
 \`\`\`
 
+### Roles:
+- **user**: Can view, create and update donors, donations and groups
+- **admin**: Everything a user can do, plus deleting records and running bulk operations
+
+Endpoints marked "(admin only)" respond with 403 and code \`FORBIDDEN\` for other roles.
+
 ### Error Codes:
 - 400: Bad Request - Invalid input or validation error
 - 401: Unauthorized - Missing or invalid authentication
@@ -136,6 +147,12 @@ The API uses consistent error responses across all endpoints:
           bearerFormat: "JWT",
           description: "JWT token obtained from login endpoint",
         },
+        ApiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+          description: "API key created by an admin, limited to its scopes",
+        },
       },
       schemas: {
         Error: {
@@ -271,6 +288,42 @@ The API uses consistent error responses across all endpoints:
         name: "Groups",
         description: "Group management endpoints",
       },
+      {
+        name: "Routes",
+        description: "Collection route planning endpoints",
+      },
+      {
+        name: "Handovers",
+        description: "Cash handover and cash report endpoints",
+      },
+      {
+        name: "Deposits",
+        description: "Bank deposit endpoints (admin only)",
+      },
+      {
+        name: "Users",
+        description: "User administration endpoints (admin only)",
+      },
+      {
+        name: "Invites",
+        description: "Registration invite endpoints (admin only)",
+      },
+      {
+        name: "Settings",
+        description: "Runtime settings endpoints (admin only)",
+      },
+      {
+        name: "API Keys",
+        description: "Integration API key endpoints (admin only)",
+      },
+      {
+        name: "Audit",
+        description: "Audit trail endpoints (admin only)",
+      },
+      {
+        name: "Organizations",
+        description: "Organization (tenant) management (super admin only)",
+      },
     ],
   },
   apis: ["./routes/*.js", "./models/*.js"],
@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+const ApiKey = require("../models/apiKey.model");
+const { createApiKeySecret } = require("../utils/tokenService");
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  createErrorResponse,
+  createSuccessResponse,
+} = require("../utils/errorHandler");
+
+const DEFAULT_API_KEY_TTL_DAYS = 90;
+
+// Create a new API key. The key is only returned in this response.
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const keyId = new mongoose.Types.ObjectId();
+    const { apiKey, secretHash } = createApiKeySecret(keyId);
+    const ttlDays = expiresInDays || DEFAULT_API_KEY_TTL_DAYS;
+
+    const key = await ApiKey.create({
+      _id: keyId,
+      organization: req.user.organization,
+      name,
+      keyHash: secretHash,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user._id,
+      expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    });
+
+    res.status(201).json(
+      createSuccessResponse(SUCCESS_MESSAGES.API_KEY_CREATED, {
+        apiKey: key,
+        key: apiKey,
+      })
+    );
+  } catch (error) {
+    console.error("Create API key error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// List API keys
+exports.getApiKeys = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { organization: req.user.organization };
+    const now = new Date();
+    switch (req.query.status) {
+      case "active":
+        Object.assign(filter, { revokedAt: null, expiresAt: { $gt: now } });
+        break;
+      case "revoked":
+        filter.revokedAt = { $ne: null };
+        break;
+      case "expired":
+        Object.assign(filter, { revokedAt: null, expiresAt: { $lte: now } });
+        break;
+    }
+
+    const [apiKeys, total] = await Promise.all([
+      ApiKey.find(filter)
+        .populate([
+          { path: "createdBy", select: "name email" },
+          { path: "revokedBy", select: "name email" },
+        ])
+        .sort("-createdAt")
+        .skip(skip)
+        .limit(limit),
+      ApiKey.countDocuments(filter),
+    ]);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.API_KEYS_RETRIEVED, {
+        apiKeys,
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Get API keys error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Revoke an API key. It stops working immediately.
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        organization: req.user.organization,
+        revokedAt: null,
+      },
+      { revokedAt: new Date(), revokedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.API_KEY_NOT_FOUND));
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.API_KEY_REVOKED, { apiKey })
+    );
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
@@ -0,0 +1,70 @@
+const AuditLog = require("../models/auditLog.model");
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  createErrorResponse,
+  createSuccessResponse,
+} = require("../utils/errorHandler");
+
+// List audit log entries, newest first
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { organization: req.user.organization };
+    if (req.query.entity) {
+      filter.entity = req.query.entity;
+    }
+    if (req.query.entityId) {
+      filter.entityId = req.query.entityId;
+    }
+    if (req.query.action) {
+      filter.action = req.query.action;
+    }
+    if (req.query.user) {
+      filter.actor = req.query.user;
+    }
+    if (req.query.startDate || req.query.endDate) {
+      filter.createdAt = {};
+      if (req.query.startDate) {
+        filter.createdAt.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        filter.createdAt.$lte = new Date(req.query.endDate);
+      }
+    }
+
+    const [auditLogs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate([
+          { path: "actor", select: "name email" },
+          { path: "apiKey", select: "name" },
+        ])
+        .sort("-createdAt")
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.AUDIT_LOGS_RETRIEVED, {
+        auditLogs,
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Get audit logs error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
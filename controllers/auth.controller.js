@@ -1,22 +1,231 @@
-const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const { validationResult } = require("express-validator");
+const mongoose = require("mongoose");
 const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const Invite = require("../models/invite.model");
+const Otp = require("../models/otp.model");
+const { ROLES, isAdminRole } = require("../config/permissions");
+const { getSetting, claimBootstrap } = require("../utils/settings");
+const {
+  getDefaultOrganization,
+  isOrganizationActive,
+} = require("../utils/organizations");
+const { claimInvite } = require("./invite.controller");
+const {
+  hashToken,
+  hashesMatch,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/tokenService");
+const { sendMail } = require("../utils/mailer");
+const { sendSms } = require("../utils/sms");
+const { recordAudit } = require("../utils/audit");
+const { recordLoginEvent, findLoginEvents } = require("../utils/loginEvents");
+const { validatePassword } = require("../utils/passwordPolicy");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("../utils/totp");
 const {
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
+  ERROR_CODES,
+  STATUS_CODES,
   createErrorResponse,
   createSuccessResponse,
 } = require("../utils/errorHandler");
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "30d",
+const DEFAULT_PASSWORD_RESET_TTL_MINUTES = 60;
+const DEFAULT_OTP_TTL_MINUTES = 5;
+const DEFAULT_OTP_MAX_ATTEMPTS = 5;
+const DEFAULT_TWO_FACTOR_ISSUER = "Sudhama Seva";
+const RECOVERY_CODE_COUNT = 10;
+
+// Compose the password reset email. PASSWORD_RESET_URL points at the app
+// screen that accepts the token.
+const buildPasswordResetMail = (user, resetToken, ttlMinutes) => {
+  const resetLink = process.env.PASSWORD_RESET_URL
+    ? `${process.env.PASSWORD_RESET_URL}?token=${resetToken}`
+    : null;
+
+  const lines = [
+    `Hello ${user.name},`,
+    "",
+    "We received a request to reset your Sudhama Seva password.",
+    resetLink
+      ? `Open this link to choose a new password: ${resetLink}`
+      : `Use this reset code in the app: ${resetToken}`,
+    "",
+    `This ${resetLink ? "link" : "code"} expires in ${ttlMinutes} minutes.`,
+    "If you did not ask for a reset, you can ignore this email.",
+  ];
+
+  return {
+    to: user.email,
+    subject: "Reset your Sudhama Seva password",
+    text: lines.join("\n"),
+  };
+};
+
+const sendAccountLocked = (res, user) =>
+  res.status(STATUS_CODES.LOCKED).json({
+    ...createErrorResponse(
+      STATUS_CODES.LOCKED,
+      ERROR_MESSAGES.ACCOUNT_LOCKED,
+      null,
+      ERROR_CODES.ACCOUNT_LOCKED
+    ),
+    lockedUntil: user.lockUntil,
   });
+
+// Refuse a password that breaks the password policy, listing every broken
+// rule for `field`
+const sendWeakPassword = (res, field, errors) =>
+  res.status(400).json({
+    ...createErrorResponse(
+      400,
+      ERROR_MESSAGES.WEAK_PASSWORD,
+      null,
+      ERROR_CODES.WEAK_PASSWORD
+    ),
+    errors: errors.map((msg) => ({ path: field, location: "body", msg })),
+  });
+
+// Start a session for a fully authenticated user and send its tokens.
+// `login` describes the attempt for the login history.
+const issueLoginTokens = async (user, req, res, login, extraData = {}) => {
+  // Update last login and clear failed attempts
+  user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save();
+  await recordLoginEvent(req, { ...login, user, success: true });
+
+  // Start a session and issue tokens
+  const { token, refreshToken } = await createSession(user, req);
+
+  // Admins may have to enroll in two-factor authentication before anything
+  // else is allowed
+  const twoFactorSetupRequired =
+    isAdminRole(user.role) &&
+    !user.twoFactorEnabled &&
+    (await getSetting("requireAdminTwoFactor", user.organization));
+
+  res.json(
+    createSuccessResponse(SUCCESS_MESSAGES.LOGIN_SUCCESS, {
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        mobileNumber: user.mobileNumber,
+        organization: user.organization,
+        role: user.role,
+        isActive: user.isActive,
+        lastLogin: user.lastLogin,
+        passwordResetRequired: user.passwordResetRequired,
+        twoFactorEnabled: user.twoFactorEnabled,
+        createdAt: user.createdAt,
+      },
+      twoFactorSetupRequired,
+      ...extraData,
+    })
+  );
+};
+
+// Finish a login once the first factor (password or SMS code) is verified.
+// Users with two-factor authentication get a pending token to exchange at
+// /2fa/verify instead of a session.
+const completeLogin = async (user, req, res, login) => {
+  if (!(await isOrganizationActive(user.organization))) {
+    await recordLoginEvent(req, {
+      ...login,
+      user,
+      success: false,
+      failureReason: "organization-inactive",
+    });
+    return res
+      .status(403)
+      .json(
+        createErrorResponse(
+          403,
+          ERROR_MESSAGES.ORGANIZATION_INACTIVE,
+          null,
+          ERROR_CODES.FORBIDDEN
+        )
+      );
+  }
+
+  if (user.twoFactorEnabled) {
+    return res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.TWO_FACTOR_CODE_REQUIRED, {
+        twoFactorRequired: true,
+        twoFactorToken: signTwoFactorToken(user._id, login.method),
+      })
+    );
+  }
+
+  return issueLoginTokens(user, req, res, login);
 };
 
+// Recovery codes look like "3f9a2-c81d0"; only their hashes are stored
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+const hashRecoveryCode = (code) =>
+  hashToken(code.replace(/[\s-]/g, "").toLowerCase());
+
+// Accept a current authenticator code or an unused recovery code for a user
+// loaded with +twoFactorSecret. Both are claimed with a conditional update so
+// the same code cannot be used twice. Returns "totp", "recovery" or null.
+const useTwoFactorCode = async (user, code) => {
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastUsedStep: { $lt: step } },
+          { twoFactorLastUsedStep: null },
+        ],
+      },
+      { twoFactorLastUsedStep: step }
+    );
+    return result.modifiedCount === 1 ? "totp" : null;
+  }
+
+  const codeHash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: codeHash },
+    { $pull: { twoFactorRecoveryCodes: codeHash } }
+  );
+  return result.modifiedCount === 1 ? "recovery" : null;
+};
+
+const sendInvalidTwoFactorCode = (res) =>
+  res
+    .status(401)
+    .json(
+      createErrorResponse(
+        401,
+        ERROR_MESSAGES.INVALID_TWO_FACTOR_CODE,
+        null,
+        ERROR_CODES.INVALID_TWO_FACTOR_CODE
+      )
+    );
+
 // Register new user
 exports.register = async (req, res) => {
+  let session;
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -28,7 +237,7 @@ exports.register = async (req, res) => {
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, mobileNumber, password, inviteCode } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -38,23 +247,122 @@ exports.register = async (req, res) => {
         .json(createErrorResponse(400, "User already exists with this email"));
     }
 
-    // Create new user
-    const user = await User.create({
-      name,
-      email,
-      password,
+    if (mobileNumber && (await User.exists({ mobileNumber }))) {
+      return res
+        .status(409)
+        .json(
+          createErrorResponse(
+            409,
+            ERROR_MESSAGES.MOBILE_IN_USE,
+            null,
+            ERROR_CODES.CONFLICT
+          )
+        );
+    }
+
+    let user;
+    session = await mongoose.startSession();
+    // Retried when registrations racing on an empty database conflict over
+    // the bootstrap claim
+    await session.withTransaction(async () => {
+      let invite = null;
+      if (inviteCode) {
+        invite = await claimInvite(inviteCode, session);
+        if (!invite) {
+          throw {
+            status: 403,
+            message: ERROR_MESSAGES.INVALID_INVITE,
+            code: ERROR_CODES.INVALID_INVITE,
+          };
+        }
+        if (invite.email && invite.email !== email.toLowerCase()) {
+          throw {
+            status: 403,
+            message: ERROR_MESSAGES.INVITE_EMAIL_MISMATCH,
+            code: ERROR_CODES.INVALID_INVITE,
+          };
+        }
+      }
+
+      // The very first account becomes the super admin so the system and its
+      // organizations can be managed
+      const isFirstUser =
+        !invite &&
+        (await User.estimatedDocumentCount()) === 0 &&
+        (await claimBootstrap(session));
+
+      // Everyone after the bootstrap admin needs an invite unless open
+      // registration has been switched on
+      if (!invite && !isFirstUser && !(await getSetting("openRegistration"))) {
+        throw {
+          status: 403,
+          message: ERROR_MESSAGES.INVITE_REQUIRED,
+          code: ERROR_CODES.INVITE_REQUIRED,
+        };
+      }
+
+      let role = isFirstUser ? ROLES.SUPER_ADMIN : ROLES.USER;
+      if (invite) role = invite.role;
+
+      // Invited users join the inviting organization; everyone else joins
+      // the default one
+      const organization = invite
+        ? invite.organization
+        : (await getDefaultOrganization())._id;
+
+      // The password policy is the one of the organization being joined
+      const passwordErrors = await validatePassword(password, organization);
+      if (passwordErrors.length > 0) {
+        throw { status: 400, passwordErrors };
+      }
+
+      // Create new user
+      [user] = await User.create(
+        [
+          {
+            name,
+            email,
+            mobileNumber,
+            password,
+            organization,
+            role,
+            groups: invite ? invite.groups : [],
+          },
+        ],
+        { session }
+      );
+
+      if (invite) {
+        await Invite.updateOne(
+          { _id: invite._id },
+          { usedBy: user._id },
+          { session }
+        );
+      }
+    });
+
+    await recordAudit(req, {
+      action: "create",
+      entity: "user",
+      before: null,
+      after: user,
+      actor: user._id,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and issue tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json(
       createSuccessResponse(SUCCESS_MESSAGES.REGISTER_SUCCESS, {
         token,
+        refreshToken,
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
+          mobileNumber: user.mobileNumber,
+          organization: user.organization,
+          role: user.role,
           isActive: user.isActive,
           createdAt: user.createdAt,
         },
@@ -63,7 +371,32 @@ exports.register = async (req, res) => {
   } catch (error) {
     console.error("Registration error:", error);
 
+    if (error.passwordErrors) {
+      return sendWeakPassword(res, "password", error.passwordErrors);
+    }
+
+    // Handle known errors
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json(
+          createErrorResponse(error.status, error.message, null, error.code)
+        );
+    }
+
     // Handle specific MongoDB errors
+    if (error.code === 11000 && error.keyPattern?.mobileNumber) {
+      return res
+        .status(409)
+        .json(
+          createErrorResponse(
+            409,
+            ERROR_MESSAGES.MOBILE_IN_USE,
+            null,
+            ERROR_CODES.CONFLICT
+          )
+        );
+    }
     if (error.code === 11000) {
       return res
         .status(400)
@@ -75,6 +408,10 @@ exports.register = async (req, res) => {
       .json(
         createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
       );
+  } finally {
+    if (session) {
+      session.endSession();
+    }
   }
 };
 
@@ -82,6 +419,7 @@ exports.register = async (req, res) => {
 exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
+    const login = { method: "password", identifier: email };
 
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select("+password");
@@ -92,43 +430,514 @@ exports.login = async (req, res) => {
         .json(createErrorResponse(401, ERROR_MESSAGES.INVALID_CREDENTIALS));
     }
 
+    const recordFailure = (failureReason) =>
+      recordLoginEvent(req, { ...login, user, success: false, failureReason });
+
     // Check if user is active
     if (!user.isActive) {
+      await recordFailure("account-deactivated");
       return res
         .status(401)
         .json(createErrorResponse(401, ERROR_MESSAGES.USER_DEACTIVATED));
     }
 
+    // Refuse to check passwords while the account is locked
+    if (user.isLocked()) {
+      await recordFailure("account-locked");
+      return sendAccountLocked(res, user);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
+      await recordFailure("invalid-password");
+      if (user.isLocked()) {
+        return sendAccountLocked(res, user);
+      }
+
       return res
         .status(401)
         .json(createErrorResponse(401, ERROR_MESSAGES.INVALID_CREDENTIALS));
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    await completeLogin(user, req, res, login);
+  } catch (error) {
+    console.error("Login error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Send a one-time login code to a registered mobile number
+exports.requestOtp = async (req, res) => {
+  try {
+    const { mobileNumber } = req.body;
+
+    const user = await User.findOne({ mobileNumber, isActive: true });
+
+    // Respond the same way whether or not the number is registered
+    if (user && !user.isLocked()) {
+      const ttlMinutes =
+        parseInt(process.env.OTP_TTL_MINUTES) || DEFAULT_OTP_TTL_MINUTES;
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+      const otp = new Otp({
+        user: user._id,
+        mobileNumber,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      });
+      // Salt with the OTP id so equal codes never share a hash
+      otp.codeHash = hashToken(`${otp._id}.${code}`);
+
+      // Only the most recent code is valid
+      await Otp.deleteMany({ mobileNumber, consumedAt: null });
+      await otp.save();
+
+      try {
+        await sendSms({
+          to: mobileNumber,
+          text: `${code} is your Sudhama Seva login code. It expires in ${ttlMinutes} minutes. Do not share it with anyone.`,
+        });
+      } catch (smsError) {
+        console.error("OTP sms error:", smsError);
+      }
+    }
+
+    res.json(createSuccessResponse(SUCCESS_MESSAGES.OTP_SENT));
+  } catch (error) {
+    console.error("Request OTP error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Exchange a mobile number and one-time code for tokens
+exports.verifyOtp = async (req, res) => {
+  try {
+    const { mobileNumber, otp: code } = req.body;
+    const maxAttempts =
+      parseInt(process.env.OTP_MAX_ATTEMPTS) || DEFAULT_OTP_MAX_ATTEMPTS;
+    const login = { method: "otp", identifier: mobileNumber };
+
+    const recordFailure = async (failureReason, user) =>
+      recordLoginEvent(req, {
+        ...login,
+        user: user || (await User.findOne({ mobileNumber })),
+        success: false,
+        failureReason,
+      });
+
+    const sendInvalidOtp = async () => {
+      await recordFailure("invalid-otp");
+      return res
+        .status(401)
+        .json(
+          createErrorResponse(
+            401,
+            ERROR_MESSAGES.INVALID_OTP,
+            null,
+            ERROR_CODES.INVALID_OTP
+          )
+        );
+    };
+
+    // Count the attempt before comparing so parallel guesses cannot get
+    // past the limit
+    const otp = await Otp.findOneAndUpdate(
+      {
+        mobileNumber,
+        consumedAt: null,
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: maxAttempts },
+      },
+      { $inc: { attempts: 1 } },
+      { new: true, sort: { createdAt: -1 } }
+    ).select("+codeHash");
+
+    if (!otp || !hashesMatch(hashToken(`${otp._id}.${code}`), otp.codeHash)) {
+      return sendInvalidOtp();
+    }
+
+    // Consume the code so it cannot be used twice
+    const consumed = await Otp.findOneAndUpdate(
+      { _id: otp._id, consumedAt: null },
+      { consumedAt: new Date() }
+    );
+    if (!consumed) {
+      return sendInvalidOtp();
+    }
+
+    const user = await User.findById(otp.user);
+    if (!user || user.mobileNumber !== mobileNumber) {
+      return sendInvalidOtp();
+    }
+
+    if (!user.isActive) {
+      await recordFailure("account-deactivated", user);
+      return res
+        .status(401)
+        .json(createErrorResponse(401, ERROR_MESSAGES.USER_DEACTIVATED));
+    }
+
+    if (user.isLocked()) {
+      await recordFailure("account-locked", user);
+      return sendAccountLocked(res, user);
+    }
+
+    await completeLogin(user, req, res, login);
+  } catch (error) {
+    console.error("Verify OTP error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Exchange a two-factor pending token and a code for tokens
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body;
+
+    const pending = verifyTwoFactorToken(twoFactorToken);
+    const user = pending
+      ? await User.findById(pending.userId).select("+twoFactorSecret")
+      : null;
+
+    if (!user || !user.twoFactorEnabled) {
+      return res
+        .status(401)
+        .json(
+          createErrorResponse(
+            401,
+            ERROR_MESSAGES.INVALID_TWO_FACTOR_TOKEN,
+            null,
+            ERROR_CODES.INVALID_TWO_FACTOR_TOKEN
+          )
+        );
+    }
+
+    const login = {
+      method: pending.method,
+      identifier: user.email,
+      twoFactor: true,
+    };
+    const recordFailure = (failureReason) =>
+      recordLoginEvent(req, { ...login, user, success: false, failureReason });
+
+    if (!user.isActive) {
+      await recordFailure("account-deactivated");
+      return res
+        .status(401)
+        .json(createErrorResponse(401, ERROR_MESSAGES.USER_DEACTIVATED));
+    }
+
+    if (user.isLocked()) {
+      await recordFailure("account-locked");
+      return sendAccountLocked(res, user);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const method = await useTwoFactorCode(user, code);
+    if (!method) {
+      await user.registerFailedLogin();
+      await recordFailure("invalid-two-factor-code");
+      if (user.isLocked()) {
+        return sendAccountLocked(res, user);
+      }
+      return sendInvalidTwoFactorCode(res);
+    }
+
+    const extraData = {};
+    if (method === "recovery") {
+      const { twoFactorRecoveryCodes } = await User.findById(user._id).select(
+        "+twoFactorRecoveryCodes"
+      );
+      extraData.recoveryCodesRemaining = twoFactorRecoveryCodes.length;
+    }
+
+    await issueLoginTokens(user, req, res, login, extraData);
+  } catch (error) {
+    console.error("Verify two-factor error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Start two-factor enrollment with a new secret for the authenticator app
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(409)
+        .json(
+          createErrorResponse(
+            409,
+            ERROR_MESSAGES.TWO_FACTOR_ALREADY_ENABLED,
+            null,
+            ERROR_CODES.CONFLICT
+          )
+        );
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.TWO_FACTOR_SETUP_STARTED, {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || DEFAULT_TWO_FACTOR_ISSUER,
+        }),
+      })
+    );
+  } catch (error) {
+    console.error("Setup two-factor error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Confirm enrollment with a first code and hand out recovery codes
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      "+twoFactorPendingSecret"
+    );
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(409)
+        .json(
+          createErrorResponse(
+            409,
+            ERROR_MESSAGES.TWO_FACTOR_ALREADY_ENABLED,
+            null,
+            ERROR_CODES.CONFLICT
+          )
+        );
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res
+        .status(400)
+        .json(
+          createErrorResponse(400, ERROR_MESSAGES.TWO_FACTOR_SETUP_NOT_STARTED)
+        );
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return sendInvalidTwoFactorCode(res);
+    }
+
+    const before = user.toObject();
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    await recordAudit(req, {
+      action: "update",
+      entity: "user",
+      before,
+      after: user,
+    });
+
+    // Keep this device signed in and sign out every other one
+    const revokedSessions = await revokeAllSessions(
+      user._id,
+      "revoked",
+      req.authSession._id
+    );
 
     res.json(
-      createSuccessResponse(SUCCESS_MESSAGES.LOGIN_SUCCESS, {
-        token,
+      createSuccessResponse(SUCCESS_MESSAGES.TWO_FACTOR_ENABLED, {
+        recoveryCodes,
+        revokedSessions,
+      })
+    );
+  } catch (error) {
+    console.error("Enable two-factor error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Turn two-factor authentication off with the password and a current code
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      "+password +twoFactorSecret"
+    );
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json(createErrorResponse(400, ERROR_MESSAGES.TWO_FACTOR_NOT_ENABLED));
+    }
+
+    if (
+      isAdminRole(user.role) &&
+      (await getSetting("requireAdminTwoFactor", user.organization))
+    ) {
+      return res
+        .status(403)
+        .json(
+          createErrorResponse(
+            403,
+            ERROR_MESSAGES.TWO_FACTOR_REQUIRED_FOR_ADMINS,
+            null,
+            ERROR_CODES.FORBIDDEN
+          )
+        );
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res
+        .status(400)
+        .json(createErrorResponse(400, ERROR_MESSAGES.INCORRECT_PASSWORD));
+    }
+
+    if (!(await useTwoFactorCode(user, code))) {
+      return sendInvalidTwoFactorCode(res);
+    }
+
+    const before = user.toObject();
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "user",
+      before,
+      after: user,
+    });
+
+    res.json(createSuccessResponse(SUCCESS_MESSAGES.TWO_FACTOR_DISABLED));
+  } catch (error) {
+    console.error("Disable two-factor error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Replace all recovery codes, e.g. after some were used or lost
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select("+twoFactorSecret");
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json(createErrorResponse(400, ERROR_MESSAGES.TWO_FACTOR_NOT_ENABLED));
+    }
+
+    if (!(await useTwoFactorCode(user, code))) {
+      return sendInvalidTwoFactorCode(res);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) }
+    );
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.RECOVERY_CODES_GENERATED, {
+        recoveryCodes,
+      })
+    );
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Get current user profile
+exports.getProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).populate([
+      { path: "organization", select: "name slug" },
+      { path: "groups", select: "name area" },
+    ]);
+
+    if (!user) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.USER_NOT_FOUND));
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.PROFILE_RETRIEVED, {
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
+          mobileNumber: user.mobileNumber,
+          organization: user.organization,
+          role: user.role,
+          groups: user.groups,
           isActive: user.isActive,
           lastLogin: user.lastLogin,
+          passwordResetRequired: user.passwordResetRequired,
+          twoFactorEnabled: user.twoFactorEnabled,
           createdAt: user.createdAt,
+          updatedAt: user.updatedAt,
         },
       })
     );
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Get profile error:", error);
+
+    // Handle specific MongoDB errors
+    if (error.name === "CastError") {
+      return res
+        .status(400)
+        .json(createErrorResponse(400, ERROR_MESSAGES.INVALID_ID));
+    }
+
     res
       .status(500)
       .json(
@@ -137,32 +946,248 @@ exports.login = async (req, res) => {
   }
 };
 
-// Get current user profile
-exports.getProfile = async (req, res) => {
+// Update the current user's name or mobile number
+exports.updateProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const { name, mobileNumber } = req.body;
 
+    const user = await User.findById(req.user.id);
     if (!user) {
       return res
         .status(404)
         .json(createErrorResponse(404, ERROR_MESSAGES.USER_NOT_FOUND));
     }
 
+    if (
+      mobileNumber &&
+      (await User.exists({ mobileNumber, _id: { $ne: user._id } }))
+    ) {
+      return res
+        .status(409)
+        .json(
+          createErrorResponse(
+            409,
+            ERROR_MESSAGES.MOBILE_IN_USE,
+            null,
+            ERROR_CODES.CONFLICT
+          )
+        );
+    }
+
+    const before = user.toObject();
+    if (name !== undefined) user.name = name;
+    // An empty string removes the number and turns off OTP login
+    if (mobileNumber !== undefined)
+      user.mobileNumber = mobileNumber || undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "user",
+      before,
+      after: user,
+    });
+
     res.json(
-      createSuccessResponse(SUCCESS_MESSAGES.PROFILE_RETRIEVED, {
+      createSuccessResponse(SUCCESS_MESSAGES.PROFILE_UPDATED, {
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
+          mobileNumber: user.mobileNumber,
+          role: user.role,
           isActive: user.isActive,
           lastLogin: user.lastLogin,
+          passwordResetRequired: user.passwordResetRequired,
+          twoFactorEnabled: user.twoFactorEnabled,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt,
         },
       })
     );
   } catch (error) {
-    console.error("Get profile error:", error);
+    console.error("Update profile error:", error);
+
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json(
+          createErrorResponse(
+            409,
+            ERROR_MESSAGES.MOBILE_IN_USE,
+            null,
+            ERROR_CODES.CONFLICT
+          )
+        );
+    }
+
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      return res
+        .status(401)
+        .json(
+          createErrorResponse(
+            401,
+            ERROR_MESSAGES.INVALID_REFRESH_TOKEN,
+            null,
+            ERROR_CODES.INVALID_REFRESH_TOKEN
+          )
+        );
+    }
+
+    // Refuse to refresh for users that were removed or deactivated
+    const user = await User.findById(rotated.session.user);
+    if (!user || !user.isActive) {
+      await revokeSession(rotated.session._id);
+      return res
+        .status(401)
+        .json(
+          createErrorResponse(
+            401,
+            user
+              ? ERROR_MESSAGES.USER_DEACTIVATED
+              : ERROR_MESSAGES.USER_NOT_FOUND,
+            null,
+            ERROR_CODES.UNAUTHORIZED
+          )
+        );
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.TOKEN_REFRESHED, {
+        token: rotated.token,
+        refreshToken: rotated.refreshToken,
+      })
+    );
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Logout from the current device
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, "logout", req.user._id);
+
+    res.json(createSuccessResponse(SUCCESS_MESSAGES.LOGOUT_SUCCESS));
+  } catch (error) {
+    console.error("Logout error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Logout from every device
+exports.logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, "logout-all");
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.LOGOUT_ALL_SUCCESS, {
+        revokedCount,
+      })
+    );
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// List the current user's active sessions (devices)
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort("-lastUsedAt");
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.SESSIONS_RETRIEVED, {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: String(session._id) === String(req.authSession._id),
+        })),
+      })
+    );
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// List the current user's sign-in attempts, newest first
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const { loginEvents, pagination } = await findLoginEvents(
+      { user: req.user._id },
+      req.query
+    );
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.LOGIN_HISTORY_RETRIEVED, {
+        loginEvents,
+        pagination,
+      })
+    );
+  } catch (error) {
+    console.error("Get login history error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Revoke one of the current user's sessions
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await revokeSession(req.params.id, "revoked", req.user._id);
+
+    if (!session) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.SESSION_NOT_FOUND));
+    }
+
+    res.json(createSuccessResponse(SUCCESS_MESSAGES.SESSION_REVOKED));
+  } catch (error) {
+    console.error("Revoke session error:", error);
 
     // Handle specific MongoDB errors
     if (error.name === "CastError") {
@@ -178,3 +1203,173 @@ exports.getProfile = async (req, res) => {
       );
   }
 };
+
+// Request a password reset email
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email, isActive: true });
+
+    // Respond the same way whether or not the account exists
+    if (user) {
+      const resetToken = crypto.randomBytes(32).toString("hex");
+      const ttlMinutes =
+        parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) ||
+        DEFAULT_PASSWORD_RESET_TTL_MINUTES;
+
+      user.passwordResetTokenHash = hashToken(resetToken);
+      user.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+      await user.save();
+
+      try {
+        await sendMail(buildPasswordResetMail(user, resetToken, ttlMinutes));
+      } catch (mailError) {
+        console.error("Password reset mail error:", mailError);
+      }
+    }
+
+    res.json(createSuccessResponse(SUCCESS_MESSAGES.PASSWORD_RESET_REQUESTED));
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Reset the password using a token from the reset email
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true,
+    }).select("+password +passwordHistory");
+
+    if (!user) {
+      return res
+        .status(400)
+        .json(
+          createErrorResponse(
+            400,
+            ERROR_MESSAGES.INVALID_RESET_TOKEN,
+            null,
+            ERROR_CODES.INVALID_RESET_TOKEN
+          )
+        );
+    }
+
+    const passwordErrors = await validatePassword(
+      password,
+      user.organization,
+      user
+    );
+    if (passwordErrors.length > 0) {
+      return sendWeakPassword(res, "password", passwordErrors);
+    }
+
+    const before = user.toObject();
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "user",
+      before,
+      after: user,
+      actor: user._id,
+    });
+
+    // Whoever had the old password must not stay signed in
+    await revokeAllSessions(user._id, "revoked");
+
+    res.json(createSuccessResponse(SUCCESS_MESSAGES.PASSWORD_RESET_SUCCESS));
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Change the password of the current user
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      "+password +passwordHistory"
+    );
+    if (!user) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.USER_NOT_FOUND));
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res
+        .status(400)
+        .json(createErrorResponse(400, ERROR_MESSAGES.INCORRECT_PASSWORD));
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res
+        .status(400)
+        .json(createErrorResponse(400, ERROR_MESSAGES.SAME_PASSWORD));
+    }
+
+    const passwordErrors = await validatePassword(
+      newPassword,
+      user.organization,
+      user
+    );
+    if (passwordErrors.length > 0) {
+      return sendWeakPassword(res, "newPassword", passwordErrors);
+    }
+
+    const before = user.toObject();
+    user.password = newPassword;
+    user.passwordResetRequired = false;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "user",
+      before,
+      after: user,
+    });
+
+    // Keep this device signed in and sign out every other one
+    const revokedSessions = await revokeAllSessions(
+      user._id,
+      "revoked",
+      req.authSession._id
+    );
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.PASSWORD_CHANGED, {
+        revokedSessions,
+      })
+    );
+  } catch (error) {
+    console.error("Change password error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
@@ -0,0 +1,120 @@
+const Donor = require("../models/donor.model");
+const Group = require("../models/group.model");
+const { canAccessGroup, sendOutOfScope } = require("../utils/groupScope");
+const { planRoute } = require("../utils/routePlanner");
+const { findDonorsCollectedInCycle } = require("../utils/collectionSchedule");
+const { endOfIndianDay } = require("../utils/indianTime");
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  createErrorResponse,
+  createSuccessResponse,
+} = require("../utils/errorHandler");
+
+const MAX_ROUTE_STOPS = 200;
+
+const ROUTE_DONOR_FIELDS =
+  "hundiNo name mobileNumber address googleMapLink location status collectionDate collectionFrequency collectionIntervalDays preferredTimeFrom preferredTimeTo group isActive";
+
+// Plan the visiting order for a collector's day. A group plans every active
+// donor due by the date; a list of donors plans those. Inactive donors and
+// donors with a donation in their current cycle are left out.
+exports.planCollectionRoute = async (req, res) => {
+  try {
+    const { organization } = req.user;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const start = {
+      lat: parseFloat(req.query.startLat),
+      lng: parseFloat(req.query.startLng),
+    };
+    const returnToStart = req.query.returnToStart === "true";
+
+    let donors;
+    if (req.query.donors) {
+      const donorIds = req.query.donors;
+      donors = await Donor.find({ _id: { $in: donorIds }, organization })
+        .select(ROUTE_DONOR_FIELDS)
+        .populate("group", "name");
+
+      if (donors.length !== new Set(donorIds).size) {
+        return res
+          .status(404)
+          .json(createErrorResponse(404, ERROR_MESSAGES.DONOR_NOT_FOUND));
+      }
+      if (donors.some((donor) => !canAccessGroup(req.user, donor.group))) {
+        return sendOutOfScope(res);
+      }
+    } else {
+      if (!canAccessGroup(req.user, req.query.group)) {
+        return sendOutOfScope(res);
+      }
+      if (!(await Group.exists({ _id: req.query.group, organization }))) {
+        return res
+          .status(404)
+          .json(createErrorResponse(404, ERROR_MESSAGES.GROUP_NOT_FOUND));
+      }
+
+      const endOfDay = endOfIndianDay(date);
+      donors = await Donor.find({
+        organization,
+        group: req.query.group,
+        isActive: true,
+        $or: [{ collectionDate: null }, { collectionDate: { $lte: endOfDay } }],
+      })
+        .select(ROUTE_DONOR_FIELDS)
+        .populate("group", "name");
+    }
+
+    const collected = await findDonorsCollectedInCycle(donors, date);
+    const toVisit = donors.filter(
+      (donor) => donor.isActive && !collected.has(String(donor._id))
+    );
+
+    const located = toVisit.filter((donor) => donor.location);
+    if (located.length > MAX_ROUTE_STOPS) {
+      return res
+        .status(400)
+        .json(
+          createErrorResponse(
+            400,
+            `${ERROR_MESSAGES.ROUTE_TOO_MANY_STOPS} (${MAX_ROUTE_STOPS})`
+          )
+        );
+    }
+
+    const { route, returnDistance, totalDistance } = planRoute(
+      [start.lng, start.lat],
+      located.map((donor) => ({
+        donor,
+        coordinates: donor.location.coordinates,
+      })),
+      { returnToStart }
+    );
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.ROUTE_PLANNED, {
+        date: date.toLocaleDateString("en-CA"),
+        start,
+        returnToStart,
+        totalDistance: Math.round(totalDistance),
+        returnDistance: Math.round(returnDistance),
+        stops: route.map((leg, index) => ({
+          order: index + 1,
+          donor: leg.stop.donor,
+          distanceFromPrevious: Math.round(leg.distanceFromPrevious),
+          cumulativeDistance: Math.round(leg.cumulativeDistance),
+        })),
+        // Due donors whose map link has no coordinates, to fit in by hand
+        unlocated: toVisit.filter((donor) => !donor.location),
+        alreadyCollected: collected.size,
+      })
+    );
+  } catch (error) {
+    console.error("Plan collection route error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
@@ -0,0 +1,192 @@
+const mongoose = require("mongoose");
+const Deposit = require("../models/deposit.model");
+const Handover = require("../models/handover.model");
+const Donation = require("../models/donation.model");
+const { recordAudit } = require("../utils/audit");
+const { sumAmounts } = require("../utils/handovers");
+const {
+  createErrorResponse,
+  createSuccessResponse,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  STATUS_CODES,
+  ERROR_CODES,
+} = require("../utils/errorHandler");
+
+// Record a bank deposit of the cash received for confirmed handovers
+exports.createDeposit = async (req, res) => {
+  let session;
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const { handoverIds, depositDate, bankName, reference, notes } = req.body;
+    const handovers = await Handover.find({
+      _id: { $in: handoverIds },
+      organization: req.user.organization,
+      status: "confirmed",
+    })
+      .select("receivedAmount")
+      .session(session);
+    if (handovers.length !== new Set(handoverIds).size) {
+      throw {
+        status: STATUS_CODES.BAD_REQUEST,
+        message: ERROR_MESSAGES.HANDOVERS_NOT_DEPOSITABLE,
+        code: ERROR_CODES.VALIDATION_ERROR,
+      };
+    }
+
+    const [deposit] = await Deposit.create(
+      [
+        {
+          organization: req.user.organization,
+          handovers: handovers.map((handover) => handover._id),
+          amount: sumAmounts(handovers, "receivedAmount"),
+          depositDate,
+          bankName,
+          reference,
+          notes,
+          depositedBy: req.user._id,
+        },
+      ],
+      { session }
+    );
+    // Only take handovers that are still confirmed, so a deposit recorded at
+    // the same time cannot cover the same cash
+    const claimed = await Handover.updateMany(
+      { _id: { $in: deposit.handovers }, status: "confirmed" },
+      { status: "deposited", deposit: deposit._id },
+      { session }
+    );
+    if (claimed.modifiedCount !== deposit.handovers.length) {
+      throw {
+        status: STATUS_CODES.CONFLICT,
+        message: ERROR_MESSAGES.HANDOVERS_CHANGED,
+        code: ERROR_CODES.CONFLICT,
+      };
+    }
+    await Donation.updateMany(
+      { handover: { $in: deposit.handovers } },
+      { cashStatus: "deposited" },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    await recordAudit(req, {
+      action: "create",
+      entity: "deposit",
+      before: null,
+      after: deposit,
+    });
+
+    res
+      .status(STATUS_CODES.CREATED)
+      .json(
+        createSuccessResponse(SUCCESS_MESSAGES.DEPOSIT_CREATED, { deposit })
+      );
+  } catch (error) {
+    if (session) {
+      try {
+        await session.abortTransaction();
+      } catch (rollbackError) {
+        console.error("Error rolling back transaction:", rollbackError);
+      }
+    }
+
+    console.error("Create deposit error:", error);
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json(
+          createErrorResponse(error.status, error.message, null, error.code)
+        );
+    }
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
+// List deposits, latest deposit date first
+exports.getDeposits = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { organization: req.user.organization };
+    const { startDate, endDate } = req.query;
+    if (startDate || endDate) {
+      filter.depositDate = {};
+      if (startDate) filter.depositDate.$gte = new Date(startDate);
+      if (endDate) filter.depositDate.$lte = new Date(endDate);
+    }
+
+    const [deposits, total] = await Promise.all([
+      Deposit.find(filter)
+        .populate({ path: "depositedBy", select: "name email" })
+        .sort("-depositDate")
+        .skip(skip)
+        .limit(limit),
+      Deposit.countDocuments(filter),
+    ]);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.DEPOSITS_RETRIEVED, {
+        deposits,
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Get deposits error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Get a deposit with the handovers it covers
+exports.getDepositById = async (req, res) => {
+  try {
+    const deposit = await Deposit.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    }).populate([
+      { path: "depositedBy", select: "name email" },
+      {
+        path: "handovers",
+        select: "-donations",
+        populate: { path: "collector", select: "name email" },
+      },
+    ]);
+    if (!deposit) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.DEPOSIT_NOT_FOUND));
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.DEPOSIT_RETRIEVED, { deposit })
+    );
+  } catch (error) {
+    console.error("Get deposit error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
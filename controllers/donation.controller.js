@@ -2,6 +2,30 @@ const { validationResult } = require("express-validator");
 const Donation = require("../models/donation.model");
 const Donor = require("../models/donor.model");
 const mongoose = require("mongoose");
+const { pipeline } = require("stream/promises");
+const {
+  canAccessGroup,
+  getScopedDonorIds,
+  sendOutOfScope,
+} = require("../utils/groupScope");
+const { recordAudit } = require("../utils/audit");
+const { streamSpreadsheet } = require("../utils/spreadsheetExport");
+const {
+  getNextCollectionDate,
+  getScheduleAfterVoid,
+} = require("../utils/collectionSchedule");
+const {
+  getFinancialYear,
+  ensureReceiptCounter,
+  allocateReceiptNumber,
+  receiptFilename,
+  createReceiptPdf,
+} = require("../utils/receipts");
+const {
+  getPaymentDetails,
+  describePayment,
+  PAYMENT_MODE_LABELS,
+} = require("../utils/payments");
 const {
   createErrorResponse,
   createSuccessResponse,
@@ -15,10 +39,6 @@ const {
 exports.createDonation = async (req, res) => {
   let session;
   try {
-    // Start transaction
-    session = await mongoose.startSession();
-    session.startTransaction();
-
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -31,59 +51,106 @@ exports.createDonation = async (req, res) => {
 
     const { donorId, amount, collectionDate, collectionTime, notes } = req.body;
 
-    // Find donor
-    const donor = await Donor.findById(donorId).session(session);
-    if (!donor) {
-      throw {
-        status: STATUS_CODES.NOT_FOUND,
-        message: ERROR_MESSAGES.DONOR_NOT_FOUND,
-      };
-    }
+    // The first donation of a financial year creates its receipt counter.
+    // Doing that before the transaction keeps two such donations from
+    // colliding on the counter's unique index.
+    await ensureReceiptCounter(req.user.organization, collectionDate);
 
-    if (!donor.isActive) {
-      throw {
-        status: STATUS_CODES.BAD_REQUEST,
-        message: ERROR_MESSAGES.INACTIVE_DONOR,
-      };
-    }
+    // Every donation of the financial year increments the same receipt
+    // counter, so concurrent donations can hit a write conflict;
+    // withTransaction runs the body again when that happens
+    session = await mongoose.startSession();
+    let donor;
+    let donation;
+    let updatedDonor;
+    await session.withTransaction(async () => {
+      // Find donor
+      donor = await Donor.findOne({
+        _id: donorId,
+        organization: req.user.organization,
+      }).session(session);
+      if (!donor) {
+        throw {
+          status: STATUS_CODES.NOT_FOUND,
+          message: ERROR_MESSAGES.DONOR_NOT_FOUND,
+        };
+      }
 
-    // Create donation
-    const donation = await Donation.create(
-      [
-        {
-          donor: donorId,
-          amount,
-          collectionDate,
-          collectionTime,
-          notes,
-          collectedBy: req.user.id,
-        },
-      ],
-      { session }
-    );
+      if (!canAccessGroup(req.user, donor.group)) {
+        throw {
+          status: STATUS_CODES.FORBIDDEN,
+          message: ERROR_MESSAGES.GROUP_OUT_OF_SCOPE,
+          code: ERROR_CODES.FORBIDDEN,
+        };
+      }
 
-    // Update donor status and collection date
-    const nextCollectionDate = new Date(collectionDate);
-    nextCollectionDate.setMonth(nextCollectionDate.getMonth() + 1);
-
-    await Donor.findByIdAndUpdate(
-      donorId,
-      {
-        status: "collected",
-        collectionDate: nextCollectionDate,
-        $push: {
-          statusHistory: {
-            status: "collected",
-            date: new Date(),
-            notes: notes || "Monthly donation collected",
+      if (!donor.isActive) {
+        throw {
+          status: STATUS_CODES.BAD_REQUEST,
+          message: ERROR_MESSAGES.INACTIVE_DONOR,
+        };
+      }
+
+      // Numbered in the same transaction, so a failed donation leaves no gap
+      const receiptNumber = await allocateReceiptNumber(
+        donor.organization,
+        collectionDate,
+        session
+      );
+
+      // Create donation
+      donation = await Donation.create(
+        [
+          {
+            organization: donor.organization,
+            donor: donorId,
+            amount,
+            collectionDate,
+            collectionTime,
+            notes,
+            receiptNumber,
+            ...getPaymentDetails(req.body),
+            collectedBy: req.user.id,
+          },
+        ],
+        { session }
+      );
+
+      // Update donor status and collection date
+      const nextCollectionDate = getNextCollectionDate(
+        donor,
+        new Date(collectionDate)
+      );
+
+      updatedDonor = await Donor.findByIdAndUpdate(
+        donorId,
+        {
+          status: "collected",
+          collectionDate: nextCollectionDate,
+          $push: {
+            statusHistory: {
+              status: "collected",
+              date: new Date(),
+              notes: notes || "Donation collected",
+            },
           },
         },
-      },
-      { session, new: true }
-    );
+        { session, new: true }
+      );
+    });
 
-    // Commit transaction
-    await session.commitTransaction();
+    await recordAudit(req, {
+      action: "create",
+      entity: "donation",
+      before: null,
+      after: donation[0],
+    });
+    await recordAudit(req, {
+      action: "update",
+      entity: "donor",
+      before: donor,
+      after: updatedDonor,
+    });
 
     const populatedDonation = await Donation.findById(donation[0]._id)
       .populate([
@@ -98,22 +165,20 @@ exports.createDonation = async (req, res) => {
       })
     );
   } catch (error) {
-    // Rollback transaction if it exists and is active
-    if (session) {
-      try {
-        await session.abortTransaction();
-      } catch (rollbackError) {
-        console.error("Error rolling back transaction:", rollbackError);
-      }
-    }
-
     console.error("Create donation error:", error);
 
     // Handle known errors
     if (error.status) {
       return res
         .status(error.status)
-        .json(createErrorResponse(error.status, error.message, error.errors));
+        .json(
+          createErrorResponse(
+            error.status,
+            error.message,
+            error.errors,
+            error.code
+          )
+        );
     }
 
     // Handle specific MongoDB errors
@@ -165,34 +230,84 @@ exports.createDonation = async (req, res) => {
   }
 };
 
+// Donation query from the list query parameters, shared by the list and the
+// export. Voided donations are left out unless `voided` is set, which lists
+// only them. Returns null when the requested donor or group is outside the
+// user's scope.
+const buildDonationQuery = async (req, { voided = false } = {}) => {
+  const {
+    donorId,
+    group,
+    startDate,
+    endDate,
+    paymentMode,
+    clearanceStatus,
+    cashStatus,
+  } = req.query;
+  const query = {
+    organization: req.user.organization,
+    voided: voided ? true : { $ne: true },
+  };
+
+  if (donorId) {
+    const donor = await Donor.findOne({
+      _id: donorId,
+      organization: req.user.organization,
+    }).select("group");
+    if (donor && !canAccessGroup(req.user, donor.group)) {
+      return null;
+    }
+    // Cast here, the query is also used in an aggregate
+    query.donor = new mongoose.Types.ObjectId(donorId);
+  } else if (group) {
+    if (!canAccessGroup(req.user, group)) {
+      return null;
+    }
+    const donorIds = await Donor.find({
+      organization: req.user.organization,
+      group,
+    }).distinct("_id");
+    query.donor = { $in: donorIds };
+  } else {
+    // Collectors only see donations from donors in their groups
+    const donorIds = await getScopedDonorIds(req.user);
+    if (donorIds) {
+      query.donor = { $in: donorIds };
+    }
+  }
+
+  if (startDate && endDate) {
+    query.collectionDate = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate),
+    };
+  }
+  if (paymentMode) {
+    query.paymentMode = paymentMode;
+  }
+  if (clearanceStatus) {
+    query["cheque.clearanceStatus"] = clearanceStatus;
+  }
+  if (cashStatus) {
+    query.cashStatus = cashStatus;
+  }
+
+  return query;
+};
+
 // Get all donations with filters
 exports.getDonations = async (req, res) => {
   try {
-    const {
-      donorId,
-      startDate,
-      endDate,
-      page = 1,
-      limit = 10,
-      sort = "-collectionDate",
-    } = req.query;
-
-    const query = {};
+    const { page = 1, limit = 10, sort = "-collectionDate" } = req.query;
 
-    if (donorId) {
-      query.donor = donorId;
-    }
-
-    if (startDate && endDate) {
-      query.collectionDate = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
+    const query = await buildDonationQuery(req);
+    if (!query) {
+      return sendOutOfScope(res);
     }
 
     const skip = (page - 1) * limit;
 
-    const [donations, total] = await Promise.all([
+    const [donations, total, byPaymentMode] = await Promise.all([
       Donation.find(query)
         .populate([
           { path: "donor", select: "name hundiNo status" },
@@ -202,6 +317,18 @@ exports.getDonations = async (req, res) => {
         .skip(skip)
         .limit(limit),
       Donation.countDocuments(query),
+      Donation.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: "$paymentMode",
+            count: { $sum: 1 },
+            amount: { $sum: "$amount" },
+          },
+        },
+        { $sort: { amount: -1 } },
+        { $project: { _id: 0, paymentMode: "$_id", count: 1, amount: 1 } },
+      ]),
     ]);
 
     res.json({
@@ -209,6 +336,12 @@ exports.getDonations = async (req, res) => {
       message: "Donations retrieved successfully",
       data: {
         donations,
+        // Totals over every donation matching the filters, not just this page
+        totals: {
+          count: total,
+          amount: byPaymentMode.reduce((sum, mode) => sum + mode.amount, 0),
+          byPaymentMode,
+        },
         pagination: {
           total,
           page: parseInt(page),
@@ -226,12 +359,223 @@ exports.getDonations = async (req, res) => {
   }
 };
 
+// List voided donations, most recently voided first. Takes the same filters
+// as the donation list.
+exports.getVoidedDonations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const query = await buildDonationQuery(req, { voided: true });
+    if (!query) {
+      return sendOutOfScope(res);
+    }
+
+    const [donations, total] = await Promise.all([
+      Donation.find(query)
+        .populate([
+          { path: "donor", select: "name hundiNo status" },
+          { path: "collectedBy", select: "name email" },
+          { path: "voidedBy", select: "name email" },
+        ])
+        .sort("-voidedAt")
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Donation.countDocuments(query),
+    ]);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.VOIDED_DONATIONS_RETRIEVED, {
+        donations,
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Get voided donations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch voided donations. Please try again.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Download the donations matching the list filters as CSV or XLSX
+exports.exportDonations = async (req, res) => {
+  try {
+    const query = await buildDonationQuery(req);
+    if (!query) {
+      return sendOutOfScope(res);
+    }
+
+    const donations = Donation.find(query)
+      .sort({ collectionDate: 1, collectionTime: 1 })
+      .populate([
+        {
+          path: "donor",
+          select: "name hundiNo group",
+          populate: { path: "group", select: "name" },
+        },
+        { path: "collectedBy", select: "name" },
+      ])
+      .lean()
+      .cursor();
+
+    await streamSpreadsheet(res, {
+      format: req.query.format,
+      filename: "donations",
+      sheetName: "Donations",
+      rows: donations,
+      columns: [
+        {
+          header: "Collection Date",
+          value: (donation) => donation.collectionDate,
+          date: true,
+        },
+        {
+          header: "Collection Time",
+          value: (donation) => donation.collectionTime,
+        },
+        { header: "Amount", value: (donation) => donation.amount },
+        { header: "Hundi No", value: (donation) => donation.donor?.hundiNo },
+        {
+          header: "Donor",
+          value: (donation) => donation.donor?.name,
+          width: 25,
+        },
+        { header: "Group", value: (donation) => donation.donor?.group?.name },
+        {
+          header: "Collected By",
+          value: (donation) => donation.collectedBy?.name,
+          width: 20,
+        },
+        {
+          header: "Receipt No",
+          value: (donation) => donation.receiptNumber,
+          width: 20,
+        },
+        {
+          header: "Payment Mode",
+          value: (donation) => PAYMENT_MODE_LABELS[donation.paymentMode],
+          width: 15,
+        },
+        {
+          header: "Reference",
+          value: (donation) =>
+            donation.upiTransactionId ||
+            donation.bankReference ||
+            donation.cheque?.number ||
+            donation.inKindDescription,
+          width: 25,
+        },
+        {
+          header: "Cheque Status",
+          value: (donation) => donation.cheque?.clearanceStatus,
+        },
+        { header: "Notes", value: (donation) => donation.notes, width: 40 },
+      ],
+    });
+  } catch (error) {
+    console.error("Export donations error:", error);
+    if (res.headersSent || res.destroyed) {
+      // Part of the file is already sent, so the download can only be cut short
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to export donations. Please try again.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Printable PDF receipt for a donation
+exports.getDonationReceipt = async (req, res) => {
+  try {
+    const donation = await Donation.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    }).populate([
+      { path: "organization", select: "name" },
+      { path: "donor", select: "name hundiNo group" },
+      { path: "collectedBy", select: "name" },
+    ]);
+    if (!donation) {
+      return res
+        .status(STATUS_CODES.NOT_FOUND)
+        .json(
+          createErrorResponse(
+            STATUS_CODES.NOT_FOUND,
+            ERROR_MESSAGES.DONATION_NOT_FOUND
+          )
+        );
+    }
+    if (donation.donor && !canAccessGroup(req.user, donation.donor.group)) {
+      return sendOutOfScope(res);
+    }
+    if (!donation.receiptNumber) {
+      return res
+        .status(STATUS_CODES.NOT_FOUND)
+        .json(
+          createErrorResponse(
+            STATUS_CODES.NOT_FOUND,
+            ERROR_MESSAGES.RECEIPT_NOT_AVAILABLE
+          )
+        );
+    }
+
+    const pdf = createReceiptPdf({
+      receiptNumber: donation.receiptNumber,
+      organizationName: donation.organization.name,
+      donorName: donation.donor?.name,
+      hundiNo: donation.donor?.hundiNo,
+      amount: donation.amount,
+      collectionDate: donation.collectionDate,
+      collectionTime: donation.collectionTime,
+      collectorName: donation.collectedBy?.name,
+      payment: describePayment(donation),
+      voidReason: donation.voided ? donation.voidReason : null,
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${receiptFilename(donation.receiptNumber)}"`
+    );
+    await pipeline(pdf, res);
+  } catch (error) {
+    console.error("Get donation receipt error:", error);
+    if (res.headersSent || res.destroyed) {
+      return res.destroy();
+    }
+    if (error.name === "CastError") {
+      return res
+        .status(STATUS_CODES.BAD_REQUEST)
+        .json(
+          createErrorResponse(
+            STATUS_CODES.BAD_REQUEST,
+            ERROR_MESSAGES.INVALID_ID,
+            null,
+            ERROR_CODES.VALIDATION_ERROR
+          )
+        );
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create receipt. Please try again.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 // Skip donation
 exports.skipDonation = async (req, res) => {
   const session = await mongoose.startSession();
   try {
-    session.startTransaction();
-
     const { donorId, notes } = req.body;
 
     if (!notes || !notes.trim()) {
@@ -241,33 +585,52 @@ exports.skipDonation = async (req, res) => {
       });
     }
 
-    const donor = await Donor.findById(donorId).session(session);
-    if (!donor) {
-      return res.status(404).json({
-        success: false,
-        message: "Donor not found",
-      });
-    }
+    let before;
+    let donor;
+    // Retried on a write conflict with a concurrent change to the donor
+    await session.withTransaction(async () => {
+      donor = await Donor.findOne({
+        _id: donorId,
+        organization: req.user.organization,
+      }).session(session);
+      if (!donor) {
+        throw { status: 404, message: "Donor not found" };
+      }
 
-    if (!donor.isActive) {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot skip collection for inactive donor",
+      if (!canAccessGroup(req.user, donor.group)) {
+        throw {
+          status: STATUS_CODES.FORBIDDEN,
+          message: ERROR_MESSAGES.GROUP_OUT_OF_SCOPE,
+          code: ERROR_CODES.FORBIDDEN,
+        };
+      }
+
+      if (!donor.isActive) {
+        throw {
+          status: 400,
+          message: "Cannot skip collection for inactive donor",
+        };
+      }
+
+      // Update donor status to skipped and set next collection date to one cycle from now
+      before = donor.toObject();
+      donor.status = "skipped";
+      donor.collectionDate = getNextCollectionDate(donor);
+      donor.statusHistory.push({
+        status: "skipped",
+        date: new Date(),
+        notes,
       });
-    }
 
-    // Update donor status to skipped and set next collection date to one month from now
-    donor.status = "skipped";
-    donor.collectionDate = new Date();
-    donor.collectionDate.setMonth(donor.collectionDate.getMonth() + 1);
-    donor.statusHistory.push({
-      status: "skipped",
-      date: new Date(),
-      notes,
+      await donor.save({ session });
     });
 
-    await donor.save({ session });
-    await session.commitTransaction();
+    await recordAudit(req, {
+      action: "update",
+      entity: "donor",
+      before,
+      after: donor,
+    });
 
     res.json({
       success: true,
@@ -275,9 +638,16 @@ exports.skipDonation = async (req, res) => {
       data: { donor },
     });
   } catch (error) {
-    await session.abortTransaction();
     console.error("Skip donation error:", error);
 
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json(
+          createErrorResponse(error.status, error.message, null, error.code)
+        );
+    }
+
     // Handle specific MongoDB errors
     if (error.name === "CastError") {
       return res.status(400).json({
@@ -296,6 +666,11 @@ exports.skipDonation = async (req, res) => {
   }
 };
 
+// Cash that has left the collector is accounted for in a handover or
+// deposit, so the donation's amount and payment are fixed
+const isCashHandedOver = (donation) =>
+  Boolean(donation.cashStatus) && donation.cashStatus !== "with-collector";
+
 // Update a donation record
 exports.updateDonation = async (req, res) => {
   try {
@@ -307,13 +682,123 @@ exports.updateDonation = async (req, res) => {
     if (collectionTime !== undefined) update.collectionTime = collectionTime;
     if (notes !== undefined) update.notes = notes;
 
-    const donation = await Donation.findByIdAndUpdate(id, update, { new: true });
-    if (!donation) {
+    const existing = await Donation.findOne({
+      _id: id,
+      organization: req.user.organization,
+    }).populate("donor", "group");
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Donation not found",
+      });
+    }
+    if (existing.donor && !canAccessGroup(req.user, existing.donor.group)) {
+      return sendOutOfScope(res);
+    }
+    if (existing.voided) {
+      return res
+        .status(STATUS_CODES.BAD_REQUEST)
+        .json(
+          createErrorResponse(
+            STATUS_CODES.BAD_REQUEST,
+            ERROR_MESSAGES.DONATION_VOIDED
+          )
+        );
+    }
+    // The receipt number carries the financial year, so the donation cannot
+    // move to another one; it has to be voided and recorded again
+    if (
+      collectionDate !== undefined &&
+      existing.receiptNumber &&
+      getFinancialYear(collectionDate) !==
+        getFinancialYear(existing.collectionDate)
+    ) {
+      return res
+        .status(STATUS_CODES.BAD_REQUEST)
+        .json(
+          createErrorResponse(
+            STATUS_CODES.BAD_REQUEST,
+            ERROR_MESSAGES.DONATION_FINANCIAL_YEAR_CHANGE,
+            null,
+            ERROR_CODES.VALIDATION_ERROR
+          )
+        );
+    }
+    const changesPayment =
+      (amount !== undefined && Number(amount) !== existing.amount) ||
+      req.body.paymentMode !== undefined;
+    if (isCashHandedOver(existing) && changesPayment) {
+      return res
+        .status(STATUS_CODES.BAD_REQUEST)
+        .json(
+          createErrorResponse(
+            STATUS_CODES.BAD_REQUEST,
+            ERROR_MESSAGES.DONATION_CASH_HANDED_OVER
+          )
+        );
+    }
+
+    // A new payment mode replaces all payment details; otherwise only a
+    // cheque's clearance status can change
+    const clearanceStatus = req.body.cheque?.clearanceStatus;
+    if (req.body.paymentMode !== undefined) {
+      Object.assign(update, getPaymentDetails(req.body));
+    } else if (clearanceStatus !== undefined) {
+      if (existing.paymentMode !== "cheque") {
+        return res
+          .status(STATUS_CODES.BAD_REQUEST)
+          .json(
+            createErrorResponse(
+              STATUS_CODES.BAD_REQUEST,
+              ERROR_MESSAGES.NOT_A_CHEQUE_DONATION,
+              null,
+              ERROR_CODES.VALIDATION_ERROR
+            )
+          );
+      }
+      update["cheque.clearanceStatus"] = clearanceStatus;
+      update["cheque.clearedAt"] =
+        clearanceStatus === "cleared" ? new Date() : null;
+    }
+
+    // A handover can claim the cash after it was checked above, so the
+    // update only applies while the cash is still with the collector
+    const filter = { _id: id, organization: req.user.organization };
+    if (changesPayment) {
+      filter.$or = [
+        { paymentMode: { $ne: "cash" } },
+        { cashStatus: { $in: [null, "with-collector"] }, handover: null },
+      ];
+    }
+    const donation = await Donation.findOneAndUpdate(filter, update, {
+      new: true,
+    });
+    if (!donation && !changesPayment) {
       return res.status(404).json({
         success: false,
         message: "Donation not found",
       });
     }
+    if (!donation) {
+      return res
+        .status(STATUS_CODES.CONFLICT)
+        .json(
+          createErrorResponse(
+            STATUS_CODES.CONFLICT,
+            ERROR_MESSAGES.DONATION_CASH_HANDED_OVER,
+            null,
+            ERROR_CODES.CONFLICT
+          )
+        );
+    }
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "donation",
+      before: existing,
+      after: donation,
+    });
+
     res.json({
       success: true,
       message: "Donation updated successfully",
@@ -329,27 +814,142 @@ exports.updateDonation = async (req, res) => {
   }
 };
 
-// Delete a donation record
-exports.deleteDonation = async (req, res) => {
+// Void a donation. The record and its receipt number are kept, marked
+// voided with the reason, and the donor's status and next collection date are
+// worked out again without it.
+exports.voidDonation = async (req, res) => {
+  let session;
   try {
-    const { id } = req.params;
-    const donation = await Donation.findByIdAndDelete(id);
-    if (!donation) {
-      return res.status(404).json({
-        success: false,
-        message: "Donation not found",
+    session = await mongoose.startSession();
+    let existing;
+    let donor;
+    let donation;
+    let updatedDonor;
+    // Retried on a write conflict with a concurrent change to the donation
+    // or donor
+    await session.withTransaction(async () => {
+      existing = await Donation.findOne({
+        _id: req.params.id,
+        organization: req.user.organization,
+      }).session(session);
+      if (!existing) {
+        throw {
+          status: STATUS_CODES.NOT_FOUND,
+          message: ERROR_MESSAGES.DONATION_NOT_FOUND,
+        };
+      }
+      donor = await Donor.findById(existing.donor).session(session);
+      if (donor && !canAccessGroup(req.user, donor.group)) {
+        throw {
+          status: STATUS_CODES.FORBIDDEN,
+          message: ERROR_MESSAGES.GROUP_OUT_OF_SCOPE,
+          code: ERROR_CODES.FORBIDDEN,
+        };
+      }
+      if (existing.voided) {
+        throw {
+          status: STATUS_CODES.CONFLICT,
+          message: ERROR_MESSAGES.DONATION_VOIDED,
+          code: ERROR_CODES.CONFLICT,
+        };
+      }
+      // Cash in a handover is accounted for by the treasurer
+      if (existing.handover) {
+        throw {
+          status: STATUS_CODES.BAD_REQUEST,
+          message: ERROR_MESSAGES.DONATION_CASH_IN_HANDOVER,
+        };
+      }
+
+      const update = {
+        voided: true,
+        voidedAt: new Date(),
+        voidedBy: req.user._id,
+        voidReason: req.body.reason,
+      };
+      // Cash still with the collector no longer has to be handed over
+      if (existing.cashStatus === "with-collector") {
+        update.cashStatus = null;
+      }
+      donation = await Donation.findByIdAndUpdate(existing._id, update, {
+        new: true,
+        session,
       });
-    }
-    res.json({
-      success: true,
-      message: "Donation deleted successfully",
+
+      // Only a donor still marked collected by this donation is changed; a
+      // later donation, skip or missed collection has moved them on already
+      updatedDonor = null;
+      if (donor && donor.status === "collected") {
+        const latest = await Donation.findOne({
+          donor: donor._id,
+          voided: { $ne: true },
+        })
+          .sort({ collectionDate: -1 })
+          .session(session);
+
+        if (!latest || latest.collectionDate <= existing.collectionDate) {
+          const { status, collectionDate } = getScheduleAfterVoid(
+            donor,
+            latest,
+            existing.collectionDate
+          );
+          updatedDonor = await Donor.findByIdAndUpdate(
+            donor._id,
+            {
+              status,
+              collectionDate,
+              $push: {
+                statusHistory: {
+                  status,
+                  date: new Date(),
+                  notes: `Donation voided: ${req.body.reason}`,
+                },
+              },
+            },
+            { session, new: true }
+          );
+        }
+      }
+    });
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "donation",
+      before: existing,
+      after: donation,
     });
+    if (updatedDonor) {
+      await recordAudit(req, {
+        action: "update",
+        entity: "donor",
+        before: donor,
+        after: updatedDonor,
+      });
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.DONATION_VOIDED, {
+        donation,
+        donor: updatedDonor,
+      })
+    );
   } catch (error) {
-    console.error("Delete donation error:", error);
+    console.error("Void donation error:", error);
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json(
+          createErrorResponse(error.status, error.message, null, error.code)
+        );
+    }
     res.status(500).json({
       success: false,
-      message: "Failed to delete donation. Please try again.",
+      message: "Failed to void donation. Please try again.",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
   }
 };
@@ -4,33 +4,40 @@ const { initializeDefaultGroups } = require("./group.controller");
 const Group = require("../models/group.model");
 const Donation = require("../models/donation.model");
 const mongoose = require("mongoose");
-
-// Helper function to check if donor has donation for current month
-const hasDonationForCurrentMonth = async (donorId) => {
-  const today = new Date();
-  const currentMonth = today.getMonth();
-  const currentYear = today.getFullYear();
-
-  const startOfMonth = new Date(currentYear, currentMonth, 1);
-  const endOfMonth = new Date(currentYear, currentMonth + 1, 0, 23, 59, 59);
-
-  const existingDonation = await Donation.findOne({
-    donor: donorId,
-    collectionDate: {
-      $gte: startOfMonth,
-      $lte: endOfMonth,
-    },
-  });
-
-  return !!existingDonation;
-};
+const { pipeline } = require("stream/promises");
+const {
+  canAccessGroup,
+  scopeDonorFilter,
+  sendOutOfScope,
+} = require("../utils/groupScope");
+const { recordAudit } = require("../utils/audit");
+const { readDonorRows, validateDonorRow } = require("../utils/donorImport");
+const { streamSpreadsheet } = require("../utils/spreadsheetExport");
+const { geocodeMapLink, distanceInMeters } = require("../utils/geocoding");
+const { getFinancialYearRange } = require("../utils/receipts");
+const {
+  getPreviousFinancialYear,
+  getCertifyingOrganization,
+  certificateFilename,
+  createCertificatePdf,
+} = require("../utils/certificates");
+const { ELIGIBLE_FOR_80G } = require("../utils/payments");
+const {
+  DEFAULT_COLLECTION_FREQUENCY,
+  getNextCollectionDate,
+  isCalendarFrequency,
+} = require("../utils/collectionSchedule");
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  createErrorResponse,
+  createSuccessResponse,
+} = require("../utils/errorHandler");
 
 // Create a new donor
 exports.createDonor = async (req, res) => {
   const session = await mongoose.startSession();
   try {
-    session.startTransaction();
-
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -47,12 +54,31 @@ exports.createDonor = async (req, res) => {
       mobileNumber,
       address,
       googleMapLink,
+      pan,
       collectionDate,
+      collectionFrequency,
+      collectionIntervalDays,
+      preferredDayOfMonth,
+      preferredWeekOfMonth,
+      preferredWeekday,
+      preferredTimeFrom,
+      preferredTimeTo,
       group,
     } = req.body;
 
+    const { organization } = req.user;
+
+    // Resolved before the transaction starts: following a short map link can
+    // take several slow network round trips
+    const location = await geocodeMapLink(googleMapLink);
+
+    session.startTransaction();
+
     // Check if hundi number already exists
-    const existingDonor = await Donor.findOne({ hundiNo }).session(session);
+    const existingDonor = await Donor.findOne({
+      organization,
+      hundiNo,
+    }).session(session);
     if (existingDonor) {
       return res.status(400).json({
         success: false,
@@ -61,12 +87,17 @@ exports.createDonor = async (req, res) => {
     }
 
     // Initialize default groups if none exist
-    const groupCount = await Group.countDocuments().session(session);
+    const groupCount = await Group.countDocuments({ organization }).session(
+      session
+    );
     let groupId = group;
 
     if (groupCount === 0) {
       try {
-        const defaultGroups = await initializeDefaultGroups(req.user.id);
+        const defaultGroups = await initializeDefaultGroups(
+          req.user.id,
+          organization
+        );
         if (!groupId && defaultGroups.length > 0) {
           // Assign to Group A by default
           const groupA = defaultGroups.find((g) => g.name === "Group A");
@@ -86,9 +117,10 @@ exports.createDonor = async (req, res) => {
 
     // If no group specified or default group initialization failed, find Group A
     if (!groupId) {
-      const defaultGroup = await Group.findOne({ name: "Group A" }).session(
-        session
-      );
+      const defaultGroup = await Group.findOne({
+        organization,
+        name: "Group A",
+      }).session(session);
       if (!defaultGroup) {
         return res.status(500).json({
           success: false,
@@ -96,29 +128,50 @@ exports.createDonor = async (req, res) => {
         });
       }
       groupId = defaultGroup._id;
+    } else if (
+      !(await Group.exists({ _id: groupId, organization }).session(session))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      });
     }
 
-    // Set collectionDate to one month after creation by default, or use provided value
-    let initialCollectionDate;
-    if (collectionDate) {
-      initialCollectionDate = new Date(collectionDate);
-    } else {
-      const now = new Date();
-      const nextMonth = new Date(now);
-      nextMonth.setMonth(now.getMonth() + 1);
-      initialCollectionDate = nextMonth;
+    // Collectors can only add donors to their own groups
+    if (!canAccessGroup(req.user, groupId)) {
+      return sendOutOfScope(res);
     }
 
+    const schedule = {
+      collectionFrequency: collectionFrequency || DEFAULT_COLLECTION_FREQUENCY,
+      collectionIntervalDays:
+        collectionFrequency === "custom-days" ? collectionIntervalDays : null,
+      preferredDayOfMonth: preferredDayOfMonth ?? null,
+      preferredWeekOfMonth: preferredWeekOfMonth ?? null,
+      preferredWeekday: preferredWeekday ?? null,
+      preferredTimeFrom: preferredTimeFrom ?? null,
+      preferredTimeTo: preferredTimeTo ?? null,
+    };
+
+    // Set collectionDate to one cycle after creation by default, or use provided value
+    const initialCollectionDate = collectionDate
+      ? new Date(collectionDate)
+      : getNextCollectionDate(schedule);
+
     // Create new donor
     const donor = await Donor.create(
       [
         {
+          organization,
           hundiNo,
           name,
           mobileNumber,
           address,
           googleMapLink,
+          location,
+          pan: pan || null,
           collectionDate: initialCollectionDate,
+          ...schedule,
           group: groupId,
           createdBy: req.user.id,
           statusHistory: [
@@ -135,6 +188,13 @@ exports.createDonor = async (req, res) => {
 
     await session.commitTransaction();
 
+    await recordAudit(req, {
+      action: "create",
+      entity: "donor",
+      before: null,
+      after: donor[0],
+    });
+
     // Populate references
     const populatedDonor = await Donor.findById(donor[0]._id).populate([
       { path: "createdBy", select: "name email" },
@@ -147,7 +207,9 @@ exports.createDonor = async (req, res) => {
       data: { donor: populatedDonor },
     });
   } catch (error) {
-    await session.abortTransaction();
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     console.error("Create donor error:", error);
 
     // Handle specific MongoDB errors
@@ -179,6 +241,254 @@ exports.createDonor = async (req, res) => {
   }
 };
 
+const GEOCODE_BATCH_SIZE = 10;
+
+// Import donors from a CSV or XLSX upload. Every row is checked first; with
+// dryRun only the per-row report is returned, otherwise all rows are created
+// in one transaction, or none if any row is invalid.
+exports.importDonors = async (req, res) => {
+  let session;
+  try {
+    const dryRun = req.body.dryRun === "true" || req.query.dryRun === "true";
+    const { organization } = req.user;
+
+    const rows = await readDonorRows(req.file, req.body.mapping);
+
+    // Groups can be given by ID or by name; rows without one go to Group A
+    // like donors created one at a time
+    const groups = await Group.find({ organization }).select("name");
+    const groupsById = new Map(groups.map((g) => [String(g._id), g]));
+    const groupsByName = new Map(groups.map((g) => [g.name.toLowerCase(), g]));
+    const createDefaultGroups = groups.length === 0;
+
+    const checked = [];
+    for (const row of rows) {
+      const { data, errors } = await validateDonorRow(row.data);
+
+      let group = null;
+      if (data.group) {
+        group =
+          groupsById.get(data.group) ||
+          groupsByName.get(data.group.toLowerCase());
+        if (!group) {
+          errors.push({
+            field: "group",
+            message: `Group "${data.group}" not found`,
+          });
+        }
+      } else if (!createDefaultGroups) {
+        group = groupsByName.get("group a");
+        if (!group) {
+          errors.push({
+            field: "group",
+            message: ERROR_MESSAGES.DEFAULT_GROUP_NOT_FOUND,
+          });
+        }
+      }
+
+      checked.push({ rowNumber: row.rowNumber, data, group, errors });
+    }
+
+    // Hundi numbers must be new and appear only once in the file
+    const existing = new Set(
+      (
+        await Donor.find({
+          organization,
+          hundiNo: { $in: checked.map(({ data }) => data.hundiNo) },
+        }).select("hundiNo")
+      ).map((donor) => donor.hundiNo)
+    );
+    const firstRowByHundiNo = new Map();
+    for (const { rowNumber, data, errors } of checked) {
+      if (!data.hundiNo) continue;
+      if (existing.has(data.hundiNo)) {
+        errors.push({
+          field: "hundiNo",
+          message: "A donor with this hundi number already exists",
+        });
+      } else if (firstRowByHundiNo.has(data.hundiNo)) {
+        errors.push({
+          field: "hundiNo",
+          message: `Hundi number is repeated from row ${firstRowByHundiNo.get(
+            data.hundiNo
+          )}`,
+        });
+      } else {
+        firstRowByHundiNo.set(data.hundiNo, rowNumber);
+      }
+    }
+
+    const report = checked.map(({ rowNumber, data, group, errors }) => ({
+      row: rowNumber,
+      hundiNo: data.hundiNo,
+      name: data.name,
+      group: group ? group.name : data.group || "Group A",
+      valid: errors.length === 0,
+      errors,
+    }));
+    const invalidRows = report.filter((row) => !row.valid).length;
+    const summary = {
+      dryRun,
+      totalRows: report.length,
+      validRows: report.length - invalidRows,
+      invalidRows,
+    };
+
+    if (dryRun) {
+      return res.json(
+        createSuccessResponse(SUCCESS_MESSAGES.DONOR_IMPORT_CHECKED, {
+          ...summary,
+          rows: report,
+        })
+      );
+    }
+
+    if (invalidRows > 0) {
+      return res.status(400).json({
+        ...createErrorResponse(400, ERROR_MESSAGES.IMPORT_HAS_ERRORS),
+        data: { ...summary, rows: report },
+      });
+    }
+
+    let defaultGroup = groupsByName.get("group a");
+    if (createDefaultGroups) {
+      const defaultGroups = await initializeDefaultGroups(
+        req.user.id,
+        organization
+      );
+      defaultGroup = defaultGroups.find((g) => g.name === "Group A");
+    }
+
+    // Short map links are resolved over the network, a few at a time
+    for (let i = 0; i < checked.length; i += GEOCODE_BATCH_SIZE) {
+      const batch = checked.slice(i, i + GEOCODE_BATCH_SIZE);
+      const locations = await Promise.all(
+        batch.map(({ data }) => geocodeMapLink(data.googleMapLink))
+      );
+      batch.forEach((row, index) => {
+        row.location = locations[index];
+      });
+    }
+
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const donors = await Donor.insertMany(
+      checked.map(({ data, group, location }) => {
+        // Same defaults as a donor created through POST /api/donors
+        const schedule = {
+          collectionFrequency:
+            data.collectionFrequency || DEFAULT_COLLECTION_FREQUENCY,
+          collectionIntervalDays:
+            data.collectionFrequency === "custom-days"
+              ? data.collectionIntervalDays
+              : null,
+        };
+        return {
+          organization,
+          hundiNo: data.hundiNo,
+          name: data.name,
+          mobileNumber: data.mobileNumber,
+          address: data.address,
+          googleMapLink: data.googleMapLink,
+          location,
+          ...schedule,
+          collectionDate: getNextCollectionDate(schedule),
+          group: (group || defaultGroup)._id,
+          createdBy: req.user.id,
+          statusHistory: [
+            {
+              status: "pending",
+              date: new Date(),
+              notes: "Donor imported",
+            },
+          ],
+        };
+      }),
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    for (const donor of donors) {
+      await recordAudit(req, {
+        action: "create",
+        entity: "donor",
+        before: null,
+        after: donor,
+      });
+    }
+
+    res.status(201).json(
+      createSuccessResponse(SUCCESS_MESSAGES.DONORS_IMPORTED, {
+        ...summary,
+        imported: donors.length,
+        rows: report,
+      })
+    );
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+
+    // Known errors from reading the file
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json(
+          createErrorResponse(error.status, error.message, null, error.code)
+        );
+    }
+
+    console.error("Import donors error:", error);
+
+    // Another request created one of the hundi numbers meanwhile
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A donor with this hundi number already exists",
+      });
+    }
+
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  } finally {
+    session?.endSession();
+  }
+};
+
+// Donor filter from the list query parameters, shared by the list and the
+// export. Returns null when the requested group is outside the user's scope.
+const buildDonorFilter = (req) => {
+  const filter = { organization: req.user.organization };
+  if (req.query.search) {
+    filter.$or = [
+      { name: { $regex: req.query.search, $options: "i" } },
+      { hundiNo: { $regex: req.query.search, $options: "i" } },
+      { mobileNumber: { $regex: req.query.search, $options: "i" } },
+    ];
+  }
+  if (req.query.startDate && req.query.endDate) {
+    filter.collectionDate = {
+      $gte: new Date(req.query.startDate),
+      $lte: new Date(req.query.endDate),
+    };
+  }
+  if (req.query.group) {
+    filter.group = req.query.group;
+  }
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === "true";
+  }
+  return scopeDonorFilter(req.user, filter) ? filter : null;
+};
+
 // Get all donors with pagination and filters
 exports.getDonors = async (req, res) => {
   try {
@@ -186,23 +496,9 @@ exports.getDonors = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {};
-    if (req.query.search) {
-      filter.$or = [
-        { name: { $regex: req.query.search, $options: "i" } },
-        { hundiNo: { $regex: req.query.search, $options: "i" } },
-        { mobileNumber: { $regex: req.query.search, $options: "i" } },
-      ];
-    }
-    if (req.query.startDate && req.query.endDate) {
-      filter.collectionDate = {
-        $gte: new Date(req.query.startDate),
-        $lte: new Date(req.query.endDate),
-      };
-    }
-    if (req.query.group) {
-      filter.group = req.query.group;
+    const filter = buildDonorFilter(req);
+    if (!filter) {
+      return sendOutOfScope(res);
     }
 
     // Get total count for pagination
@@ -240,10 +536,129 @@ exports.getDonors = async (req, res) => {
   }
 };
 
+// Donors within a radius of a point, nearest first. Takes the list filters
+// too; donors without a location are left out.
+exports.getNearbyDonors = async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radius = parseInt(req.query.radius) || 2000;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const filter = buildDonorFilter(req);
+    if (!filter) {
+      return sendOutOfScope(res);
+    }
+    filter.location = {
+      $nearSphere: {
+        $geometry: { type: "Point", coordinates: [lng, lat] },
+        $maxDistance: radius,
+      },
+    };
+
+    const donors = await Donor.find(filter)
+      .limit(limit)
+      .populate([
+        { path: "createdBy", select: "name email" },
+        { path: "group", select: "name description" },
+      ])
+      .lean();
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.DONORS_RETRIEVED, {
+        center: { lat, lng },
+        radius,
+        donors: donors.map((donor) => ({
+          ...donor,
+          distance: Math.round(
+            distanceInMeters(donor.location.coordinates, [lng, lat])
+          ),
+        })),
+      })
+    );
+  } catch (error) {
+    console.error("Get nearby donors error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch nearby donors. Please try again.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Download the donors matching the list filters as CSV or XLSX
+exports.exportDonors = async (req, res) => {
+  try {
+    const filter = buildDonorFilter(req);
+    if (!filter) {
+      return sendOutOfScope(res);
+    }
+
+    const donors = Donor.find(filter)
+      .sort({ hundiNo: 1 })
+      .populate([
+        { path: "createdBy", select: "name" },
+        { path: "group", select: "name" },
+      ])
+      .lean()
+      .cursor();
+
+    await streamSpreadsheet(res, {
+      format: req.query.format,
+      filename: "donors",
+      sheetName: "Donors",
+      rows: donors,
+      columns: [
+        { header: "Hundi No", value: (donor) => donor.hundiNo },
+        { header: "Name", value: (donor) => donor.name, width: 25 },
+        { header: "Mobile Number", value: (donor) => donor.mobileNumber },
+        { header: "Address", value: (donor) => donor.address, width: 40 },
+        {
+          header: "Google Map Link",
+          value: (donor) => donor.googleMapLink,
+          width: 30,
+        },
+        { header: "Group", value: (donor) => donor.group?.name },
+        { header: "Status", value: (donor) => donor.status },
+        {
+          header: "Next Collection Date",
+          value: (donor) => donor.collectionDate,
+          date: true,
+        },
+        { header: "Active", value: (donor) => (donor.isActive ? "Yes" : "No") },
+        {
+          header: "Created By",
+          value: (donor) => donor.createdBy?.name,
+          width: 20,
+        },
+        {
+          header: "Created On",
+          value: (donor) => donor.createdAt,
+          date: true,
+        },
+      ],
+    });
+  } catch (error) {
+    console.error("Export donors error:", error);
+    if (res.headersSent || res.destroyed) {
+      // Part of the file is already sent, so the download can only be cut short
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to export donors. Please try again.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 // Get donor by ID
 exports.getDonorById = async (req, res) => {
   try {
-    const donor = await Donor.findById(req.params.id).populate([
+    const donor = await Donor.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    }).populate([
       { path: "createdBy", select: "name email" },
       { path: "group", select: "name description" },
     ]);
@@ -255,6 +670,10 @@ exports.getDonorById = async (req, res) => {
       });
     }
 
+    if (!canAccessGroup(req.user, donor.group)) {
+      return sendOutOfScope(res);
+    }
+
     res.json({
       success: true,
       message: "Donor retrieved successfully",
@@ -279,6 +698,86 @@ exports.getDonorById = async (req, res) => {
   }
 };
 
+// Consolidated 80G certificate of a donor's donations in a financial year,
+// by default the last one that has ended
+exports.getDonorCertificate = async (req, res) => {
+  try {
+    const financialYear = req.query.financialYear || getPreviousFinancialYear();
+    const { start, end } = getFinancialYearRange(financialYear);
+
+    const donor = await Donor.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    }).select("name address pan hundiNo group");
+    if (!donor) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.DONOR_NOT_FOUND));
+    }
+    if (!canAccessGroup(req.user, donor.group)) {
+      return sendOutOfScope(res);
+    }
+
+    const organization = await getCertifyingOrganization(req.user.organization);
+    if (!organization) {
+      return res
+        .status(400)
+        .json(
+          createErrorResponse(400, ERROR_MESSAGES.REGISTRATION_80G_MISSING)
+        );
+    }
+
+    const donations = await Donation.find({
+      organization: req.user.organization,
+      donor: donor._id,
+      collectionDate: { $gte: start, $lte: end },
+      voided: { $ne: true },
+      ...ELIGIBLE_FOR_80G,
+    })
+      .sort({ collectionDate: 1 })
+      .select("amount collectionDate receiptNumber paymentMode")
+      .lean();
+    if (donations.length === 0) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.NO_DONATIONS_IN_YEAR));
+    }
+
+    const pdf = createCertificatePdf({
+      organization,
+      donor,
+      financialYear,
+      donations,
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${certificateFilename(
+        donor.hundiNo,
+        financialYear
+      )}"`
+    );
+    await pipeline(pdf, res);
+  } catch (error) {
+    console.error("Get donor certificate error:", error);
+    if (res.headersSent || res.destroyed) {
+      return res.destroy();
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid donor ID format",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create certificate. Please try again.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 // Add status validation helper
 const isValidStatusTransition = (currentStatus, newStatus) => {
   if (currentStatus === newStatus) return true;
@@ -292,6 +791,16 @@ const isValidStatusTransition = (currentStatus, newStatus) => {
   return validTransitions[currentStatus]?.includes(newStatus) || false;
 };
 
+// Donor fields that decide when the next collection falls due
+const SCHEDULE_FIELDS = [
+  "collectionFrequency",
+  "collectionIntervalDays",
+  "preferredDayOfMonth",
+  "preferredWeekOfMonth",
+  "preferredWeekday",
+  "preferredTimeFrom",
+];
+
 // Update donor
 exports.updateDonor = async (req, res) => {
   try {
@@ -305,7 +814,10 @@ exports.updateDonor = async (req, res) => {
       });
     }
 
-    const donor = await Donor.findById(req.params.id);
+    const donor = await Donor.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    });
 
     if (!donor) {
       return res.status(404).json({
@@ -314,9 +826,37 @@ exports.updateDonor = async (req, res) => {
       });
     }
 
+    // Collectors can neither edit donors outside their groups nor move donors
+    // out of them
+    if (
+      !canAccessGroup(req.user, donor.group) ||
+      (req.body.group && !canAccessGroup(req.user, req.body.group))
+    ) {
+      return sendOutOfScope(res);
+    }
+
+    // Donors cannot be moved to another organization or one of its groups.
+    // The location always follows the map link.
+    const { organization, location, ...updates } = req.body;
+    if (
+      updates.group &&
+      !(await Group.exists({
+        _id: updates.group,
+        organization: req.user.organization,
+      }))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      });
+    }
+
     // Check if hundi number is being changed and if it already exists
     if (req.body.hundiNo && req.body.hundiNo !== donor.hundiNo) {
-      const existingDonor = await Donor.findOne({ hundiNo: req.body.hundiNo });
+      const existingDonor = await Donor.findOne({
+        organization: req.user.organization,
+        hundiNo: req.body.hundiNo,
+      });
       if (existingDonor) {
         return res.status(400).json({
           success: false,
@@ -325,16 +865,75 @@ exports.updateDonor = async (req, res) => {
       }
     }
 
+    // The interval only applies to the custom-days frequency
+    if (
+      (updates.collectionFrequency || donor.collectionFrequency) !==
+      "custom-days"
+    ) {
+      updates.collectionIntervalDays = null;
+    }
+
+    // A new preferred day replaces the old rule as a whole, and day of month
+    // rules are dropped when the donor moves off a calendar frequency
+    if (updates.preferredDayOfMonth) {
+      updates.preferredWeekday = null;
+      updates.preferredWeekOfMonth = null;
+    } else if (updates.preferredWeekday !== undefined) {
+      updates.preferredDayOfMonth = null;
+      updates.preferredWeekOfMonth = updates.preferredWeekday
+        ? updates.preferredWeekOfMonth ?? null
+        : null;
+    }
+    if (
+      !isCalendarFrequency(
+        updates.collectionFrequency || donor.collectionFrequency
+      )
+    ) {
+      updates.preferredDayOfMonth = null;
+      updates.preferredWeekOfMonth = null;
+    }
+
+    // The stored collection date was worked out under the old schedule, so a
+    // new one moves it to one cycle after the latest donation, or after today
+    // without one, unless a collection date is given as well
+    const scheduleChanged = SCHEDULE_FIELDS.some(
+      (field) =>
+        updates[field] !== undefined &&
+        String(updates[field] ?? null) !== String(donor[field] ?? null)
+    );
+    if (scheduleChanged && updates.collectionDate === undefined) {
+      const latest = await Donation.findOne({
+        donor: donor._id,
+        voided: { $ne: true },
+      }).sort({ collectionDate: -1 });
+      updates.collectionDate = getNextCollectionDate(
+        { ...donor.toObject(), ...updates },
+        latest ? new Date(latest.collectionDate) : new Date()
+      );
+    }
+
+    const googleMapLink = updates.googleMapLink ?? donor.googleMapLink;
+    if (googleMapLink !== donor.googleMapLink || donor.location === undefined) {
+      updates.location = await geocodeMapLink(googleMapLink);
+    }
+
     // Update donor
     const updatedDonor = await Donor.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      { $set: updates },
       { new: true, runValidators: true }
     ).populate([
       { path: "createdBy", select: "name email" },
       { path: "group", select: "name description" },
     ]);
 
+    await recordAudit(req, {
+      action: "update",
+      entity: "donor",
+      before: donor,
+      after: updatedDonor,
+    });
+
     res.json({
       success: true,
       message: "Donor updated successfully",
@@ -368,8 +967,13 @@ exports.updateDonor = async (req, res) => {
 
 exports.getDonorStatus = async (req, res) => {
   try {
-    const donor = await Donor.findById(req.params.id)
-      .select("name hundiNo status collectionDate statusHistory")
+    const donor = await Donor.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    })
+      .select(
+        "name hundiNo status collectionDate collectionFrequency collectionIntervalDays preferredDayOfMonth preferredWeekOfMonth preferredWeekday preferredTimeFrom preferredTimeTo statusHistory"
+      )
       .populate("group", "name");
 
     if (!donor) {
@@ -379,6 +983,10 @@ exports.getDonorStatus = async (req, res) => {
       });
     }
 
+    if (!canAccessGroup(req.user, donor.group)) {
+      return sendOutOfScope(res);
+    }
+
     res.json({
       success: true,
       message: "Donor status retrieved successfully",
@@ -406,7 +1014,10 @@ exports.getDonorStatus = async (req, res) => {
 // Delete donor
 exports.deleteDonor = async (req, res) => {
   try {
-    const donor = await Donor.findById(req.params.id);
+    const donor = await Donor.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    });
 
     if (!donor) {
       return res.status(404).json({
@@ -415,7 +1026,7 @@ exports.deleteDonor = async (req, res) => {
       });
     }
 
-    // Check if donor has any donations
+    // Check if donor has any donations, voided ones included
     const donationCount = await Donation.countDocuments({
       donor: req.params.id,
     });
@@ -423,12 +1034,19 @@ exports.deleteDonor = async (req, res) => {
       return res.status(400).json({
         success: false,
         message:
-          "Cannot delete donor with existing donations. Please delete donations first.",
+          "Cannot delete donor with existing donations. Deactivate the donor instead.",
       });
     }
 
     await Donor.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: "delete",
+      entity: "donor",
+      before: donor,
+      after: null,
+    });
+
     res.json({
       success: true,
       message: "Donor deleted successfully",
@@ -466,7 +1084,10 @@ exports.updateDonorStatus = async (req, res) => {
     }
 
     const { status, notes } = req.body;
-    const donor = await Donor.findById(req.params.id);
+    const donor = await Donor.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    });
 
     if (!donor) {
       return res.status(404).json({
@@ -475,6 +1096,10 @@ exports.updateDonorStatus = async (req, res) => {
       });
     }
 
+    if (!canAccessGroup(req.user, donor.group)) {
+      return sendOutOfScope(res);
+    }
+
     // Validate status transition
     if (!isValidStatusTransition(donor.status, status)) {
       return res.status(400).json({
@@ -484,6 +1109,7 @@ exports.updateDonorStatus = async (req, res) => {
     }
 
     // Update donor status
+    const before = donor.toObject();
     donor.status = status;
     donor.statusHistory.push({
       status,
@@ -491,17 +1117,20 @@ exports.updateDonorStatus = async (req, res) => {
       notes: notes || `Status changed to ${status}`,
     });
 
-    // Set next collection date based on status
-    if (status === "collected") {
-      donor.collectionDate = new Date();
-      donor.collectionDate.setMonth(donor.collectionDate.getMonth() + 1);
-    } else if (status === "skipped") {
-      donor.collectionDate = new Date();
-      donor.collectionDate.setMonth(donor.collectionDate.getMonth() + 1);
+    // Collected and skipped donors are next due one cycle from now
+    if (status === "collected" || status === "skipped") {
+      donor.collectionDate = getNextCollectionDate(donor);
     }
 
     await donor.save();
 
+    await recordAudit(req, {
+      action: "update",
+      entity: "donor",
+      before,
+      after: donor,
+    });
+
     await donor.populate([
       { path: "createdBy", select: "name email" },
       { path: "group", select: "name description" },
@@ -535,7 +1164,7 @@ exports.updateDonorStatus = async (req, res) => {
 exports.triggerStatusUpdate = async (req, res) => {
   try {
     const { updateDonorStatus } = require("../utils/cronJobs");
-    const result = await updateDonorStatus();
+    const result = await updateDonorStatus(req.user.organization, req);
 
     res.json({
       success: true,
@@ -1,7 +1,26 @@
 const { validationResult } = require("express-validator");
 const Group = require("../models/group.model");
 const Donor = require("../models/donor.model");
+const Donation = require("../models/donation.model");
 const mongoose = require("mongoose");
+const { pipeline } = require("stream/promises");
+const archiver = require("archiver");
+const {
+  getScopedGroupIds,
+  canAccessGroup,
+  sendOutOfScope,
+} = require("../utils/groupScope");
+const { recordAudit } = require("../utils/audit");
+const { streamSpreadsheet } = require("../utils/spreadsheetExport");
+const { getWeek } = require("../utils/collectionSchedule");
+const { getFinancialYearRange } = require("../utils/receipts");
+const {
+  getPreviousFinancialYear,
+  getCertifyingOrganization,
+  certificateFilename,
+  createCertificatePdf,
+} = require("../utils/certificates");
+const { ELIGIBLE_FOR_80G } = require("../utils/payments");
 const {
   createErrorResponse,
   createSuccessResponse,
@@ -9,8 +28,8 @@ const {
   SUCCESS_MESSAGES,
 } = require("../utils/errorHandler");
 
-// Initialize default groups
-exports.initializeDefaultGroups = async (userId) => {
+// Initialize default groups for an organization
+exports.initializeDefaultGroups = async (userId, organizationId) => {
   const session = await mongoose.startSession();
   try {
     session.startTransaction();
@@ -20,6 +39,7 @@ exports.initializeDefaultGroups = async (userId) => {
         name: "Group A",
         area: "Default Area A",
         description: "Default group for area A",
+        organization: organizationId,
         createdBy: userId,
         isActive: true,
       },
@@ -27,6 +47,7 @@ exports.initializeDefaultGroups = async (userId) => {
         name: "Group B",
         area: "Default Area B",
         description: "Default group for area B",
+        organization: organizationId,
         createdBy: userId,
         isActive: true,
       },
@@ -34,6 +55,7 @@ exports.initializeDefaultGroups = async (userId) => {
         name: "Group C",
         area: "Default Area C",
         description: "Default group for area C",
+        organization: organizationId,
         createdBy: userId,
         isActive: true,
       },
@@ -41,6 +63,7 @@ exports.initializeDefaultGroups = async (userId) => {
 
     // Check if any default groups already exist
     const existingGroups = await Group.find({
+      organization: organizationId,
       name: { $in: defaultGroups.map((g) => g.name) },
     }).session(session);
 
@@ -77,7 +100,10 @@ exports.createGroup = async (req, res) => {
     const { name, area, description } = req.body;
 
     // Check if group already exists
-    const existingGroup = await Group.findOne({ name });
+    const existingGroup = await Group.findOne({
+      organization: req.user.organization,
+      name,
+    });
     if (existingGroup) {
       return res.status(400).json({
         success: false,
@@ -86,12 +112,20 @@ exports.createGroup = async (req, res) => {
     }
 
     const group = await Group.create({
+      organization: req.user.organization,
       name,
       area,
       description,
       createdBy: req.user.id,
     });
 
+    await recordAudit(req, {
+      action: "create",
+      entity: "group",
+      before: null,
+      after: group,
+    });
+
     res.status(201).json({
       success: true,
       message: "Group created successfully",
@@ -107,6 +141,28 @@ exports.createGroup = async (req, res) => {
   }
 };
 
+// Group filter from the list query parameters, shared by the list and the
+// export
+const buildGroupFilter = (req) => {
+  const filter = { organization: req.user.organization };
+  if (req.query.search) {
+    filter.$or = [
+      { name: { $regex: req.query.search, $options: "i" } },
+      { area: { $regex: req.query.search, $options: "i" } },
+    ];
+  }
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === "true";
+  }
+
+  // Collectors only see the groups they are assigned to
+  const scopedGroupIds = getScopedGroupIds(req.user);
+  if (scopedGroupIds) {
+    filter._id = { $in: scopedGroupIds };
+  }
+  return filter;
+};
+
 // Get all groups
 exports.getGroups = async (req, res) => {
   try {
@@ -115,14 +171,7 @@ exports.getGroups = async (req, res) => {
     const skip = (page - 1) * limit;
     const sort = req.query.sort || "name";
 
-    // Build filter object
-    const filter = {};
-    if (req.query.search) {
-      filter.$or = [
-        { name: { $regex: req.query.search, $options: "i" } },
-        { area: { $regex: req.query.search, $options: "i" } },
-      ];
-    }
+    const filter = buildGroupFilter(req);
 
     // Get total count for pagination
     const total = await Group.countDocuments(filter);
@@ -156,6 +205,79 @@ exports.getGroups = async (req, res) => {
   }
 };
 
+// Download the groups matching the list filters as CSV or XLSX
+exports.exportGroups = async (req, res) => {
+  try {
+    // Donor counts per group, small enough to hold for the whole export
+    const counts = await Donor.aggregate([
+      { $match: { organization: req.user.organization } },
+      {
+        $group: {
+          _id: "$group",
+          donors: { $sum: 1 },
+          activeDonors: { $sum: { $cond: ["$isActive", 1, 0] } },
+        },
+      },
+    ]);
+    const countsByGroup = new Map(
+      counts.map((count) => [String(count._id), count])
+    );
+
+    const groups = Group.find(buildGroupFilter(req))
+      .sort({ name: 1 })
+      .populate("createdBy", "name")
+      .lean()
+      .cursor();
+
+    await streamSpreadsheet(res, {
+      format: req.query.format,
+      filename: "groups",
+      sheetName: "Groups",
+      rows: groups,
+      columns: [
+        { header: "Name", value: (group) => group.name, width: 20 },
+        { header: "Area", value: (group) => group.area, width: 30 },
+        {
+          header: "Description",
+          value: (group) => group.description,
+          width: 40,
+        },
+        { header: "Active", value: (group) => (group.isActive ? "Yes" : "No") },
+        {
+          header: "Donors",
+          value: (group) => countsByGroup.get(String(group._id))?.donors || 0,
+        },
+        {
+          header: "Active Donors",
+          value: (group) =>
+            countsByGroup.get(String(group._id))?.activeDonors || 0,
+        },
+        {
+          header: "Created By",
+          value: (group) => group.createdBy?.name,
+          width: 20,
+        },
+        {
+          header: "Created On",
+          value: (group) => group.createdAt,
+          date: true,
+        },
+      ],
+    });
+  } catch (error) {
+    console.error("Export groups error:", error);
+    if (res.headersSent || res.destroyed) {
+      // Part of the file is already sent, so the download can only be cut short
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to export groups. Please try again.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 // Get group by ID with its donors
 exports.getGroupById = async (req, res) => {
   try {
@@ -164,10 +286,10 @@ exports.getGroupById = async (req, res) => {
     const skip = (page - 1) * limit;
     const sort = req.query.sort || "name";
 
-    const group = await Group.findById(req.params.id).populate(
-      "createdBy",
-      "name email"
-    );
+    const group = await Group.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    }).populate("createdBy", "name email");
 
     if (!group) {
       return res.status(404).json({
@@ -176,6 +298,10 @@ exports.getGroupById = async (req, res) => {
       });
     }
 
+    if (!canAccessGroup(req.user, group._id)) {
+      return sendOutOfScope(res);
+    }
+
     // Build donor filter
     const donorFilter = { group: req.params.id };
     if (req.query.search) {
@@ -194,12 +320,37 @@ exports.getGroupById = async (req, res) => {
       };
     }
 
+    const conditions = [];
+    // Active donors due by the end of this week, overdue ones included
+    if (req.query.dueThisWeek === "true") {
+      donorFilter.isActive = true;
+      conditions.push({ collectionDate: { $ne: null, $lte: getWeek().end } });
+    }
+    // Donors whose preferred time window overlaps the collector's; donors
+    // without a preferred window can be visited at any time
+    if (req.query.windowFrom && req.query.windowTo) {
+      conditions.push({
+        $or: [
+          { preferredTimeFrom: null },
+          {
+            preferredTimeFrom: { $lt: req.query.windowTo },
+            preferredTimeTo: { $gt: req.query.windowFrom },
+          },
+        ],
+      });
+    }
+    if (conditions.length > 0) {
+      donorFilter.$and = conditions;
+    }
+
     // Get total donors count for pagination
     const totalDonors = await Donor.countDocuments(donorFilter);
 
     // Get donors with pagination and sorting
     const donors = await Donor.find(donorFilter)
-      .select("name hundiNo collectionDate") // removed status from select
+      .select(
+        "name hundiNo collectionDate preferredDayOfMonth preferredWeekOfMonth preferredWeekday preferredTimeFrom preferredTimeTo"
+      ) // removed status from select
       .sort(sort)
       .skip(skip)
       .limit(limit);
@@ -248,7 +399,10 @@ exports.updateGroup = async (req, res) => {
       });
     }
 
-    const group = await Group.findById(req.params.id);
+    const group = await Group.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    });
 
     if (!group) {
       return res.status(404).json({
@@ -257,9 +411,16 @@ exports.updateGroup = async (req, res) => {
       });
     }
 
+    if (!canAccessGroup(req.user, group._id)) {
+      return sendOutOfScope(res);
+    }
+
     // Check if name is being changed and if it already exists
     if (req.body.name && req.body.name !== group.name) {
-      const existingGroup = await Group.findOne({ name: req.body.name });
+      const existingGroup = await Group.findOne({
+        organization: req.user.organization,
+        name: req.body.name,
+      });
       if (existingGroup) {
         return res.status(400).json({
           success: false,
@@ -268,12 +429,22 @@ exports.updateGroup = async (req, res) => {
       }
     }
 
+    // Groups cannot be moved to another organization
+    const { organization, ...updates } = req.body;
+
     const updatedGroup = await Group.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      { $set: updates },
       { new: true, runValidators: true }
     ).populate("createdBy", "name email");
 
+    await recordAudit(req, {
+      action: "update",
+      entity: "group",
+      before: group,
+      after: updatedGroup,
+    });
+
     res.json({
       success: true,
       message: "Group updated successfully",
@@ -308,7 +479,10 @@ exports.updateGroup = async (req, res) => {
 // Delete group
 exports.deleteGroup = async (req, res) => {
   try {
-    const group = await Group.findById(req.params.id);
+    const group = await Group.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    });
 
     if (!group) {
       return res.status(404).json({
@@ -329,6 +503,13 @@ exports.deleteGroup = async (req, res) => {
 
     await Group.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: "delete",
+      entity: "group",
+      before: group,
+      after: null,
+    });
+
     res.json({
       success: true,
       message: "Group deleted successfully",
@@ -351,3 +532,111 @@ exports.deleteGroup = async (req, res) => {
     });
   }
 };
+
+// ZIP of 80G certificates for every donor in a group who gave in a financial
+// year, by default the last one that has ended
+exports.exportGroupCertificates = async (req, res) => {
+  try {
+    const financialYear = req.query.financialYear || getPreviousFinancialYear();
+    const { start, end } = getFinancialYearRange(financialYear);
+
+    const group = await Group.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    }).select("name");
+    if (!group) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.GROUP_NOT_FOUND));
+    }
+    if (!canAccessGroup(req.user, group._id)) {
+      return sendOutOfScope(res);
+    }
+
+    const organization = await getCertifyingOrganization(req.user.organization);
+    if (!organization) {
+      return res
+        .status(400)
+        .json(
+          createErrorResponse(400, ERROR_MESSAGES.REGISTRATION_80G_MISSING)
+        );
+    }
+
+    const donors = await Donor.find({
+      organization: req.user.organization,
+      group: group._id,
+    })
+      .sort({ hundiNo: 1 })
+      .select("name address pan hundiNo")
+      .lean();
+    const donations = await Donation.find({
+      organization: req.user.organization,
+      donor: { $in: donors.map((donor) => donor._id) },
+      collectionDate: { $gte: start, $lte: end },
+      voided: { $ne: true },
+      ...ELIGIBLE_FOR_80G,
+    })
+      .sort({ collectionDate: 1 })
+      .select("donor amount collectionDate receiptNumber paymentMode")
+      .lean();
+    if (donations.length === 0) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.NO_DONATIONS_IN_YEAR));
+    }
+
+    const donationsByDonor = new Map();
+    for (const donation of donations) {
+      const donorId = String(donation.donor);
+      if (!donationsByDonor.has(donorId)) donationsByDonor.set(donorId, []);
+      donationsByDonor.get(donorId).push(donation);
+    }
+
+    const archive = archiver("zip");
+    const groupName = group.name.replace(/[^A-Za-z0-9-]+/g, "-");
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="80G-${groupName}-${financialYear}.zip"`
+    );
+    const sent = pipeline(archive, res);
+
+    try {
+      for (const donor of donors) {
+        const donorDonations = donationsByDonor.get(String(donor._id));
+        if (!donorDonations) continue;
+
+        const pdf = createCertificatePdf({
+          organization,
+          donor,
+          financialYear,
+          donations: donorDonations,
+        });
+        archive.append(pdf, {
+          name: certificateFilename(donor.hundiNo, financialYear),
+        });
+      }
+      await archive.finalize();
+    } catch (error) {
+      archive.destroy(error);
+    }
+    await sent;
+  } catch (error) {
+    console.error("Export group certificates error:", error);
+    if (res.headersSent || res.destroyed) {
+      // Part of the ZIP is already sent, so the download can only be cut short
+      return res.destroy();
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid group ID format",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create certificates. Please try again.",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
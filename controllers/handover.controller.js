@@ -0,0 +1,421 @@
+const mongoose = require("mongoose");
+const Handover = require("../models/handover.model");
+const Donation = require("../models/donation.model");
+const { isAdminRole } = require("../config/permissions");
+const { recordAudit } = require("../utils/audit");
+const {
+  roundAmount,
+  sumAmounts,
+  getCashInHand,
+  getUndepositedCashAgeing,
+} = require("../utils/handovers");
+const {
+  createErrorResponse,
+  createSuccessResponse,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  STATUS_CODES,
+  ERROR_CODES,
+} = require("../utils/errorHandler");
+
+// Collectors only see their own handovers; admins see everyone's
+const handoverFilter = (req, filter = {}) => ({
+  ...filter,
+  organization: req.user.organization,
+  ...(isAdminRole(req.user.role) ? {} : { collector: req.user._id }),
+});
+
+// Hand over cash donations to the treasurer. Without `donationIds` all of the
+// collector's cash that is not yet handed over goes into the batch.
+exports.createHandover = async (req, res) => {
+  let session;
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const { donationIds, notes } = req.body;
+    const filter = {
+      organization: req.user.organization,
+      collectedBy: req.user._id,
+      paymentMode: "cash",
+      cashStatus: "with-collector",
+    };
+    if (donationIds) {
+      filter._id = { $in: donationIds };
+    }
+
+    const donations = await Donation.find(filter)
+      .select("amount")
+      .session(session);
+    if (donationIds && donations.length !== new Set(donationIds).size) {
+      throw {
+        status: STATUS_CODES.BAD_REQUEST,
+        message: ERROR_MESSAGES.HANDOVER_DONATIONS_UNAVAILABLE,
+        code: ERROR_CODES.VALIDATION_ERROR,
+      };
+    }
+    if (donations.length === 0) {
+      throw {
+        status: STATUS_CODES.BAD_REQUEST,
+        message: ERROR_MESSAGES.NO_CASH_TO_HAND_OVER,
+      };
+    }
+
+    const [handover] = await Handover.create(
+      [
+        {
+          organization: req.user.organization,
+          collector: req.user._id,
+          donations: donations.map((donation) => donation._id),
+          amount: sumAmounts(donations),
+          notes,
+        },
+      ],
+      { session }
+    );
+    // Only claim cash that is still with the collector, so a handover created
+    // at the same time cannot take the same donations
+    const claimed = await Donation.updateMany(
+      {
+        _id: { $in: handover.donations },
+        cashStatus: "with-collector",
+        handover: null,
+      },
+      { cashStatus: "handed-over", handover: handover._id },
+      { session }
+    );
+    if (claimed.modifiedCount !== handover.donations.length) {
+      throw {
+        status: STATUS_CODES.CONFLICT,
+        message: ERROR_MESSAGES.HANDOVER_DONATIONS_CHANGED,
+        code: ERROR_CODES.CONFLICT,
+      };
+    }
+
+    await session.commitTransaction();
+
+    await recordAudit(req, {
+      action: "create",
+      entity: "handover",
+      before: null,
+      after: handover,
+    });
+
+    res
+      .status(STATUS_CODES.CREATED)
+      .json(
+        createSuccessResponse(SUCCESS_MESSAGES.HANDOVER_CREATED, { handover })
+      );
+  } catch (error) {
+    if (session) {
+      try {
+        await session.abortTransaction();
+      } catch (rollbackError) {
+        console.error("Error rolling back transaction:", rollbackError);
+      }
+    }
+
+    console.error("Create handover error:", error);
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json(
+          createErrorResponse(error.status, error.message, null, error.code)
+        );
+    }
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
+// List handovers, newest first
+exports.getHandovers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = handoverFilter(req);
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.collector && isAdminRole(req.user.role)) {
+      filter.collector = req.query.collector;
+    }
+    if (req.query.discrepancy === "true") {
+      filter.discrepancy = { $nin: [0, null] };
+    }
+
+    const [handovers, total] = await Promise.all([
+      Handover.find(filter)
+        .select("-donations")
+        .populate([
+          { path: "collector", select: "name email" },
+          { path: "receivedBy", select: "name email" },
+        ])
+        .sort("-createdAt")
+        .skip(skip)
+        .limit(limit),
+      Handover.countDocuments(filter),
+    ]);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.HANDOVERS_RETRIEVED, {
+        handovers,
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Get handovers error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Get a handover with its donations
+exports.getHandoverById = async (req, res) => {
+  try {
+    const handover = await Handover.findOne(
+      handoverFilter(req, { _id: req.params.id })
+    ).populate([
+      { path: "collector", select: "name email" },
+      { path: "receivedBy", select: "name email" },
+      { path: "deposit", select: "depositDate bankName reference amount" },
+      {
+        path: "donations",
+        select: "donor amount collectionDate collectionTime receiptNumber",
+        populate: { path: "donor", select: "name hundiNo" },
+      },
+    ]);
+    if (!handover) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.HANDOVER_NOT_FOUND));
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.HANDOVER_RETRIEVED, { handover })
+    );
+  } catch (error) {
+    console.error("Get handover error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Treasurer confirms the cash received for a handover. A received amount
+// that differs from the donations is kept as the discrepancy.
+exports.confirmHandover = async (req, res) => {
+  let session;
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const { receivedAmount, notes } = req.body;
+    const existing = await Handover.findOne({
+      _id: req.params.id,
+      organization: req.user.organization,
+    }).session(session);
+    if (!existing) {
+      throw {
+        status: STATUS_CODES.NOT_FOUND,
+        message: ERROR_MESSAGES.HANDOVER_NOT_FOUND,
+      };
+    }
+    if (existing.status !== "submitted") {
+      throw {
+        status: STATUS_CODES.CONFLICT,
+        message: ERROR_MESSAGES.HANDOVER_NOT_SUBMITTED,
+        code: ERROR_CODES.CONFLICT,
+      };
+    }
+
+    const handover = await Handover.findOneAndUpdate(
+      { _id: existing._id, status: "submitted" },
+      {
+        status: "confirmed",
+        receivedAmount,
+        discrepancy: roundAmount(receivedAmount - existing.amount),
+        receivedBy: req.user._id,
+        receivedAt: new Date(),
+        receiptNotes: notes,
+      },
+      { new: true, session }
+    );
+    if (!handover) {
+      throw {
+        status: STATUS_CODES.CONFLICT,
+        message: ERROR_MESSAGES.HANDOVER_NOT_SUBMITTED,
+        code: ERROR_CODES.CONFLICT,
+      };
+    }
+    await Donation.updateMany(
+      { handover: handover._id },
+      { cashStatus: "with-treasurer" },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "handover",
+      before: existing,
+      after: handover,
+    });
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.HANDOVER_CONFIRMED, { handover })
+    );
+  } catch (error) {
+    if (session) {
+      try {
+        await session.abortTransaction();
+      } catch (rollbackError) {
+        console.error("Error rolling back transaction:", rollbackError);
+      }
+    }
+
+    console.error("Confirm handover error:", error);
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json(
+          createErrorResponse(error.status, error.message, null, error.code)
+        );
+    }
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
+// Cancel a handover that has not been confirmed yet. Its cash goes back to
+// the collector.
+exports.cancelHandover = async (req, res) => {
+  let session;
+  try {
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const handover = await Handover.findOne(
+      handoverFilter(req, { _id: req.params.id })
+    ).session(session);
+    if (!handover) {
+      throw {
+        status: STATUS_CODES.NOT_FOUND,
+        message: ERROR_MESSAGES.HANDOVER_NOT_FOUND,
+      };
+    }
+    if (handover.status !== "submitted") {
+      throw {
+        status: STATUS_CODES.CONFLICT,
+        message: ERROR_MESSAGES.HANDOVER_NOT_SUBMITTED,
+        code: ERROR_CODES.CONFLICT,
+      };
+    }
+
+    await Donation.updateMany(
+      { handover: handover._id },
+      { cashStatus: "with-collector", handover: null },
+      { session }
+    );
+    await Handover.deleteOne({ _id: handover._id }, { session });
+
+    await session.commitTransaction();
+
+    await recordAudit(req, {
+      action: "delete",
+      entity: "handover",
+      before: handover,
+      after: null,
+    });
+
+    res.json(createSuccessResponse(SUCCESS_MESSAGES.HANDOVER_CANCELLED));
+  } catch (error) {
+    if (session) {
+      try {
+        await session.abortTransaction();
+      } catch (rollbackError) {
+        console.error("Error rolling back transaction:", rollbackError);
+      }
+    }
+
+    console.error("Cancel handover error:", error);
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json(
+          createErrorResponse(error.status, error.message, null, error.code)
+        );
+    }
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
+// Report: undeposited cash per collector and with the treasurer
+exports.getCashInHandReport = async (req, res) => {
+  try {
+    const report = await getCashInHand(req.user.organization);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.CASH_IN_HAND_RETRIEVED, report)
+    );
+  } catch (error) {
+    console.error("Cash in hand report error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Report: undeposited cash by age
+exports.getCashAgeingReport = async (req, res) => {
+  try {
+    const report = await getUndepositedCashAgeing(req.user.organization);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.CASH_AGEING_RETRIEVED, report)
+    );
+  } catch (error) {
+    console.error("Cash ageing report error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
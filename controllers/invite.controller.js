@@ -0,0 +1,207 @@
+const mongoose = require("mongoose");
+const Invite = require("../models/invite.model");
+const Group = require("../models/group.model");
+const {
+  hashToken,
+  createSignedCode,
+  verifySignedCode,
+} = require("../utils/tokenService");
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  createErrorResponse,
+  createSuccessResponse,
+} = require("../utils/errorHandler");
+
+const DEFAULT_INVITE_TTL_DAYS = 7;
+
+// Atomically mark an invite as used. Returns the invite, or null when the
+// code is forged, unknown, expired, revoked or already used.
+exports.claimInvite = async (code, session = null) => {
+  const inviteId = verifySignedCode(code);
+  if (!inviteId) return null;
+
+  return Invite.findOneAndUpdate(
+    {
+      _id: inviteId,
+      codeHash: hashToken(code),
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { session, new: true }
+  );
+};
+
+// Create an invite into an organization and its one-time code
+const issueInvite = async ({
+  organization,
+  email,
+  role,
+  groups = [],
+  expiresInDays,
+  createdBy,
+}) => {
+  const inviteId = new mongoose.Types.ObjectId();
+  const code = createSignedCode(inviteId);
+  const ttlDays = expiresInDays || DEFAULT_INVITE_TTL_DAYS;
+
+  const invite = await Invite.create({
+    _id: inviteId,
+    codeHash: hashToken(code),
+    organization,
+    email,
+    role,
+    groups,
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    createdBy,
+  });
+
+  return { invite, code };
+};
+exports.issueInvite = issueInvite;
+
+// Create a new invite. The code is only returned in this response.
+exports.createInvite = async (req, res) => {
+  try {
+    const { email, role, groups = [], expiresInDays } = req.body;
+
+    // Make sure every scoped group exists
+    if (groups.length > 0) {
+      const groupCount = await Group.countDocuments({
+        _id: { $in: groups },
+        organization: req.user.organization,
+      });
+      if (groupCount !== new Set(groups.map(String)).size) {
+        return res
+          .status(404)
+          .json(createErrorResponse(404, ERROR_MESSAGES.GROUP_NOT_FOUND));
+      }
+    }
+
+    const { invite, code } = await issueInvite({
+      organization: req.user.organization,
+      email,
+      role,
+      groups,
+      expiresInDays,
+      createdBy: req.user._id,
+    });
+
+    await invite.populate("groups", "name area");
+
+    res.status(201).json(
+      createSuccessResponse(SUCCESS_MESSAGES.INVITE_CREATED, {
+        invite,
+        code,
+      })
+    );
+  } catch (error) {
+    console.error("Create invite error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// List invites
+exports.getInvites = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { organization: req.user.organization };
+    const now = new Date();
+    switch (req.query.status) {
+      case "pending":
+        Object.assign(filter, {
+          usedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: now },
+        });
+        break;
+      case "used":
+        filter.usedAt = { $ne: null };
+        break;
+      case "revoked":
+        filter.revokedAt = { $ne: null };
+        break;
+      case "expired":
+        Object.assign(filter, {
+          usedAt: null,
+          revokedAt: null,
+          expiresAt: { $lte: now },
+        });
+        break;
+    }
+
+    const [invites, total] = await Promise.all([
+      Invite.find(filter)
+        .populate([
+          { path: "groups", select: "name area" },
+          { path: "createdBy", select: "name email" },
+          { path: "usedBy", select: "name email" },
+        ])
+        .sort("-createdAt")
+        .skip(skip)
+        .limit(limit),
+      Invite.countDocuments(filter),
+    ]);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.INVITES_RETRIEVED, {
+        invites,
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Get invites error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Revoke an unused invite
+exports.revokeInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        organization: req.user.organization,
+        usedAt: null,
+        revokedAt: null,
+      },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.INVITE_NOT_FOUND));
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.INVITE_REVOKED, { invite })
+    );
+  } catch (error) {
+    console.error("Revoke invite error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
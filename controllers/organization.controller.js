@@ -0,0 +1,216 @@
+const Organization = require("../models/organization.model");
+const User = require("../models/user.model");
+const Donor = require("../models/donor.model");
+const Group = require("../models/group.model");
+const { ROLES } = require("../config/permissions");
+const { issueInvite } = require("./invite.controller");
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  ERROR_CODES,
+  createErrorResponse,
+  createSuccessResponse,
+} = require("../utils/errorHandler");
+
+const sendOrganizationNotFound = (res) =>
+  res
+    .status(404)
+    .json(createErrorResponse(404, ERROR_MESSAGES.ORGANIZATION_NOT_FOUND));
+
+const handleOrganizationError = (res, error, context) => {
+  console.error(`${context} error:`, error);
+
+  // Handle specific MongoDB errors
+  if (error.code === 11000) {
+    return res
+      .status(409)
+      .json(
+        createErrorResponse(
+          409,
+          ERROR_MESSAGES.ORGANIZATION_SLUG_IN_USE,
+          null,
+          ERROR_CODES.CONFLICT
+        )
+      );
+  }
+
+  if (error.name === "CastError") {
+    return res
+      .status(400)
+      .json(createErrorResponse(400, ERROR_MESSAGES.INVALID_ID));
+  }
+
+  res
+    .status(500)
+    .json(createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message));
+};
+
+// Create an organization
+exports.createOrganization = async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+
+    const organization = await Organization.create({
+      name,
+      slug,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json(
+      createSuccessResponse(SUCCESS_MESSAGES.ORGANIZATION_CREATED, {
+        organization,
+      })
+    );
+  } catch (error) {
+    handleOrganizationError(res, error, "Create organization");
+  }
+};
+
+// List and search organizations
+exports.getOrganizations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+    if (req.query.search) {
+      filter.$or = [
+        { name: { $regex: req.query.search, $options: "i" } },
+        { slug: { $regex: req.query.search, $options: "i" } },
+      ];
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true";
+    }
+
+    const [organizations, total] = await Promise.all([
+      Organization.find(filter).sort("name").skip(skip).limit(limit),
+      Organization.countDocuments(filter),
+    ]);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.ORGANIZATIONS_RETRIEVED, {
+        organizations,
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    );
+  } catch (error) {
+    handleOrganizationError(res, error, "Get organizations");
+  }
+};
+
+// Get an organization with a summary of its members and data
+exports.getOrganizationById = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id).populate(
+      "createdBy",
+      "name email"
+    );
+    if (!organization) {
+      return sendOrganizationNotFound(res);
+    }
+
+    const [users, admins, groups, donors] = await Promise.all([
+      User.countDocuments({ organization: organization._id }),
+      User.countDocuments({
+        organization: organization._id,
+        role: { $in: [ROLES.ADMIN, ROLES.SUPER_ADMIN] },
+      }),
+      Group.countDocuments({ organization: organization._id }),
+      Donor.countDocuments({ organization: organization._id }),
+    ]);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.ORGANIZATION_RETRIEVED, {
+        organization,
+        counts: { users, admins, groups, donors },
+      })
+    );
+  } catch (error) {
+    handleOrganizationError(res, error, "Get organization");
+  }
+};
+
+// Rename, activate or deactivate an organization, or set the details
+// printed on its 80G certificates
+exports.updateOrganization = async (req, res) => {
+  try {
+    const { name, slug, isActive, address, pan, registration80G } = req.body;
+
+    // Deactivating your own organization would lock you out
+    if (
+      isActive === false &&
+      String(req.params.id) === String(req.user.organization)
+    ) {
+      return res
+        .status(400)
+        .json(
+          createErrorResponse(
+            400,
+            ERROR_MESSAGES.CANNOT_DEACTIVATE_OWN_ORGANIZATION
+          )
+        );
+    }
+
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (slug !== undefined) update.slug = slug;
+    if (isActive !== undefined) update.isActive = isActive;
+    if (address !== undefined) update.address = address;
+    if (pan !== undefined) update.pan = pan;
+    if (registration80G !== undefined) update.registration80G = registration80G;
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.params.id,
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!organization) {
+      return sendOrganizationNotFound(res);
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.ORGANIZATION_UPDATED, {
+        organization,
+      })
+    );
+  } catch (error) {
+    handleOrganizationError(res, error, "Update organization");
+  }
+};
+
+// Invite someone into an organization, typically its first admin. The code
+// is only returned in this response.
+exports.createOrganizationInvite = async (req, res) => {
+  try {
+    const { email, role = ROLES.ADMIN, expiresInDays } = req.body;
+
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return sendOrganizationNotFound(res);
+    }
+
+    const { invite, code } = await issueInvite({
+      organization: organization._id,
+      email,
+      role,
+      expiresInDays,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json(
+      createSuccessResponse(SUCCESS_MESSAGES.INVITE_CREATED, {
+        invite,
+        code,
+      })
+    );
+  } catch (error) {
+    handleOrganizationError(res, error, "Create organization invite");
+  }
+};
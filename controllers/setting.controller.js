@@ -0,0 +1,118 @@
+const { hasPermission } = require("../config/permissions");
+const {
+  SETTING_DEFINITIONS,
+  isDeploymentSetting,
+  getAllSettings,
+  setSetting,
+} = require("../utils/settings");
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  ERROR_CODES,
+  createErrorResponse,
+  createSuccessResponse,
+} = require("../utils/errorHandler");
+
+// Get the runtime settings of the user's organization
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = await getAllSettings(req.user.organization);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.SETTINGS_RETRIEVED, { settings })
+    );
+  } catch (error) {
+    console.error("Get settings error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
+
+// Update one or more runtime settings of the user's organization
+exports.updateSettings = async (req, res) => {
+  try {
+    const updates = Object.entries(req.body);
+
+    const unknown = updates.filter(([key]) => !SETTING_DEFINITIONS[key]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: ERROR_MESSAGES.VALIDATION_FAILED,
+        errors: unknown.map(([key]) => ({
+          field: key,
+          message: ERROR_MESSAGES.UNKNOWN_SETTING,
+        })),
+      });
+    }
+
+    const invalid = updates.filter(
+      ([key, value]) => typeof value !== SETTING_DEFINITIONS[key].type
+    );
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: ERROR_MESSAGES.VALIDATION_FAILED,
+        errors: invalid.map(([key]) => ({
+          field: key,
+          message: `${key} must be a ${SETTING_DEFINITIONS[key].type}`,
+        })),
+      });
+    }
+
+    // Numeric settings are whole numbers within their definition's range
+    const outOfRange = updates.filter(([key, value]) => {
+      const { type, min, max } = SETTING_DEFINITIONS[key];
+      return (
+        type === "number" &&
+        (!Number.isInteger(value) || value < min || value > max)
+      );
+    });
+    if (outOfRange.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: ERROR_MESSAGES.VALIDATION_FAILED,
+        errors: outOfRange.map(([key]) => ({
+          field: key,
+          message: `${key} must be a whole number between ${SETTING_DEFINITIONS[key].min} and ${SETTING_DEFINITIONS[key].max}`,
+        })),
+      });
+    }
+
+    // Deployment settings affect every organization
+    if (
+      updates.some(([key]) => isDeploymentSetting(key)) &&
+      !hasPermission(req.user.role, "settings:deployment")
+    ) {
+      return res
+        .status(403)
+        .json(
+          createErrorResponse(
+            403,
+            ERROR_MESSAGES.DEPLOYMENT_SETTING,
+            null,
+            ERROR_CODES.FORBIDDEN
+          )
+        );
+    }
+
+    for (const [key, value] of updates) {
+      await setSetting(key, value, req.user._id, req.user.organization);
+    }
+
+    const settings = await getAllSettings(req.user.organization);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.SETTINGS_UPDATED, { settings })
+    );
+  } catch (error) {
+    console.error("Update settings error:", error);
+    res
+      .status(500)
+      .json(
+        createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message)
+      );
+  }
+};
@@ -0,0 +1,565 @@
+const User = require("../models/user.model");
+const Group = require("../models/group.model");
+const { ROLES, isAdminRole } = require("../config/permissions");
+const { revokeAllSessions } = require("../utils/tokenService");
+const { recordAudit } = require("../utils/audit");
+const {
+  findLoginEvents,
+  summarizeLoginActivity,
+} = require("../utils/loginEvents");
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  ERROR_CODES,
+  createErrorResponse,
+  createSuccessResponse,
+} = require("../utils/errorHandler");
+
+// Shape a user for admin responses
+const toAdminView = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  mobileNumber: user.mobileNumber,
+  role: user.role,
+  organization: user.organization,
+  groups: user.groups,
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  passwordResetRequired: user.passwordResetRequired,
+  twoFactorEnabled: user.twoFactorEnabled,
+  failedLoginAttempts: user.failedLoginAttempts,
+  lockUntil: user.isLocked() ? user.lockUntil : null,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+// Whether taking admin rights away from this user would leave their
+// organization without an active admin
+const isLastActiveAdmin = async (user) => {
+  if (!isAdminRole(user.role) || !user.isActive) return false;
+  const activeAdmins = await User.countDocuments({
+    organization: user.organization,
+    role: { $in: [ROLES.ADMIN, ROLES.SUPER_ADMIN] },
+    isActive: true,
+  });
+  return activeAdmins <= 1;
+};
+
+const findOrganizationUser = (req) =>
+  User.findOne({ _id: req.params.id, organization: req.user.organization });
+
+// Load the target user, refusing changes to the caller's own account and
+// to super admins unless the caller is one.
+// Sends the error response and returns null when the change is not allowed.
+const findManagedUser = async (req, res) => {
+  if (String(req.params.id) === String(req.user._id)) {
+    res
+      .status(400)
+      .json(createErrorResponse(400, ERROR_MESSAGES.CANNOT_MODIFY_SELF));
+    return null;
+  }
+
+  const user = await findOrganizationUser(req);
+  if (!user) {
+    res
+      .status(404)
+      .json(createErrorResponse(404, ERROR_MESSAGES.USER_NOT_FOUND));
+    return null;
+  }
+
+  if (user.role === ROLES.SUPER_ADMIN && req.user.role !== ROLES.SUPER_ADMIN) {
+    res
+      .status(403)
+      .json(
+        createErrorResponse(
+          403,
+          ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          null,
+          ERROR_CODES.FORBIDDEN
+        )
+      );
+    return null;
+  }
+
+  return user;
+};
+
+const DEFAULT_ACTIVITY_DAYS = 7;
+const DEFAULT_FAILURE_THRESHOLD = 5;
+
+const handleUserError = (res, error, context) => {
+  console.error(`${context} error:`, error);
+
+  // Handle specific MongoDB errors
+  if (error.name === "CastError") {
+    return res
+      .status(400)
+      .json(createErrorResponse(400, ERROR_MESSAGES.INVALID_ID));
+  }
+
+  res
+    .status(500)
+    .json(createErrorResponse(500, ERROR_MESSAGES.SERVER_ERROR, error.message));
+};
+
+// List and search users
+exports.getUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const sort = req.query.sort || "name";
+
+    // Build filter object
+    const filter = { organization: req.user.organization };
+    if (req.query.search) {
+      filter.$or = [
+        { name: { $regex: req.query.search, $options: "i" } },
+        { email: { $regex: req.query.search, $options: "i" } },
+        { mobileNumber: { $regex: req.query.search, $options: "i" } },
+      ];
+    }
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true";
+    }
+    if (req.query.group) {
+      filter.groups = req.query.group;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort(sort).skip(skip).limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.USERS_RETRIEVED, {
+        users: users.map(toAdminView),
+        pagination: {
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    );
+  } catch (error) {
+    handleUserError(res, error, "Get users");
+  }
+};
+
+// Get a single user with their account history
+exports.getUserById = async (req, res) => {
+  try {
+    const user = await findOrganizationUser(req).populate([
+      { path: "groups", select: "name area" },
+      { path: "accountHistory.changedBy", select: "name email" },
+    ]);
+
+    if (!user) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.USER_NOT_FOUND));
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.USER_RETRIEVED, {
+        user: {
+          ...toAdminView(user),
+          accountHistory: user.accountHistory,
+        },
+      })
+    );
+  } catch (error) {
+    handleUserError(res, error, "Get user");
+  }
+};
+
+// List a user's sign-in attempts, newest first
+exports.getUserLoginHistory = async (req, res) => {
+  try {
+    const user = await findOrganizationUser(req);
+    if (!user) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.USER_NOT_FOUND));
+    }
+
+    const { loginEvents, pagination } = await findLoginEvents(
+      { user: user._id },
+      req.query
+    );
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.LOGIN_HISTORY_RETRIEVED, {
+        loginEvents,
+        pagination,
+      })
+    );
+  } catch (error) {
+    handleUserError(res, error, "Get user login history");
+  }
+};
+
+// Summarize recent sign-in attempts per user and flag accounts with many
+// failed attempts, sign-ins from new devices or sign-ins at unusual hours
+exports.getLoginActivity = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || DEFAULT_ACTIVITY_DAYS;
+    const failureThreshold =
+      parseInt(req.query.failureThreshold) || DEFAULT_FAILURE_THRESHOLD;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const summaries = await summarizeLoginActivity(
+      req.user.organization,
+      since
+    );
+    const users = await User.find({
+      _id: { $in: summaries.map((summary) => summary._id) },
+    }).select("name email role isActive");
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+    let activity = summaries.map(({ _id, ...summary }) => {
+      const flags = [];
+      if (summary.failures >= failureThreshold) flags.push("many-failures");
+      if (summary.newDevices > 0) flags.push("new-device");
+      if (summary.unusualHourLogins > 0) flags.push("unusual-hours");
+
+      const user = usersById.get(String(_id));
+      return {
+        user: user && {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          isActive: user.isActive,
+        },
+        ...summary,
+        flags,
+      };
+    });
+    if (req.query.flagged === "true") {
+      activity = activity.filter((entry) => entry.flags.length > 0);
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.LOGIN_ACTIVITY_RETRIEVED, {
+        since,
+        failureThreshold,
+        activity,
+      })
+    );
+  } catch (error) {
+    handleUserError(res, error, "Get login activity");
+  }
+};
+
+// Activate or deactivate a user
+exports.updateUserStatus = async (req, res) => {
+  try {
+    const { isActive, notes } = req.body;
+
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    const before = user.toObject();
+
+    if (user.isActive !== isActive) {
+      if (!isActive && (await isLastActiveAdmin(user))) {
+        return res
+          .status(409)
+          .json(
+            createErrorResponse(
+              409,
+              ERROR_MESSAGES.LAST_ACTIVE_ADMIN,
+              null,
+              ERROR_CODES.CONFLICT
+            )
+          );
+      }
+
+      user.isActive = isActive;
+      user.accountHistory.push({
+        action: isActive ? "activated" : "deactivated",
+        from: String(!isActive),
+        to: String(isActive),
+        changedBy: req.user._id,
+        date: new Date(),
+        notes,
+      });
+      await user.save();
+
+      await recordAudit(req, {
+        action: "update",
+        entity: "user",
+        before,
+        after: user,
+      });
+
+      // A deactivated user must not keep using existing sessions
+      if (!isActive) {
+        await revokeAllSessions(user._id, "revoked");
+      }
+    }
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.USER_STATUS_UPDATED, {
+        user: toAdminView(user),
+      })
+    );
+  } catch (error) {
+    handleUserError(res, error, "Update user status");
+  }
+};
+
+// Promote or demote a user
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role, notes } = req.body;
+
+    // Only super admins can make someone a super admin
+    if (role === ROLES.SUPER_ADMIN && req.user.role !== ROLES.SUPER_ADMIN) {
+      return res
+        .status(403)
+        .json(
+          createErrorResponse(
+            403,
+            ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+            null,
+            ERROR_CODES.FORBIDDEN
+          )
+        );
+    }
+
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    const before = user.toObject();
+
+    if (user.role !== role) {
+      if (!isAdminRole(role) && (await isLastActiveAdmin(user))) {
+        return res
+          .status(409)
+          .json(
+            createErrorResponse(
+              409,
+              ERROR_MESSAGES.LAST_ACTIVE_ADMIN,
+              null,
+              ERROR_CODES.CONFLICT
+            )
+          );
+      }
+
+      user.accountHistory.push({
+        action: "role-changed",
+        from: user.role,
+        to: role,
+        changedBy: req.user._id,
+        date: new Date(),
+        notes,
+      });
+      user.role = role;
+      await user.save();
+    }
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "user",
+      before,
+      after: user,
+    });
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.USER_ROLE_UPDATED, {
+        user: toAdminView(user),
+      })
+    );
+  } catch (error) {
+    handleUserError(res, error, "Update user role");
+  }
+};
+
+// Replace the groups a user is assigned to
+exports.updateUserGroups = async (req, res) => {
+  try {
+    const { groups, notes } = req.body;
+    const groupIds = [...new Set(groups.map(String))];
+
+    const user = await findOrganizationUser(req);
+    if (!user) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.USER_NOT_FOUND));
+    }
+    const before = user.toObject();
+
+    // Make sure every group exists
+    const groupCount = await Group.countDocuments({
+      _id: { $in: groupIds },
+      organization: req.user.organization,
+    });
+    if (groupCount !== groupIds.length) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.GROUP_NOT_FOUND));
+    }
+
+    const previous = user.groups.map(String);
+    const changed =
+      previous.length !== groupIds.length ||
+      groupIds.some((id) => !previous.includes(id));
+
+    if (changed) {
+      user.accountHistory.push({
+        action: "groups-changed",
+        from: previous.join(","),
+        to: groupIds.join(","),
+        changedBy: req.user._id,
+        date: new Date(),
+        notes,
+      });
+      user.groups = groupIds;
+      await user.save();
+    }
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "user",
+      before,
+      after: user,
+    });
+
+    await user.populate("groups", "name area");
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.USER_GROUPS_UPDATED, {
+        user: toAdminView(user),
+      })
+    );
+  } catch (error) {
+    handleUserError(res, error, "Update user groups");
+  }
+};
+
+// Require the user to set a new password and sign them out everywhere
+exports.forcePasswordReset = async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    const before = user.toObject();
+
+    user.passwordResetRequired = true;
+    user.accountHistory.push({
+      action: "password-reset-forced",
+      changedBy: req.user._id,
+      date: new Date(),
+      notes,
+    });
+    await user.save();
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "user",
+      before,
+      after: user,
+    });
+
+    const revokedSessions = await revokeAllSessions(user._id, "revoked");
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.PASSWORD_RESET_FORCED, {
+        user: toAdminView(user),
+        revokedSessions,
+      })
+    );
+  } catch (error) {
+    handleUserError(res, error, "Force password reset");
+  }
+};
+
+// Turn off two-factor authentication for a user who lost their authenticator
+// and recovery codes. They can enroll again after logging in.
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    const before = user.toObject();
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.accountHistory.push({
+      action: "two-factor-reset",
+      changedBy: req.user._id,
+      date: new Date(),
+      notes,
+    });
+    await user.save();
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "user",
+      before,
+      after: user,
+    });
+
+    const revokedSessions = await revokeAllSessions(user._id, "revoked");
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.TWO_FACTOR_RESET, {
+        user: toAdminView(user),
+        revokedSessions,
+      })
+    );
+  } catch (error) {
+    handleUserError(res, error, "Reset two-factor");
+  }
+};
+
+// Lift a login lockout before it expires
+exports.unlockUser = async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    const user = await findOrganizationUser(req);
+    if (!user) {
+      return res
+        .status(404)
+        .json(createErrorResponse(404, ERROR_MESSAGES.USER_NOT_FOUND));
+    }
+    const before = user.toObject();
+
+    const wasLocked = user.isLocked();
+    user.resetLoginAttempts();
+    if (wasLocked) {
+      user.accountHistory.push({
+        action: "unlocked",
+        changedBy: req.user._id,
+        date: new Date(),
+        notes,
+      });
+    }
+    await user.save();
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "user",
+      before,
+      after: user,
+    });
+
+    res.json(
+      createSuccessResponse(SUCCESS_MESSAGES.USER_UNLOCKED, {
+        user: toAdminView(user),
+      })
+    );
+  } catch (error) {
+    handleUserError(res, error, "Unlock user");
+  }
+};
@@ -1,15 +1,114 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const ApiKey = require("../models/apiKey.model");
+const { isAdminRole } = require("../config/permissions");
+const { getSetting } = require("../utils/settings");
+const { isOrganizationActive } = require("../utils/organizations");
+const { recordLoginEvent } = require("../utils/loginEvents");
+const {
+  hashToken,
+  hashesMatch,
+  parseApiKey,
+} = require("../utils/tokenService");
 const {
   createErrorResponse,
   ERROR_MESSAGES,
   ERROR_CODES,
 } = require("../utils/errorHandler");
 
-const TOKEN_REFRESH_THRESHOLD = 24 * 60 * 60; // 24 hours in seconds
+// Marks requests allowed through while the user must still secure their
+// account (reset their password or set up two-factor authentication)
+const ALLOW_PENDING_ACCOUNT_SETUP = Symbol("allowPendingAccountSetup");
+
+const sendOrganizationInactive = (res) =>
+  res
+    .status(403)
+    .json(
+      createErrorResponse(
+        403,
+        ERROR_MESSAGES.ORGANIZATION_INACTIVE,
+        null,
+        ERROR_CODES.FORBIDDEN
+      )
+    );
+
+// Authenticate a request made with an API key. The request acts as the admin
+// who created the key, and `authorize` limits it to the key's scopes.
+// The login history gets an entry when a key is used from a new address or
+// presented after it was revoked, expired or with the wrong secret.
+const authenticateApiKey = async (req, res, next, apiKey) => {
+  const parsed = parseApiKey(apiKey);
+  const key = parsed
+    ? await ApiKey.findById(parsed.keyId).select("+keyHash")
+    : null;
+  const login = { method: "api-key", apiKey: key, identifier: key?.name };
+
+  if (
+    !key ||
+    !key.isActive() ||
+    !hashesMatch(hashToken(parsed.secret), key.keyHash)
+  ) {
+    if (key) {
+      await recordLoginEvent(req, {
+        ...login,
+        success: false,
+        failureReason: "invalid-api-key",
+      });
+    }
+    return res
+      .status(401)
+      .json(
+        createErrorResponse(
+          401,
+          ERROR_MESSAGES.INVALID_API_KEY,
+          null,
+          ERROR_CODES.INVALID_API_KEY
+        )
+      );
+  }
+
+  // Keys stop working when the admin who created them is deactivated
+  const user = await User.findById(key.createdBy).select("-password");
+  if (!user || !user.isActive) {
+    return res
+      .status(401)
+      .json(
+        createErrorResponse(
+          401,
+          ERROR_MESSAGES.USER_DEACTIVATED,
+          null,
+          ERROR_CODES.UNAUTHORIZED
+        )
+      );
+  }
+
+  if (!(await isOrganizationActive(user.organization))) {
+    return sendOrganizationInactive(res);
+  }
+
+  if (key.lastUsedIp !== req.ip) {
+    await recordLoginEvent(req, { ...login, user, success: true });
+  }
+
+  await ApiKey.updateOne(
+    { _id: key._id },
+    { lastUsedAt: new Date(), lastUsedIp: req.ip }
+  );
+
+  req.apiKey = key;
+  req.user = user;
+  next();
+};
 
 const auth = async (req, res, next) => {
   try {
+    // Integrations send an API key instead of a bearer token
+    const apiKey = req.header("X-API-Key");
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     // Get token from header
     const authHeader = req.header("Authorization");
     if (!authHeader?.startsWith("Bearer ")) {
@@ -59,38 +158,63 @@ const auth = async (req, res, next) => {
           );
       }
 
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
-
-      // Check if token needs to be refreshed
-      const tokenExp = decoded.exp;
-      const now = Math.floor(Date.now() / 1000);
-      const timeUntilExp = tokenExp - now;
-
-      if (timeUntilExp < TOKEN_REFRESH_THRESHOLD) {
-        try {
-          // Generate new token
-          const newToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-            expiresIn: process.env.JWT_EXPIRES_IN || "30d",
-          });
-
-          // Add new token to response headers
-          res.setHeader("X-New-Token", newToken);
-          res.setHeader(
-            "X-Token-Expiry",
-            new Date(decoded.exp * 1000).toISOString()
+      if (!(await isOrganizationActive(user.organization))) {
+        return sendOrganizationInactive(res);
+      }
+
+      // Ensure the session behind the token has not been revoked
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (
+        !session ||
+        !session.isActive() ||
+        String(session.user) !== String(user._id)
+      ) {
+        return res
+          .status(401)
+          .json(
+            createErrorResponse(
+              401,
+              ERROR_MESSAGES.SESSION_REVOKED,
+              null,
+              ERROR_CODES.SESSION_REVOKED
+            )
+          );
+      }
+
+      // Users flagged for a password reset may only reach the endpoints to do so
+      if (user.passwordResetRequired && !req[ALLOW_PENDING_ACCOUNT_SETUP]) {
+        return res
+          .status(403)
+          .json(
+            createErrorResponse(
+              403,
+              ERROR_MESSAGES.PASSWORD_RESET_REQUIRED,
+              null,
+              ERROR_CODES.PASSWORD_RESET_REQUIRED
+            )
           );
-          res.setHeader(
-            "Access-Control-Expose-Headers",
-            "X-New-Token, X-Token-Expiry"
+      }
+
+      // Admins may be required to enroll in two-factor authentication first
+      if (
+        isAdminRole(user.role) &&
+        !user.twoFactorEnabled &&
+        !req[ALLOW_PENDING_ACCOUNT_SETUP] &&
+        (await getSetting("requireAdminTwoFactor", user.organization))
+      ) {
+        return res
+          .status(403)
+          .json(
+            createErrorResponse(
+              403,
+              ERROR_MESSAGES.TWO_FACTOR_SETUP_REQUIRED,
+              null,
+              ERROR_CODES.TWO_FACTOR_SETUP_REQUIRED
+            )
           );
-        } catch (error) {
-          console.error("Token refresh error:", error);
-          // Continue with the request even if token refresh fails
-        }
       }
 
+      req.authSession = session;
       req.user = user;
       next();
     } catch (error) {
@@ -136,6 +260,30 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Same as `auth`, but also admits users who still have to reset their password
+// or set up two-factor authentication, for the endpoints that let them do so
+const authAllowingAccountSetup = (req, res, next) => {
+  req[ALLOW_PENDING_ACCOUNT_SETUP] = true;
+  return auth(req, res, next);
+};
+
+// Refuse API keys on endpoints that manage a person's own account
+const rejectApiKeys = (req, res, next) => {
+  if (req.header("X-API-Key")) {
+    return res
+      .status(403)
+      .json(
+        createErrorResponse(
+          403,
+          ERROR_MESSAGES.API_KEY_NOT_ALLOWED,
+          null,
+          ERROR_CODES.FORBIDDEN
+        )
+      );
+  }
+  next();
+};
+
 // Simple middleware that just ensures user is authenticated (no role checks)
 const ensureAuth = async (req, res, next) => {
   try {
@@ -242,4 +390,4 @@ const ensureAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth };
+module.exports = { auth, authAllowingAccountSetup, rejectApiKeys };
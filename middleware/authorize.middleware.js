@@ -0,0 +1,54 @@
+const { hasPermission } = require("../config/permissions");
+const {
+  createErrorResponse,
+  ERROR_MESSAGES,
+  ERROR_CODES,
+} = require("../utils/errorHandler");
+
+// Ensure the authenticated user holds a permission from config/permissions.js,
+// and for API key requests that the key was granted it as a scope.
+// Must be mounted after `auth`.
+const authorize = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res
+      .status(401)
+      .json(
+        createErrorResponse(
+          401,
+          ERROR_MESSAGES.UNAUTHORIZED,
+          null,
+          ERROR_CODES.UNAUTHORIZED
+        )
+      );
+  }
+
+  if (!hasPermission(req.user.role, permission)) {
+    return res
+      .status(403)
+      .json(
+        createErrorResponse(
+          403,
+          ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          null,
+          ERROR_CODES.FORBIDDEN
+        )
+      );
+  }
+
+  if (req.apiKey && !req.apiKey.scopes.includes(permission)) {
+    return res
+      .status(403)
+      .json(
+        createErrorResponse(
+          403,
+          ERROR_MESSAGES.INSUFFICIENT_SCOPE,
+          null,
+          ERROR_CODES.FORBIDDEN
+        )
+      );
+  }
+
+  next();
+};
+
+module.exports = { authorize };
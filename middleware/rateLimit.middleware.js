@@ -0,0 +1,115 @@
+const { rateLimit } = require("express-rate-limit");
+const {
+  createErrorResponse,
+  ERROR_MESSAGES,
+  ERROR_CODES,
+} = require("../utils/errorHandler");
+
+// Counters live in the memory of each server process. Behind a load balancer
+// or on serverless hosting every instance counts separately, so the limits
+// are per instance rather than global.
+const MINUTE = 60 * 1000;
+
+const envInt = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+const rateLimitHandler = (req, res, next, options) => {
+  res
+    .status(options.statusCode)
+    .json(
+      createErrorResponse(
+        options.statusCode,
+        ERROR_MESSAGES.TOO_MANY_REQUESTS,
+        null,
+        ERROR_CODES.RATE_LIMITED
+      )
+    );
+};
+
+const createLimiter = (options) =>
+  rateLimit({
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    handler: rateLimitHandler,
+    ...options,
+  });
+
+// Login attempts per client IP
+const loginIpLimiter = createLimiter({
+  windowMs: envInt("LOGIN_RATE_LIMIT_WINDOW_MINUTES", 15) * MINUTE,
+  limit: envInt("LOGIN_RATE_LIMIT_PER_IP", 20),
+});
+
+// Failed login attempts per email, whichever IPs they come from. Must run
+// after validation so the email is normalized.
+const loginEmailLimiter = createLimiter({
+  windowMs: envInt("LOGIN_RATE_LIMIT_WINDOW_MINUTES", 15) * MINUTE,
+  limit: envInt("LOGIN_RATE_LIMIT_PER_EMAIL", 10),
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `email:${String(req.body.email).toLowerCase()}`,
+});
+
+// Registration attempts per client IP
+const registerIpLimiter = createLimiter({
+  windowMs: envInt("REGISTER_RATE_LIMIT_WINDOW_MINUTES", 60) * MINUTE,
+  limit: envInt("REGISTER_RATE_LIMIT_PER_IP", 10),
+});
+
+// Registration attempts per email
+const registerEmailLimiter = createLimiter({
+  windowMs: envInt("REGISTER_RATE_LIMIT_WINDOW_MINUTES", 60) * MINUTE,
+  limit: envInt("REGISTER_RATE_LIMIT_PER_EMAIL", 5),
+  keyGenerator: (req) => `email:${String(req.body.email).toLowerCase()}`,
+});
+
+// Password reset requests per client IP
+const passwordResetIpLimiter = createLimiter({
+  windowMs: envInt("PASSWORD_RESET_RATE_LIMIT_WINDOW_MINUTES", 60) * MINUTE,
+  limit: envInt("PASSWORD_RESET_RATE_LIMIT_PER_IP", 10),
+});
+
+// Password reset requests per email, so one inbox is not flooded with reset
+// mails. Must run after validation so the email is normalized.
+const passwordResetEmailLimiter = createLimiter({
+  windowMs: envInt("PASSWORD_RESET_RATE_LIMIT_WINDOW_MINUTES", 60) * MINUTE,
+  limit: envInt("PASSWORD_RESET_RATE_LIMIT_PER_EMAIL", 3),
+  keyGenerator: (req) => `email:${String(req.body.email).toLowerCase()}`,
+});
+
+// OTP requests per client IP
+const otpRequestIpLimiter = createLimiter({
+  windowMs: envInt("OTP_RATE_LIMIT_WINDOW_MINUTES", 15) * MINUTE,
+  limit: envInt("OTP_RATE_LIMIT_PER_IP", 10),
+});
+
+// OTP requests per mobile number, so one phone is not flooded with SMS
+const otpRequestMobileLimiter = createLimiter({
+  windowMs: envInt("OTP_RATE_LIMIT_WINDOW_MINUTES", 15) * MINUTE,
+  limit: envInt("OTP_RATE_LIMIT_PER_MOBILE", 3),
+  keyGenerator: (req) => `mobile:${req.body.mobileNumber}`,
+});
+
+// OTP verification attempts per client IP
+const otpVerifyIpLimiter = createLimiter({
+  windowMs: envInt("OTP_RATE_LIMIT_WINDOW_MINUTES", 15) * MINUTE,
+  limit: envInt("OTP_VERIFY_RATE_LIMIT_PER_IP", 20),
+});
+
+// Two-factor code attempts per client IP
+const twoFactorVerifyIpLimiter = createLimiter({
+  windowMs: envInt("LOGIN_RATE_LIMIT_WINDOW_MINUTES", 15) * MINUTE,
+  limit: envInt("TWO_FACTOR_RATE_LIMIT_PER_IP", 20),
+});
+
+module.exports = {
+  createLimiter,
+  loginIpLimiter,
+  loginEmailLimiter,
+  registerIpLimiter,
+  registerEmailLimiter,
+  passwordResetIpLimiter,
+  passwordResetEmailLimiter,
+  otpRequestIpLimiter,
+  otpRequestMobileLimiter,
+  otpVerifyIpLimiter,
+  twoFactorVerifyIpLimiter,
+};
@@ -0,0 +1,49 @@
+const path = require("path");
+const multer = require("multer");
+const {
+  createErrorResponse,
+  ERROR_MESSAGES,
+  ERROR_CODES,
+} = require("../utils/errorHandler");
+
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024;
+const SPREADSHEET_EXTENSIONS = [".csv", ".xlsx"];
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    cb(null, SPREADSHEET_EXTENSIONS.includes(extension));
+  },
+}).single("file");
+
+const sendInvalidUpload = (res, message) =>
+  res
+    .status(400)
+    .json(
+      createErrorResponse(400, message, null, ERROR_CODES.VALIDATION_ERROR)
+    );
+
+// Accept a single CSV or XLSX file in the multipart field `file`, kept in
+// memory as req.file. Other form fields end up in req.body.
+const uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return sendInvalidUpload(
+        res,
+        error.code === "LIMIT_FILE_SIZE"
+          ? ERROR_MESSAGES.IMPORT_FILE_TOO_LARGE
+          : ERROR_MESSAGES.IMPORT_FILE_REQUIRED
+      );
+    }
+    if (error) return next(error);
+
+    if (!req.file) {
+      return sendInvalidUpload(res, ERROR_MESSAGES.IMPORT_FILE_REQUIRED);
+    }
+    next();
+  });
+};
+
+module.exports = { uploadSpreadsheet };
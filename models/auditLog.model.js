@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Who made the change; null for changes made by the system
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set when the request was authenticated with an API key
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    // "status-update" is a run of the bulk donor status update, recorded once
+    // per run with its counts in `details` rather than per donor
+    action: {
+      type: String,
+      enum: ["create", "update", "delete", "status-update"],
+      required: true,
+    },
+    entity: {
+      type: String,
+      enum: ["donor", "donation", "group", "user", "handover", "deposit"],
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: function () {
+        return this.action !== "status-update";
+      },
+    },
+    // Changed fields with their old and new values. Creates have no `from`,
+    // deletes have no `to`.
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Summary of a bulk change, e.g. { updatedCount, totalChecked }
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for the audit log filters
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Entries are append-only: refuse any attempt to change or remove them
+const rejectChange = function (next) {
+  next(new Error("Audit log entries cannot be modified or deleted"));
+};
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+    "findOneAndRemove",
+  ],
+  rejectChange
+);
+auditLogSchema.pre("deleteOne", { document: true, query: false }, rejectChange);
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
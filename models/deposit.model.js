@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Cash the treasurer paid into the bank, covering one or more confirmed
+// handovers. `amount` is the cash received for those handovers.
+const depositSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    handovers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Handover",
+      },
+    ],
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    depositDate: {
+      type: Date,
+      required: true,
+    },
+    bankName: {
+      type: String,
+      trim: true,
+    },
+    // Deposit slip or bank transaction reference
+    reference: {
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    depositedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+depositSchema.index({ organization: 1, depositDate: -1 });
+
+const Deposit = mongoose.model("Deposit", depositSchema);
+
+module.exports = Deposit;
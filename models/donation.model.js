@@ -2,6 +2,11 @@ const mongoose = require("mongoose");
 
 const donationSchema = new mongoose.Schema(
   {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
     donor: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Donor",
@@ -28,11 +33,85 @@ const donationSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // How the donation was paid, with the fields of that mode; see
+    // utils/payments.js
+    paymentMode: {
+      type: String,
+      enum: ["cash", "upi", "cheque", "bank-transfer", "in-kind"],
+      default: "cash",
+    },
+    upiTransactionId: {
+      type: String,
+      trim: true,
+    },
+    // UTR or other reference of a bank transfer
+    bankReference: {
+      type: String,
+      trim: true,
+    },
+    cheque: {
+      number: {
+        type: String,
+        trim: true,
+      },
+      bank: {
+        type: String,
+        trim: true,
+      },
+      date: Date,
+      clearanceStatus: {
+        type: String,
+        enum: ["pending", "cleared", "bounced"],
+      },
+      clearedAt: Date,
+    },
+    // What was given, for in-kind donations valued at `amount`
+    inKindDescription: {
+      type: String,
+      trim: true,
+    },
+    // Where the cash of a cash donation is: with the collector, in a handover
+    // awaiting confirmation, with the treasurer or deposited. Null for other
+    // payment modes; see utils/handovers.js
+    cashStatus: {
+      type: String,
+      enum: ["with-collector", "handed-over", "with-treasurer", "deposited"],
+      default: null,
+    },
+    handover: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Handover",
+      default: null,
+    },
+    // e.g. "SS/2026-27/000123", allocated when the donation is recorded.
+    // Donations recorded before receipts were numbered have none.
+    receiptNumber: {
+      type: String,
+    },
     collectedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // Donations are voided rather than deleted, so the money record and its
+    // receipt number are kept. Voided donations count towards no totals.
+    voided: {
+      type: Boolean,
+      default: false,
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+    },
   },
   {
     timestamps: true,
@@ -41,8 +120,18 @@ const donationSchema = new mongoose.Schema(
 
 // Indexes for common queries
 donationSchema.index({ donor: 1, collectionDate: 1 });
-donationSchema.index({ collectionDate: 1 });
+donationSchema.index({ organization: 1, collectionDate: 1 });
 donationSchema.index({ collectedBy: 1 });
+donationSchema.index({ organization: 1, paymentMode: 1 });
+donationSchema.index({ organization: 1, cashStatus: 1, collectionDate: 1 });
+donationSchema.index({ organization: 1, voided: 1, voidedAt: -1 });
+donationSchema.index(
+  { organization: 1, receiptNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { receiptNumber: { $type: "string" } },
+  }
+);
 
 // Prevent future dates
 donationSchema.pre("save", function (next) {
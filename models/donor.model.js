@@ -1,10 +1,28 @@
 const mongoose = require('mongoose');
 
+// GeoJSON point, coordinates in [longitude, latitude] order
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true
+  }
+}, { _id: false });
+
 const donorSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Unique within the organization
   hundiNo: {
     type: String,
     required: [true, 'Hundi number is required'],
-    unique: true,
     trim: true
   },
   name: {
@@ -28,6 +46,18 @@ const donorSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Printed on 80G certificates when given
+  pan: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, 'Please enter a valid PAN'],
+    default: null
+  },
+  // Read from googleMapLink; null when the link has no coordinates
+  location: {
+    type: pointSchema
+  },
   group: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Group',
@@ -42,6 +72,49 @@ const donorSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // How often the donor is visited; see utils/collectionSchedule.js
+  collectionFrequency: {
+    type: String,
+    enum: ['weekly', 'fortnightly', 'monthly', 'quarterly', 'yearly', 'custom-days'],
+    default: 'monthly'
+  },
+  // Days between collections, only for the custom-days frequency
+  collectionIntervalDays: {
+    type: Number,
+    min: [1, 'Collection interval must be at least 1 day'],
+    max: [366, 'Collection interval cannot be more than 366 days'],
+    default: null
+  },
+  // Preferred collection day: either a day of the month, or a weekday with
+  // an optional week of the month ("first Sunday"). Day of month rules only
+  // apply to monthly, quarterly and yearly donors.
+  preferredDayOfMonth: {
+    type: Number,
+    min: [1, 'Preferred day of month must be between 1 and 31'],
+    max: [31, 'Preferred day of month must be between 1 and 31'],
+    default: null
+  },
+  preferredWeekOfMonth: {
+    type: String,
+    enum: ['first', 'second', 'third', 'fourth', 'last', null],
+    default: null
+  },
+  preferredWeekday: {
+    type: String,
+    enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', null],
+    default: null
+  },
+  // Preferred time window, "HH:mm" on a 24 hour clock
+  preferredTimeFrom: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Preferred time must be in HH:mm format'],
+    default: null
+  },
+  preferredTimeTo: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Preferred time must be in HH:mm format'],
+    default: null
+  },
   statusHistory: [{
     status: {
       type: String,
@@ -64,10 +137,11 @@ const donorSchema = new mongoose.Schema({
 });
 
 // Create indexes for efficient queries
-donorSchema.index({ hundiNo: 1 }, { unique: true });
+donorSchema.index({ organization: 1, hundiNo: 1 }, { unique: true });
 donorSchema.index({ group: 1 });
 donorSchema.index({ status: 1 });
 donorSchema.index({ collectionDate: 1 });
+donorSchema.index({ location: '2dsphere' });
 donorSchema.index({ createdBy: 1 });
 
 const Donor = mongoose.model('Donor', donorSchema);
@@ -1,10 +1,15 @@
 const mongoose = require('mongoose');
 
 const groupSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Unique within the organization
   name: {
     type: String,
     required: [true, 'Group name is required'],
-    unique: true,
     trim: true
   },
   area: {
@@ -30,7 +35,7 @@ const groupSchema = new mongoose.Schema({
 });
 
 // Create indexes
-groupSchema.index({ name: 1 }, { unique: true });
+groupSchema.index({ organization: 1, name: 1 }, { unique: true });
 groupSchema.index({ area: 1 });
 
 const Group = mongoose.model('Group', groupSchema);
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// A batch of cash donations a collector hands to the treasurer. `amount` is
+// what the donations add up to; the treasurer confirms what was actually
+// received and any difference is kept as `discrepancy`.
+const handoverSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    collector: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    donations: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Donation",
+      },
+    ],
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["submitted", "confirmed", "deposited"],
+      default: "submitted",
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    receivedAmount: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // Received minus expected: negative when cash is short
+    discrepancy: {
+      type: Number,
+      default: null,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+    receiptNotes: {
+      type: String,
+      trim: true,
+    },
+    deposit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Deposit",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+handoverSchema.index({ organization: 1, status: 1 });
+handoverSchema.index({ organization: 1, collector: 1, createdAt: -1 });
+
+const Handover = mongoose.model("Handover", handoverSchema);
+
+module.exports = Handover;
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const inviteSchema = new mongoose.Schema(
+  {
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false, // The code itself is only shown once, at creation
+    },
+    // Organization the invited user joins
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Optional email the invite is restricted to
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
+    // Groups the invited user will be assigned to
+    groups: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Group",
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    usedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for common queries
+inviteSchema.index({ organization: 1, createdAt: -1 });
+inviteSchema.index({ createdBy: 1 });
+inviteSchema.index({ expiresAt: 1 });
+
+inviteSchema.virtual("status").get(function () {
+  if (this.usedAt) return "used";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+const Invite = mongoose.model("Invite", inviteSchema);
+
+module.exports = Invite;
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+const loginEventSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Set for requests authenticated with an API key
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    // First factor used to sign in
+    method: {
+      type: String,
+      enum: ["password", "otp", "api-key"],
+      required: true,
+    },
+    // Whether a two-factor code was checked as part of this attempt
+    twoFactor: {
+      type: Boolean,
+      default: false,
+    },
+    // Email, mobile number or API key name that was presented
+    identifier: {
+      type: String,
+      trim: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    failureReason: {
+      type: String,
+      enum: [
+        "invalid-password",
+        "invalid-otp",
+        "invalid-two-factor-code",
+        "invalid-api-key",
+        "account-locked",
+        "account-deactivated",
+        "organization-inactive",
+        null,
+      ],
+      default: null,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    // Successful sign-in from a user agent this user has not signed in with
+    // before
+    newDevice: {
+      type: Boolean,
+      default: false,
+    },
+    // Made during the configured quiet hours
+    unusualHour: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for login history and the activity report
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ organization: 1, createdAt: -1 });
+
+const LoginEvent = mongoose.model("LoginEvent", loginEventSchema);
+
+module.exports = LoginEvent;
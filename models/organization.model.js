@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// An NGO chapter. Donors, donations, groups and users all belong to one.
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot be longer than 100 characters"],
+    },
+    // Short unique identifier, e.g. "pune-chapter"
+    slug: {
+      type: String,
+      required: [true, "Slug is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9]+(-[a-z0-9]+)*$/,
+        "Slug may only contain lowercase letters, numbers and hyphens",
+      ],
+    },
+    // Shown on 80G certificates
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Address cannot be longer than 300 characters"],
+    },
+    pan: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, "Please enter a valid PAN"],
+    },
+    // Income Tax 80G registration; certificates need at least the number
+    registration80G: {
+      number: {
+        type: String,
+        trim: true,
+      },
+      validFrom: Date,
+      validUntil: Date,
+    },
+    // Members of an inactive organization cannot sign in
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Organization = mongoose.model("Organization", organizationSchema);
+
+module.exports = Organization;
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const otpSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    mobileNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      select: false, // Never expose OTP hashes in queries by default
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    consumedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for common queries
+otpSchema.index({ mobileNumber: 1, createdAt: -1 });
+// Let MongoDB purge OTPs once they expire
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Otp = mongoose.model("Otp", otpSchema);
+
+module.exports = Otp;
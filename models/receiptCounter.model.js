@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Last receipt number issued by an organization in a financial year. Only
+// incremented inside the transaction that records the donation, so numbers
+// have no gaps.
+const receiptCounterSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // e.g. "2026-27" for April 2026 to March 2027
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+receiptCounterSchema.index(
+  { organization: 1, financialYear: 1 },
+  { unique: true }
+);
+
+const ReceiptCounter = mongoose.model("ReceiptCounter", receiptCounterSchema);
+
+module.exports = ReceiptCounter;
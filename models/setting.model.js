@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const settingSchema = new mongoose.Schema(
+  {
+    // Null for settings that apply to the whole deployment
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+settingSchema.index({ organization: 1, key: 1 }, { unique: true });
+
+const Setting = mongoose.model("Setting", settingSchema);
+
+module.exports = Setting;
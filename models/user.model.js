@@ -2,6 +2,11 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
 const userSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   name: {
     type: String,
     required: [true, 'Name is required'],
@@ -16,15 +21,27 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Used for OTP login
+  mobileNumber: {
+    type: String,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit mobile number']
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't return password in queries by default
   },
+  // Hashes of the current and previous passwords, newest first, so recent
+  // passwords cannot be reused
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'admin', 'superadmin'],
     default: 'user'
   },
   isActive: {
@@ -33,18 +50,105 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
-  }
+  },
+  // Groups the user works in, typically set from their invite. Non-admin
+  // users can only see and collect from donors in these groups.
+  groups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  }],
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret awaiting its first code during enrollment
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last time step accepted, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  accountHistory: [{
+    action: {
+      type: String,
+      enum: ['activated', 'deactivated', 'role-changed', 'password-reset-forced', 'locked', 'unlocked', 'two-factor-reset', 'groups-changed']
+    },
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    date: Date,
+    notes: String
+  }]
 }, {
   timestamps: true
 });
 
+// Hashes kept in passwordHistory; the passwordHistoryCount setting can
+// check up to this many
+const MAX_PASSWORD_HISTORY = 24;
+
+// Indexes for user administration queries
+userSchema.index({ organization: 1, role: 1, isActive: 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ mobileNumber: 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
+
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Only maintain the history when it was loaded, so it is never
+    // overwritten with a partial copy
+    if (this.isSelected('passwordHistory')) {
+      this.passwordHistory = [this.password, ...(this.passwordHistory || [])]
+        .slice(0, MAX_PASSWORD_HISTORY);
+    }
     next();
   } catch (error) {
     next(error);
@@ -60,6 +164,47 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Whether the account is temporarily locked after too many failed logins
+userSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+// Count a failed login and lock the account once the limit is reached
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+  const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts >= maxAttempts) {
+    this.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    await this.constructor.findByIdAndUpdate(this._id, {
+      failedLoginAttempts: 0,
+      lockUntil: this.lockUntil,
+      $push: {
+        accountHistory: {
+          action: 'locked',
+          date: new Date(),
+          notes: `Locked after ${updated.failedLoginAttempts} failed login attempts`
+        }
+      }
+    });
+    this.failedLoginAttempts = 0;
+  } else {
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+  }
+};
+
+// Clear failed attempts and any lock
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
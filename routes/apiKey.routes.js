@@ -0,0 +1,301 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const { API_KEY_SCOPES } = require("../config/permissions");
+const {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+} = require("../controllers/apiKey.controller");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "65a1f0c2e4b0a1b2c3d4e5f6"
+ *         name:
+ *           type: string
+ *           example: "Treasurer spreadsheet sync"
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [donors:read, donors:write, donations:read, donations:write, groups:read, groups:write, reports:read]
+ *           example: ["donations:read", "reports:read"]
+ *         status:
+ *           type: string
+ *           enum: [active, revoked, expired]
+ *           example: "active"
+ *         createdBy:
+ *           type: object
+ *           description: Admin who created the key. Requests made with the key act as this user.
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedIp:
+ *           type: string
+ *           example: "103.21.244.10"
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     CreateApiKeyRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: What the key is used for
+ *           example: "Treasurer spreadsheet sync"
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [donors:read, donors:write, donations:read, donations:write, groups:read, groups:write, reports:read]
+ *           example: ["donations:read", "reports:read"]
+ *         expiresInDays:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 90
+ *       required:
+ *         - name
+ *         - scopes
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key (admin only)
+ *     description: Returns the key once; only its hash is stored. Send it in the X-API-Key header. Requests made with the key act as the admin who created it, limited to the key's scopes.
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateApiKeyRequest'
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         apiKey:
+ *                           $ref: '#/components/schemas/ApiKey'
+ *                         key:
+ *                           type: string
+ *                           example: "ssk_65a1f0c2e4b0a1b2c3d4e5f6.9f86d081884c7d659a2feaa0c55ad015..."
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   get:
+ *     summary: List API keys (admin only)
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, revoked, expired]
+ *         description: Filter by key status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         apiKeys:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ApiKey'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key (admin only)
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: API key not found or already revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Parameter validation middleware
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (!id || !require("mongoose").Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid API key ID format",
+    });
+  }
+  next();
+};
+
+// Add validation error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = require("express-validator").validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Validation middleware
+const apiKeyValidation = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be longer than 100 characters"),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("At least one scope is required"),
+  body("scopes.*")
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(", ")}`),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("expiresInDays must be between 1 and 365")
+    .toInt(),
+];
+
+// Routes
+router.post(
+  "/",
+  auth,
+  authorize("api-keys:manage"),
+  apiKeyValidation,
+  handleValidationErrors,
+  createApiKey
+);
+
+router.get(
+  "/",
+  auth,
+  authorize("api-keys:manage"),
+  [
+    query("status")
+      .optional()
+      .isIn(["active", "revoked", "expired"])
+      .withMessage("Invalid status value"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  getApiKeys
+);
+
+router.delete(
+  "/:id",
+  auth,
+  authorize("api-keys:manage"),
+  validateObjectId,
+  revokeApiKey
+);
+
+module.exports = router;
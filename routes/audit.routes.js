@@ -0,0 +1,223 @@
+const express = require("express");
+const { query } = require("express-validator");
+const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const { getAuditLogs } = require("../controllers/audit.controller");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "65a1f0c2e4b0a1b2c3d4e5f6"
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: User who made the change; null for changes made by the system, such as the nightly status update
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         apiKey:
+ *           type: object
+ *           description: API key the request was made with, if any
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, status-update]
+ *           description: "`status-update` is one run of the bulk donor status update; it has no entityId or changes, only `details`"
+ *           example: "update"
+ *         entity:
+ *           type: string
+ *           enum: [donor, donation, group, user, handover, deposit]
+ *           example: "donor"
+ *         entityId:
+ *           type: string
+ *           example: "507f1f77bcf86cd799439011"
+ *         changes:
+ *           type: array
+ *           description: Changed fields. Creates have no `from`, deletes have no `to`, and secrets such as passwords show as "[redacted]".
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "mobileNumber"
+ *               from:
+ *                 example: "9876543210"
+ *               to:
+ *                 example: "9123456780"
+ *         details:
+ *           type: object
+ *           description: Counts of a bulk status update run
+ *           properties:
+ *             updatedCount:
+ *               type: integer
+ *               example: 12
+ *             totalChecked:
+ *               type: integer
+ *               example: 40
+ *         ip:
+ *           type: string
+ *           example: "103.21.244.10"
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: List audit log entries (admin only)
+ *     description: Every create, update and delete of donors, donations, groups, users, handovers and deposits, and every run of the bulk donor status update, newest first. Entries cannot be edited or removed.
+ *     tags: [Audit]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [donor, donation, group, user, handover, deposit]
+ *         description: Filter by the kind of record changed
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *         description: Filter by the ID of the record changed
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, status-update]
+ *         description: Filter by action
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Filter by the ID of the user who made the change
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes made at or after this time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes made at or before this time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         auditLogs:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AuditLog'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Add validation error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = require("express-validator").validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Routes
+router.get(
+  "/",
+  auth,
+  authorize("audit:read"),
+  [
+    query("entity")
+      .optional()
+      .isIn(["donor", "donation", "group", "user", "handover", "deposit"])
+      .withMessage("Invalid entity value"),
+    query("entityId").optional().isMongoId().withMessage("Invalid entity ID"),
+    query("action")
+      .optional()
+      .isIn(["create", "update", "delete", "status-update"])
+      .withMessage("Invalid action value"),
+    query("user").optional().isMongoId().withMessage("Invalid user ID"),
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  getAuditLogs
+);
+
+module.exports = router;
@@ -1,11 +1,44 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 const {
   register,
   login,
+  requestOtp,
+  verifyOtp,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   getProfile,
+  updateProfile,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  getLoginHistory,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
 } = require("../controllers/auth.controller");
-const { auth } = require("../middleware/auth.middleware");
+const {
+  auth,
+  authAllowingAccountSetup,
+  rejectApiKeys,
+} = require("../middleware/auth.middleware");
+const {
+  loginIpLimiter,
+  loginEmailLimiter,
+  registerIpLimiter,
+  registerEmailLimiter,
+  passwordResetIpLimiter,
+  passwordResetEmailLimiter,
+  otpRequestIpLimiter,
+  otpRequestMobileLimiter,
+  otpVerifyIpLimiter,
+  twoFactorVerifyIpLimiter,
+} = require("../middleware/rateLimit.middleware");
 
 const router = express.Router();
 
@@ -30,6 +63,19 @@ const router = express.Router();
  *           format: email
  *           description: User's email address
  *           example: "krishna.das@example.com"
+ *         mobileNumber:
+ *           type: string
+ *           description: 10-digit mobile number used for OTP login
+ *           example: "9876543210"
+ *         role:
+ *           type: string
+ *           enum: [user, admin, superadmin]
+ *           description: User's role. Admins can delete records and run bulk operations; super admins can also manage organizations.
+ *           example: "user"
+ *         organization:
+ *           type: string
+ *           description: Organization (NGO chapter) the user belongs to. All their data is scoped to it.
+ *           example: "65a1f0c2e4b0a1b2c3d4e5f6"
  *         isActive:
  *           type: boolean
  *           description: Whether the user account is active
@@ -39,6 +85,10 @@ const router = express.Router();
  *           format: date-time
  *           description: Last login timestamp
  *           example: "2024-01-15T10:30:00Z"
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Whether logins need a code from an authenticator app
+ *           example: false
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -66,12 +116,20 @@ const router = express.Router();
  *           format: email
  *           description: User's email address
  *           example: "krishna.das@example.com"
+ *         mobileNumber:
+ *           type: string
+ *           description: Optional 10-digit mobile number for OTP login
+ *           example: "9876543210"
  *         password:
  *           type: string
  *           format: password
- *           description: User's password (minimum 6 characters, must contain number and uppercase letter)
- *           example: "Password123"
- *           minLength: 6
+ *           description: User's password. Must meet the password policy (by default at least 8 characters with an uppercase letter and a number, not a common or breached password).
+ *           example: "Hundi#Seva42"
+ *           maxLength: 72
+ *         inviteCode:
+ *           type: string
+ *           description: One-time invite code from an admin. Required unless this is the first account or open registration is enabled.
+ *           example: "65a1f0c2e4b0a1b2c3d4e5f6.3f2a9c1e5b7d8a6f4c2e1b3d.9b8c7d6e5f4a3b2c1d0e9f8a7b6c5d4e"
  *       required:
  *         - name
  *         - email
@@ -89,11 +147,48 @@ const router = express.Router();
  *           type: string
  *           format: password
  *           description: User's password
- *           example: "Password123"
+ *           example: "Hundi#Seva42"
  *       required:
  *         - email
  *         - password
  *
+ *     OtpRequest:
+ *       type: object
+ *       properties:
+ *         mobileNumber:
+ *           type: string
+ *           description: Registered 10-digit mobile number
+ *           example: "9876543210"
+ *       required:
+ *         - mobileNumber
+ *
+ *     OtpVerifyRequest:
+ *       type: object
+ *       properties:
+ *         mobileNumber:
+ *           type: string
+ *           description: Mobile number the code was sent to
+ *           example: "9876543210"
+ *         otp:
+ *           type: string
+ *           description: 6-digit code received by SMS
+ *           example: "482913"
+ *       required:
+ *         - mobileNumber
+ *         - otp
+ *
+ *     UpdateProfileRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Krishna Das"
+ *           minLength: 2
+ *         mobileNumber:
+ *           type: string
+ *           description: 10-digit mobile number, or an empty string to remove it
+ *           example: "9876543210"
+ *
  *     AuthResponse:
  *       allOf:
  *         - $ref: '#/components/schemas/SuccessResponse'
@@ -106,8 +201,132 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
+ *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Long-lived refresh token used to obtain new access tokens
+ *                   example: "65a1f0c2e4b0a1b2c3d4e5f6.9f86d081884c7d659a2feaa0c55ad015..."
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: The user is an admin who must set up two-factor authentication before using other endpoints
+ *                   example: false
+ *
+ *     TwoFactorPendingResponse:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SuccessResponse'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: object
+ *               properties:
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   example: true
+ *                 twoFactorToken:
+ *                   type: string
+ *                   description: Short-lived token to send to /api/auth/2fa/verify with a code
  *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *
+ *     TwoFactorVerifyRequest:
+ *       type: object
+ *       properties:
+ *         twoFactorToken:
+ *           type: string
+ *           description: Token returned by login
+ *         code:
+ *           type: string
+ *           description: 6-digit authenticator code or a recovery code
+ *           example: "492039"
+ *       required:
+ *         - twoFactorToken
+ *         - code
+ *
+ *     RefreshRequest:
+ *       type: object
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           description: Refresh token issued at login or by the previous refresh
+ *           example: "65a1f0c2e4b0a1b2c3d4e5f6.9f86d081884c7d659a2feaa0c55ad015..."
+ *       required:
+ *         - refreshToken
+ *
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "65a1f0c2e4b0a1b2c3d4e5f6"
+ *         userAgent:
+ *           type: string
+ *           example: "okhttp/4.9.2"
+ *         ip:
+ *           type: string
+ *           example: "103.21.244.10"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *           example: true
+ *
+ *     LoginEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "65a1f0c2e4b0a1b2c3d4e5f6"
+ *         user:
+ *           type: string
+ *         method:
+ *           type: string
+ *           enum: [password, otp, api-key]
+ *           example: "password"
+ *         twoFactor:
+ *           type: boolean
+ *           description: Whether a two-factor code was checked
+ *         identifier:
+ *           type: string
+ *           description: Email, mobile number or API key name that was presented
+ *           example: "krishna.das@example.com"
+ *         apiKey:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         failureReason:
+ *           type: string
+ *           nullable: true
+ *           enum: [invalid-password, invalid-otp, invalid-two-factor-code, invalid-api-key, account-locked, account-deactivated, organization-inactive]
+ *           example: "invalid-password"
+ *         ip:
+ *           type: string
+ *           example: "103.21.244.10"
+ *         userAgent:
+ *           type: string
+ *           example: "okhttp/4.9.2"
+ *         newDevice:
+ *           type: boolean
+ *           description: Successful sign-in with a user agent not seen for this user before
+ *         unusualHour:
+ *           type: boolean
+ *           description: Made during the quiet hours (LOGIN_QUIET_HOURS_START to LOGIN_QUIET_HOURS_END)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -115,6 +334,7 @@ const router = express.Router();
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: Registration is invite-only. The first account on an empty database becomes the super admin without an invite, and admins can allow open sign-up with the openRegistration setting. Invited users get the role and groups of their invite.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -130,17 +350,29 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Validation error
+ *         description: Validation error, or the password breaks the password policy (code WEAK_PASSWORD)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Invite code missing, invalid, expired, already used or issued for another email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
  *         description: Email already exists
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many registration attempts (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -163,11 +395,13 @@ const router = express.Router();
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor code is needed to finish it
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorPendingResponse'
  *       400:
  *         description: Validation error
  *         content:
@@ -180,6 +414,18 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthError'
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (code ACCOUNT_LOCKED, with lockedUntil)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many login attempts from this IP or for this email (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -190,15 +436,132 @@ const router = express.Router();
 
 /**
  * @swagger
- * /api/auth/profile:
- *   get:
- *     summary: Get current user profile
+ * /api/auth/otp/request:
+ *   post:
+ *     summary: Send a login code by SMS
+ *     description: Sends a 6-digit code to the mobile number if it belongs to an active account. The response is the same whether or not the number is registered. Requesting a new code invalidates the previous one.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OtpRequest'
+ *     responses:
+ *       200:
+ *         description: Code sent if the number is registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       429:
+ *         description: Too many codes requested from this IP or for this number (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/auth/otp/verify:
+ *   post:
+ *     summary: Login with an SMS code
+ *     description: Codes are single use, expire after a few minutes and stop working after too many wrong guesses.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OtpVerifyRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor code is needed to finish it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorPendingResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Invalid, expired or used code (code INVALID_OTP), or deactivated account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       423:
+ *         description: Account temporarily locked (code ACCOUNT_LOCKED, with lockedUntil)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many attempts from this IP (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Finish a two-factor login
+ *     description: Exchanges the twoFactorToken from login and a code from the authenticator app (or an unused recovery code) for tokens. Wrong codes count towards account lockout.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorVerifyRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful. Includes recoveryCodesRemaining when a recovery code was used.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid or expired twoFactorToken (code INVALID_TWO_FACTOR_TOKEN) or wrong code (code INVALID_TWO_FACTOR_CODE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       423:
+ *         description: Account temporarily locked (code ACCOUNT_LOCKED, with lockedUntil)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many attempts from this IP (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret and an otpauth URI to add to an authenticator app (usually shown as a QR code). Nothing changes until the secret is confirmed with /api/auth/2fa/enable.
  *     tags: [Auth]
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: User profile retrieved successfully
+ *         description: Enrollment started
  *         content:
  *           application/json:
  *             schema:
@@ -207,67 +570,779 @@ const router = express.Router();
  *                 - type: object
  *                   properties:
  *                     data:
- *                       $ref: '#/components/schemas/User'
+ *                       type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                           example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                         otpauthUri:
+ *                           type: string
+ *                           example: "otpauth://totp/Sudhama%20Seva:krishna.das%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Sudhama%20Seva&algorithm=SHA1&digits=6&period=30"
  *       401:
  *         description: Not authorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthError'
- *       500:
- *         description: Server error
+ *       409:
+ *         description: Two-factor authentication is already enabled
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- */
-
-// Add validation error handling middleware
-const handleValidationErrors = (req, res, next) => {
-  const errors = require("express-validator").validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: "Validation failed",
-      errors: errors.array(),
-    });
-  }
-  next();
-};
-
-// Validation middleware
-const registerValidation = [
-  body("name")
-    .trim()
-    .isLength({ min: 2 })
-    .withMessage("Name must be at least 2 characters long"),
-  body("email")
-    .trim()
-    .isEmail()
-    .withMessage("Please enter a valid email")
-    .normalizeEmail(),
-  body("password")
-    .isLength({ min: 6 })
-    .withMessage("Password must be at least 6 characters long")
-    .matches(/\d/)
-    .withMessage("Password must contain at least one number")
-    .matches(/[A-Z]/)
-    .withMessage("Password must contain at least one uppercase letter"),
-];
-
-// Add login validation middleware
-const loginValidation = [
-  body("email")
-    .trim()
-    .isEmail()
-    .withMessage("Please enter a valid email")
-    .normalizeEmail(),
-  body("password").notEmpty().withMessage("Password is required"),
-];
+ *
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and turn two-factor authentication on
+ *     description: Returns 10 one-time recovery codes. They are shown only once. Other devices are signed out.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *             required:
+ *               - code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         recoveryCodes:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                           example: ["3f9a2-c81d0", "b7e41-09a3c"]
+ *                         revokedSessions:
+ *                           type: integer
+ *                           example: 1
+ *       400:
+ *         description: Enrollment was not started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Wrong code (code INVALID_TWO_FACTOR_CODE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     description: Not allowed for admins while the requireAdminTwoFactor setting is on.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code or recovery code
+ *             required:
+ *               - password
+ *               - code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Incorrect password or two-factor authentication not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Wrong code (code INVALID_TWO_FACTOR_CODE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       403:
+ *         description: Two-factor authentication is required for admin accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code or recovery code
+ *             required:
+ *               - code
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated
+ *       400:
+ *         description: Two-factor authentication not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Wrong code (code INVALID_TWO_FACTOR_CODE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ */
+
+/**
+ * @swagger
+ * /api/auth/profile:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update the current user's name or mobile number
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateProfileRequest'
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       409:
+ *         description: Mobile number already registered to another account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single use. Each call returns a new refresh token and invalidates the old one. Reusing an old refresh token revokes the whole session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout from the current device
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout from every device
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         sessions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *
+ * /api/auth/login-history:
+ *   get:
+ *     summary: List the current user's sign-in attempts
+ *     description: Every password, SMS code and two-factor attempt on the account, successful or not, newest first.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *         description: Only successful or only failed attempts
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Login history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         loginEvents:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/LoginEvent'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds with the same message so it cannot be used to discover registered emails. The reset token expires after PASSWORD_RESET_TTL_MINUTES (60 by default).
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "krishna.das@example.com"
+ *             required:
+ *               - email
+ *     responses:
+ *       200:
+ *         description: Reset instructions sent if the account exists
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       429:
+ *         description: Too many reset requests from this IP or for this email (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token is single use. All sessions of the user are revoked, so they must log in again.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: "Collect#Route58"
+ *             required:
+ *               - token
+ *               - password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error, the token is invalid or expired, or the password breaks the password policy (code WEAK_PASSWORD)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *
+ * /api/auth/password:
+ *   put:
+ *     summary: Change the current user's password
+ *     description: Also clears a pending forced password reset. Every other session of the user is revoked.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: "Collect#Route58"
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Validation error, incorrect current password, or the new password breaks the password policy or was used recently (code WEAK_PASSWORD)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ */
+
+// Parameter validation middleware
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (!id || !require("mongoose").Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid session ID format",
+    });
+  }
+  next();
+};
+
+// Add validation error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = require("express-validator").validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Mobile numbers are stored as 10 digits, the same as donor numbers
+const mobileNumberRule = (field) =>
+  body(field)
+    .trim()
+    .matches(/^[0-9]{10}$/)
+    .withMessage("Please enter a valid 10-digit mobile number");
+
+// Shared by every endpoint that sets a password. Strength is checked by the
+// password policy in the controller, whose rules are runtime settings.
+const passwordRules = (field) =>
+  body(field)
+    .isString()
+    .notEmpty()
+    .withMessage("Password is required")
+    .isLength({ max: 72 })
+    .withMessage("Password cannot be longer than 72 characters");
+
+// Validation middleware
+const registerValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage("Name must be at least 2 characters long"),
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Please enter a valid email")
+    .normalizeEmail(),
+  mobileNumberRule("mobileNumber").optional(),
+  passwordRules("password"),
+  body("inviteCode").optional().isString().trim(),
+];
+
+// Add login validation middleware
+const loginValidation = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Please enter a valid email")
+    .normalizeEmail(),
+  body("password").notEmpty().withMessage("Password is required"),
+];
+
+const otpRequestValidation = [mobileNumberRule("mobileNumber")];
+
+const otpVerifyValidation = [
+  mobileNumberRule("mobileNumber"),
+  body("otp")
+    .trim()
+    .matches(/^[0-9]{6}$/)
+    .withMessage("OTP must be 6 digits"),
+];
+
+const updateProfileValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage("Name must be at least 2 characters long"),
+  body("mobileNumber")
+    .optional()
+    .trim()
+    .matches(/^([0-9]{10})?$/)
+    .withMessage("Please enter a valid 10-digit mobile number"),
+];
+
+const twoFactorCodeRule = body("code")
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage("Authentication code is required");
+
+const twoFactorVerifyValidation = [
+  body("twoFactorToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Two-factor token is required"),
+  twoFactorCodeRule,
+];
+
+const disableTwoFactorValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+  twoFactorCodeRule,
+];
+
+const forgotPasswordValidation = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Please enter a valid email")
+    .normalizeEmail(),
+];
+
+const resetPasswordValidation = [
+  body("token").isString().notEmpty().withMessage("Reset token is required"),
+  passwordRules("password"),
+];
+
+const changePasswordValidation = [
+  body("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+  passwordRules("newPassword"),
+];
+
+const loginHistoryValidation = [
+  query("success")
+    .optional()
+    .isBoolean()
+    .withMessage("success must be true or false"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const refreshValidation = [
+  body("refreshToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+];
+
+// Account endpoints are for people, not integrations
+router.use(rejectApiKeys);
 
 // Routes
-router.post("/register", registerValidation, handleValidationErrors, register);
-router.post("/login", loginValidation, handleValidationErrors, login);
-router.get("/profile", auth, getProfile);
+router.post(
+  "/register",
+  registerIpLimiter,
+  registerValidation,
+  handleValidationErrors,
+  registerEmailLimiter,
+  register
+);
+router.post(
+  "/login",
+  loginIpLimiter,
+  loginValidation,
+  handleValidationErrors,
+  loginEmailLimiter,
+  login
+);
+router.post(
+  "/otp/request",
+  otpRequestIpLimiter,
+  otpRequestValidation,
+  handleValidationErrors,
+  otpRequestMobileLimiter,
+  requestOtp
+);
+router.post(
+  "/otp/verify",
+  otpVerifyIpLimiter,
+  otpVerifyValidation,
+  handleValidationErrors,
+  verifyOtp
+);
+router.post(
+  "/2fa/verify",
+  twoFactorVerifyIpLimiter,
+  twoFactorVerifyValidation,
+  handleValidationErrors,
+  verifyTwoFactor
+);
+router.post("/2fa/setup", authAllowingAccountSetup, setupTwoFactor);
+router.post(
+  "/2fa/enable",
+  authAllowingAccountSetup,
+  [twoFactorCodeRule],
+  handleValidationErrors,
+  enableTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  auth,
+  disableTwoFactorValidation,
+  handleValidationErrors,
+  disableTwoFactor
+);
+router.post(
+  "/2fa/recovery-codes",
+  auth,
+  [twoFactorCodeRule],
+  handleValidationErrors,
+  regenerateRecoveryCodes
+);
+router.post("/refresh", refreshValidation, handleValidationErrors, refresh);
+router.post(
+  "/forgot-password",
+  passwordResetIpLimiter,
+  forgotPasswordValidation,
+  handleValidationErrors,
+  passwordResetEmailLimiter,
+  forgotPassword
+);
+router.post(
+  "/reset-password",
+  resetPasswordValidation,
+  handleValidationErrors,
+  resetPassword
+);
+router.put(
+  "/password",
+  authAllowingAccountSetup,
+  changePasswordValidation,
+  handleValidationErrors,
+  changePassword
+);
+router.post("/logout", authAllowingAccountSetup, logout);
+router.post("/logout-all", auth, logoutAll);
+router.get("/profile", authAllowingAccountSetup, getProfile);
+router.put(
+  "/profile",
+  auth,
+  updateProfileValidation,
+  handleValidationErrors,
+  updateProfile
+);
+router.get("/sessions", auth, getSessions);
+router.get(
+  "/login-history",
+  auth,
+  loginHistoryValidation,
+  handleValidationErrors,
+  getLoginHistory
+);
+router.delete("/sessions/:id", auth, validateObjectId, revokeSession);
 
 module.exports = router;
@@ -0,0 +1,231 @@
+const express = require("express");
+const { query } = require("express-validator");
+const mongoose = require("mongoose");
+const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const {
+  planCollectionRoute,
+} = require("../controllers/collectionRoute.controller");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RouteStop:
+ *       type: object
+ *       properties:
+ *         order:
+ *           type: integer
+ *           description: Position in the visiting order, starting at 1
+ *           example: 1
+ *         donor:
+ *           $ref: '#/components/schemas/Donor'
+ *         distanceFromPrevious:
+ *           type: integer
+ *           description: Straight-line meters from the previous stop, or from the start point for the first stop
+ *           example: 420
+ *         cumulativeDistance:
+ *           type: integer
+ *           description: Straight-line meters from the start point to this stop along the route
+ *           example: 1260
+ *
+ *     CollectionRoutePlan:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: "2024-03-15"
+ *         start:
+ *           type: object
+ *           properties:
+ *             lat:
+ *               type: number
+ *               example: 23.4231
+ *             lng:
+ *               type: number
+ *               example: 88.3889
+ *         returnToStart:
+ *           type: boolean
+ *           example: false
+ *         totalDistance:
+ *           type: integer
+ *           description: Estimated straight-line length of the route in meters, including the way back when returnToStart is set
+ *           example: 8450
+ *         returnDistance:
+ *           type: integer
+ *           description: Meters from the last stop back to the start point (0 unless returnToStart)
+ *           example: 0
+ *         stops:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RouteStop'
+ *         unlocated:
+ *           type: array
+ *           description: Donors to visit whose map link has no coordinates, so they could not be placed in the route
+ *           items:
+ *             $ref: '#/components/schemas/Donor'
+ *         alreadyCollected:
+ *           type: integer
+ *           description: Donors left out because they already gave a donation in their current collection cycle
+ *           example: 6
+ */
+
+/**
+ * @swagger
+ * /api/routes/plan:
+ *   get:
+ *     summary: Plan a collector's visiting route for a day
+ *     description: |
+ *       Orders the donors to visit from the start point using a nearest-neighbour route improved with 2-opt, on straight-line distances between the donors' stored locations. Planning runs on the server without any map service.
+ *
+ *       With `group`, every active donor in the group whose collection date is on or before `date` is planned. With `donors`, exactly those donors are planned. Either way, inactive donors and donors who already have a donation in the collection cycle `date` falls in are left out. At most 200 donors with a location can be planned at once.
+ *     tags: [Routes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *         description: Plan the donors of this group who are due. Give either group or donors.
+ *       - in: query
+ *         name: donors
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: false
+ *         description: Comma-separated donor IDs to plan. Give either group or donors.
+ *       - in: query
+ *         name: startLat
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         example: 23.4231
+ *       - in: query
+ *         name: startLng
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         example: 88.3889
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day of the collection round (YYYY-MM-DD), defaults to today
+ *       - in: query
+ *         name: returnToStart
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Plan a round trip that ends back at the start point
+ *     responses:
+ *       200:
+ *         description: Planned route
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/CollectionRoutePlan'
+ *       400:
+ *         description: Validation error, or more than 200 donors to plan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       403:
+ *         description: Group or donors outside your assigned groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Group or donor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Add validation error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = require("express-validator").validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Routes
+router.get(
+  "/plan",
+  auth,
+  authorize("routes:plan"),
+  [
+    query("group")
+      .if(query("donors").not().exists())
+      .notEmpty()
+      .withMessage("Either group or donors is required")
+      .bail()
+      .isMongoId()
+      .withMessage("Invalid group ID format"),
+    query("donors")
+      .if(query("group").exists())
+      .not()
+      .exists()
+      .withMessage("Give either group or donors, not both"),
+    query("donors")
+      .optional()
+      .customSanitizer((value) =>
+        [value]
+          .flat()
+          .flatMap((ids) => String(ids).split(","))
+          .map((id) => id.trim())
+          .filter(Boolean)
+      )
+      .custom(
+        (ids) =>
+          ids.length > 0 &&
+          ids.every((id) => mongoose.Types.ObjectId.isValid(id))
+      )
+      .withMessage("Donors must be a comma-separated list of donor IDs"),
+    query("startLat")
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Start latitude must be between -90 and 90"),
+    query("startLng")
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Start longitude must be between -180 and 180"),
+    query("date").optional().isISO8601().withMessage("Invalid date format"),
+    query("returnToStart")
+      .optional()
+      .isBoolean()
+      .withMessage("returnToStart must be true or false"),
+  ],
+  handleValidationErrors,
+  planCollectionRoute
+);
+
+module.exports = router;
@@ -0,0 +1,316 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const {
+  createDeposit,
+  getDeposits,
+  getDepositById,
+} = require("../controllers/deposit.controller");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Deposit:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "65b2a1c3e4b0a1b2c3d4e5f8"
+ *         handovers:
+ *           type: array
+ *           description: Handovers whose cash was deposited (populated on a single deposit)
+ *           items:
+ *             $ref: '#/components/schemas/Handover'
+ *         amount:
+ *           type: number
+ *           description: Cash received for the handovers
+ *           example: 12850
+ *         depositDate:
+ *           type: string
+ *           format: date
+ *           example: "2024-03-18"
+ *         bankName:
+ *           type: string
+ *           example: "State Bank of India"
+ *         reference:
+ *           type: string
+ *           description: Deposit slip or bank transaction reference
+ *           example: "DS-004512"
+ *         notes:
+ *           type: string
+ *         depositedBy:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/deposits:
+ *   post:
+ *     summary: Record a bank deposit (admin only)
+ *     description: Records the treasurer paying the cash of one or more confirmed handovers into the bank. The handovers and their donations are marked deposited.
+ *     tags: [Deposits]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               handoverIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Confirmed handovers covered by the deposit
+ *               depositDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-03-18"
+ *               bankName:
+ *                 type: string
+ *                 example: "State Bank of India"
+ *               reference:
+ *                 type: string
+ *                 example: "DS-004512"
+ *               notes:
+ *                 type: string
+ *             required:
+ *               - handoverIds
+ *               - depositDate
+ *     responses:
+ *       201:
+ *         description: Deposit recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         deposit:
+ *                           $ref: '#/components/schemas/Deposit'
+ *       400:
+ *         description: Validation error, or a handover that is not confirmed or already deposited
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Some of the handovers were deposited by another request at the same time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   get:
+ *     summary: List bank deposits (admin only)
+ *     tags: [Deposits]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Deposits on or after this date (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Deposits on or before this date (YYYY-MM-DD)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Deposits retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         deposits:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Deposit'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/deposits/{id}:
+ *   get:
+ *     summary: Get a deposit with its handovers (admin only)
+ *     tags: [Deposits]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Deposit ID
+ *     responses:
+ *       200:
+ *         description: Deposit retrieved successfully
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Deposit not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Parameter validation middleware
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (!id || !require("mongoose").Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid deposit ID format",
+    });
+  }
+  next();
+};
+
+// Add validation error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = require("express-validator").validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Validation middleware
+const depositValidation = [
+  body("handoverIds")
+    .isArray({ min: 1 })
+    .withMessage("At least one handover is required"),
+  body("handoverIds.*").isMongoId().withMessage("Invalid handover ID format"),
+  body("depositDate")
+    .notEmpty()
+    .withMessage("Deposit date is required")
+    .bail()
+    .isISO8601()
+    .withMessage("Invalid deposit date format")
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage("Deposit date cannot be in the future"),
+  body("bankName")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Bank name cannot be longer than 100 characters"),
+  body("reference")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Reference cannot be longer than 50 characters"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be longer than 500 characters"),
+];
+
+// Routes
+router.post(
+  "/",
+  auth,
+  authorize("deposits:manage"),
+  depositValidation,
+  handleValidationErrors,
+  createDeposit
+);
+
+router.get(
+  "/",
+  auth,
+  authorize("deposits:manage"),
+  [
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid start date format"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid end date format"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  getDeposits
+);
+
+router.get(
+  "/:id",
+  auth,
+  authorize("deposits:manage"),
+  validateObjectId,
+  getDepositById
+);
+
+module.exports = router;
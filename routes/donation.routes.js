@@ -1,12 +1,19 @@
 const express = require("express");
 const { body, query } = require("express-validator");
 const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const { EXPORT_FORMATS } = require("../utils/spreadsheetExport");
+const { PAYMENT_MODES, CLEARANCE_STATUSES } = require("../utils/payments");
+const { CASH_STATUSES } = require("../utils/handovers");
 const {
   createDonation,
   getDonations,
+  exportDonations,
+  getDonationReceipt,
   skipDonation,
   updateDonation,
-  deleteDonation,
+  voidDonation,
+  getVoidedDonations,
 } = require("../controllers/donation.controller");
 
 /**
@@ -56,6 +63,70 @@ const {
  *           type: string
  *           description: Additional notes about the donation
  *           example: "Monthly donation collected"
+ *         receiptNumber:
+ *           type: string
+ *           description: Receipt number, sequential within the organization and financial year (April to March). Missing on donations recorded before receipts were numbered.
+ *           example: "SS/2026-27/000123"
+ *         paymentMode:
+ *           type: string
+ *           enum: [cash, upi, cheque, bank-transfer, in-kind]
+ *           default: cash
+ *           description: How the donation was paid
+ *           example: "upi"
+ *         upiTransactionId:
+ *           type: string
+ *           description: UPI transaction ID, required when paymentMode is upi
+ *           example: "412345678901"
+ *         bankReference:
+ *           type: string
+ *           maxLength: 50
+ *           description: Bank transfer reference (UTR), used when paymentMode is bank-transfer
+ *           example: "HDFCN52026101912345"
+ *         cheque:
+ *           $ref: '#/components/schemas/Cheque'
+ *         inKindDescription:
+ *           type: string
+ *           maxLength: 500
+ *           description: What was given, required when paymentMode is in-kind
+ *           example: "25 kg rice"
+ *         cashStatus:
+ *           type: string
+ *           nullable: true
+ *           enum: [with-collector, handed-over, with-treasurer, deposited]
+ *           readOnly: true
+ *           description: Where the cash of a cash donation is. Once handed over, the amount and payment can no longer change and the donation cannot be voided.
+ *           example: "with-collector"
+ *         handover:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           description: ID of the handover the cash went in
+ *         voided:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Voided donations are kept with their receipt number but count towards no totals
+ *           example: false
+ *         voidedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *         voidedBy:
+ *           type: object
+ *           nullable: true
+ *           readOnly: true
+ *           description: Admin who voided the donation (populated in the voided list)
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         voidReason:
+ *           type: string
+ *           readOnly: true
+ *           example: "Recorded against the wrong donor"
  *         collectedBy:
  *           type: object
  *           description: User who collected the donation
@@ -106,6 +177,28 @@ const {
  *           type: string
  *           description: Additional notes about the donation
  *           example: "Monthly donation collected"
+ *         paymentMode:
+ *           type: string
+ *           enum: [cash, upi, cheque, bank-transfer, in-kind]
+ *           default: cash
+ *           description: How the donation was paid
+ *           example: "upi"
+ *         upiTransactionId:
+ *           type: string
+ *           description: UPI transaction ID, required when paymentMode is upi
+ *           example: "412345678901"
+ *         bankReference:
+ *           type: string
+ *           maxLength: 50
+ *           description: Bank transfer reference (UTR), used when paymentMode is bank-transfer
+ *           example: "HDFCN52026101912345"
+ *         cheque:
+ *           $ref: '#/components/schemas/Cheque'
+ *         inKindDescription:
+ *           type: string
+ *           maxLength: 500
+ *           description: What was given, required when paymentMode is in-kind
+ *           example: "25 kg rice"
  *       required:
  *         - donorId
  *         - amount
@@ -123,7 +216,7 @@ const {
  *         collectionDate:
  *           type: string
  *           format: date-time
- *           description: Updated date and time of collection
+ *           description: Updated date and time of collection. Must stay in the financial year of the receipt number.
  *           example: "2024-01-15T10:30:00Z"
  *         collectionTime:
  *           type: string
@@ -134,6 +227,56 @@ const {
  *           type: string
  *           description: Updated notes about the donation
  *           example: "Monthly donation collected"
+ *         paymentMode:
+ *           type: string
+ *           enum: [cash, upi, cheque, bank-transfer, in-kind]
+ *           description: New payment mode. Replaces all payment details, so send the fields the mode needs.
+ *           example: "upi"
+ *         upiTransactionId:
+ *           type: string
+ *           description: UPI transaction ID, required when paymentMode is upi
+ *           example: "412345678901"
+ *         bankReference:
+ *           type: string
+ *           maxLength: 50
+ *           description: Bank transfer reference (UTR), used when paymentMode is bank-transfer
+ *           example: "HDFCN52026101912345"
+ *         cheque:
+ *           allOf:
+ *             - $ref: '#/components/schemas/Cheque'
+ *           description: Cheque details with a new payment mode of cheque. Without paymentMode only cheque.clearanceStatus can be sent, to record that a cheque cleared or bounced.
+ *         inKindDescription:
+ *           type: string
+ *           maxLength: 500
+ *           description: What was given, required when paymentMode is in-kind
+ *           example: "25 kg rice"
+ *
+ *     Cheque:
+ *       type: object
+ *       description: Cheque details, required when paymentMode is cheque
+ *       properties:
+ *         number:
+ *           type: string
+ *           pattern: '^\d{6}$'
+ *           example: "123456"
+ *         bank:
+ *           type: string
+ *           example: "State Bank of India"
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: "2026-10-15"
+ *         clearanceStatus:
+ *           type: string
+ *           enum: [pending, cleared, bounced]
+ *           default: pending
+ *           description: Donations paid by a bounced cheque are left out of 80G certificates
+ *           example: "pending"
+ *         clearedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the cheque was marked cleared
  *
  *     SkipDonationRequest:
  *       type: object
@@ -156,10 +299,11 @@ const {
  * /api/donations:
  *   post:
  *     summary: Create a new donation record
- *     description: Record a new donation for a donor. This will automatically update the donor's status to 'collected' and set the next collection date to one month later.
+ *     description: Record a new donation for a donor. This will automatically update the donor's status to 'collected' and set the next collection date one collection cycle later.
  *     tags: [Donations]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -208,6 +352,7 @@ const {
  *     tags: [Donations]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: donorId
@@ -215,6 +360,11 @@ const {
  *           type: string
  *         description: Filter by donor ID
  *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *         description: Filter by the donor's group ID
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -227,6 +377,24 @@ const {
  *           format: date
  *         description: Filter by end date (YYYY-MM-DD)
  *       - in: query
+ *         name: paymentMode
+ *         schema:
+ *           type: string
+ *           enum: [cash, upi, cheque, bank-transfer, in-kind]
+ *         description: Filter by payment mode
+ *       - in: query
+ *         name: clearanceStatus
+ *         schema:
+ *           type: string
+ *           enum: [pending, cleared, bounced]
+ *         description: Filter cheque donations by clearance status
+ *       - in: query
+ *         name: cashStatus
+ *         schema:
+ *           type: string
+ *           enum: [with-collector, handed-over, with-treasurer, deposited]
+ *         description: Filter cash donations by where the cash is
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -258,6 +426,31 @@ const {
  *                           type: array
  *                           items:
  *                             $ref: '#/components/schemas/Donation'
+ *                         totals:
+ *                           type: object
+ *                           description: Totals over all donations matching the filters, not just this page
+ *                           properties:
+ *                             count:
+ *                               type: integer
+ *                               example: 42
+ *                             amount:
+ *                               type: number
+ *                               example: 38500
+ *                             byPaymentMode:
+ *                               type: array
+ *                               description: Count and amount per payment mode, largest amount first
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   paymentMode:
+ *                                     type: string
+ *                                     example: "cash"
+ *                                   count:
+ *                                     type: integer
+ *                                     example: 30
+ *                                   amount:
+ *                                     type: number
+ *                                     example: 24000
  *                         pagination:
  *                           $ref: '#/components/schemas/Pagination'
  *       401:
@@ -273,6 +466,128 @@ const {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *
+ * /api/donations/export:
+ *   get:
+ *     summary: Download donations as CSV or XLSX (admin only)
+ *     description: Streams every donation matching the filters, with donor, group and collector names, oldest first. Takes the same filters as listing donations, without pagination.
+ *     tags: [Donations]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: donorId
+ *         schema:
+ *           type: string
+ *         description: Filter by donor ID
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *         description: Filter by the donor's group ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by start date (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by end date (YYYY-MM-DD)
+ *       - in: query
+ *         name: paymentMode
+ *         schema:
+ *           type: string
+ *           enum: [cash, upi, cheque, bank-transfer, in-kind]
+ *         description: Filter by payment mode
+ *       - in: query
+ *         name: clearanceStatus
+ *         schema:
+ *           type: string
+ *           enum: [pending, cleared, bounced]
+ *         description: Filter cheque donations by clearance status
+ *       - in: query
+ *         name: cashStatus
+ *         schema:
+ *           type: string
+ *           enum: [with-collector, handed-over, with-treasurer, deposited]
+ *         description: Filter cash donations by where the cash is
+ *     responses:
+ *       200:
+ *         description: The export file, named donations-<date>.<format>
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required, or donor or group outside your assigned groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/donations/{id}/receipt:
+ *   get:
+ *     summary: Download the receipt for a donation
+ *     description: Printable A5 PDF receipt with the organization name, receipt number, donor name, hundi number, amount in figures and words, collection date and collector.
+ *     tags: [Donations]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Donation ID
+ *     responses:
+ *       200:
+ *         description: The receipt, named receipt-<receipt number>.pdf
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid donation ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Donor outside your assigned groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Donation not found, or recorded before receipts were numbered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
  * /api/donations/{id}:
  *   put:
  *     summary: Update a donation record
@@ -280,6 +595,7 @@ const {
  *     tags: [Donations]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -306,7 +622,7 @@ const {
  *                     data:
  *                       $ref: '#/components/schemas/Donation'
  *       400:
- *         description: Validation error
+ *         description: Validation error, a collection date in another financial year, or a change to the amount or payment of cash that has been handed over
  *         content:
  *           application/json:
  *             schema:
@@ -323,6 +639,12 @@ const {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The cash was handed over by another request while the amount or payment was being changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -330,9 +652,10 @@ const {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *
- *   delete:
- *     summary: Delete a donation record
- *     description: Delete an existing donation record. This will also update the donor's status if needed.
+ * /api/donations/{id}/void:
+ *   post:
+ *     summary: Void a donation (admin only)
+ *     description: Donations are voided instead of deleted. The record and its receipt number are kept, marked voided with the reason, and left out of lists, totals, exports and certificates. If the donation was the one that marked the donor collected, the donor's status and next collection date are worked out again from their remaining donations. Cash that is in a handover cannot be voided.
  *     tags: [Donations]
  *     security:
  *       - BearerAuth: []
@@ -343,27 +666,134 @@ const {
  *         schema:
  *           type: string
  *         description: Donation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Recorded against the wrong donor"
+ *             required:
+ *               - reason
  *     responses:
  *       200:
- *         description: Donation deleted successfully
+ *         description: Donation voided successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         donation:
+ *                           $ref: '#/components/schemas/Donation'
+ *                         donor:
+ *                           description: The donor with their recomputed status and collection date, or null when the donor was not changed
+ *                           nullable: true
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/Donor'
+ *       400:
+ *         description: Validation error, or the donation's cash is in a handover
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       401:
  *         description: Not authorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Donation not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Server error
+ *       409:
+ *         description: The donation is already voided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/donations/voided:
+ *   get:
+ *     summary: List voided donations (admin only)
+ *     description: Voided donations with who voided them and why, most recently voided first. Takes the same filters as listing donations.
+ *     tags: [Donations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: donorId
+ *         schema:
+ *           type: string
+ *         description: Filter by donor ID
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *         description: Filter by the donor's group ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by start date (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by end date (YYYY-MM-DD)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Voided donations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         donations:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Donation'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Admin role required
  *         content:
  *           application/json:
  *             schema:
@@ -376,6 +806,7 @@ const {
  *     tags: [Donations]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -451,6 +882,64 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 // Validation middleware
+// Payment mode and the fields that mode needs. On update the fields are only
+// checked when the mode is sent, while the cheque clearance status can be
+// sent on its own.
+const isMode = (mode) => body("paymentMode").equals(mode);
+const paymentValidation = [
+  body("paymentMode")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isIn(PAYMENT_MODES)
+    .withMessage(`Payment mode must be one of: ${PAYMENT_MODES.join(", ")}`),
+  body("upiTransactionId")
+    .if(isMode("upi"))
+    .trim()
+    .notEmpty()
+    .withMessage("UPI transaction ID is required for UPI donations")
+    .bail()
+    .matches(/^[A-Za-z0-9]{6,35}$/)
+    .withMessage("UPI transaction ID must be 6 to 35 letters or digits"),
+  body("bankReference")
+    .if(isMode("bank-transfer"))
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Bank reference cannot be longer than 50 characters"),
+  body("cheque.number")
+    .if(isMode("cheque"))
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Cheque number must be 6 digits"),
+  body("cheque.bank")
+    .if(isMode("cheque"))
+    .trim()
+    .notEmpty()
+    .withMessage("Bank is required for cheque donations"),
+  body("cheque.date")
+    .if(isMode("cheque"))
+    .notEmpty()
+    .withMessage("Cheque date is required for cheque donations")
+    .bail()
+    .isISO8601()
+    .withMessage("Invalid cheque date format"),
+  body("cheque.clearanceStatus")
+    .optional()
+    .isIn(CLEARANCE_STATUSES)
+    .withMessage(
+      `Clearance status must be one of: ${CLEARANCE_STATUSES.join(", ")}`
+    ),
+  body("inKindDescription")
+    .if(isMode("in-kind"))
+    .trim()
+    .notEmpty()
+    .withMessage("Describe what was given for in-kind donations")
+    .bail()
+    .isLength({ max: 500 })
+    .withMessage("In-kind description cannot be longer than 500 characters"),
+];
+
 const donationValidation = [
   body("donorId")
     .notEmpty()
@@ -471,6 +960,41 @@ const donationValidation = [
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage("Please enter valid time in HH:mm format"),
   body("notes").optional().trim(),
+  ...paymentValidation,
+];
+
+// Filters shared by the donation list and export
+const donationFilterValidation = [
+  query("donorId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid donor ID format"),
+  query("group")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid group ID format"),
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid start date format"),
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid end date format"),
+  query("paymentMode")
+    .optional()
+    .isIn(PAYMENT_MODES)
+    .withMessage(`Payment mode must be one of: ${PAYMENT_MODES.join(", ")}`),
+  query("clearanceStatus")
+    .optional()
+    .isIn(CLEARANCE_STATUSES)
+    .withMessage(
+      `Clearance status must be one of: ${CLEARANCE_STATUSES.join(", ")}`
+    ),
+  query("cashStatus")
+    .optional()
+    .isIn(CASH_STATUSES)
+    .withMessage(`Cash status must be one of: ${CASH_STATUSES.join(", ")}`),
 ];
 
 const skipValidation = [
@@ -489,6 +1013,7 @@ const skipValidation = [
 router.post(
   "/",
   auth,
+  authorize("donations:write"),
   donationValidation,
   handleValidationErrors,
   createDonation
@@ -497,6 +1022,7 @@ router.post(
 router.post(
   "/skip",
   auth,
+  authorize("donations:write"),
   skipValidation,
   handleValidationErrors,
   skipDonation
@@ -505,19 +1031,9 @@ router.post(
 router.get(
   "/",
   auth,
+  authorize("donations:read"),
   [
-    query("donorId")
-      .optional()
-      .isMongoId()
-      .withMessage("Invalid donor ID format"),
-    query("startDate")
-      .optional()
-      .isISO8601()
-      .withMessage("Invalid start date format"),
-    query("endDate")
-      .optional()
-      .isISO8601()
-      .withMessage("Invalid end date format"),
+    ...donationFilterValidation,
     query("page")
       .optional()
       .isInt({ min: 1 })
@@ -532,19 +1048,74 @@ router.get(
   getDonations
 );
 
+router.get(
+  "/export",
+  auth,
+  authorize("reports:read"),
+  [
+    ...donationFilterValidation,
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage("Format must be csv or xlsx"),
+  ],
+  handleValidationErrors,
+  exportDonations
+);
+
+router.get(
+  "/:id/receipt",
+  auth,
+  authorize("donations:read"),
+  validateObjectId,
+  handleValidationErrors,
+  getDonationReceipt
+);
+
 router.put(
   "/:id",
   auth,
+  authorize("donations:write"),
   validateObjectId,
+  paymentValidation,
   handleValidationErrors,
   updateDonation
 );
 
-router.delete(
-  "/:id",
+router.get(
+  "/voided",
+  auth,
+  authorize("donations:void"),
+  [
+    ...donationFilterValidation,
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  getVoidedDonations
+);
+
+router.post(
+  "/:id/void",
   auth,
+  authorize("donations:void"),
   validateObjectId,
-  deleteDonation
+  [
+    body("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("A reason is required to void a donation")
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot be longer than 500 characters"),
+  ],
+  handleValidationErrors,
+  voidDonation
 );
 
 module.exports = router;
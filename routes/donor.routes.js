@@ -1,10 +1,24 @@
 const express = require("express");
 const { body, query } = require("express-validator");
 const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const { uploadSpreadsheet } = require("../middleware/upload.middleware");
+const {
+  donorFieldValidation,
+  collectionFrequencyValidation,
+  collectionPreferenceValidation,
+  panValidation,
+} = require("../utils/donorValidation");
+const { EXPORT_FORMATS } = require("../utils/spreadsheetExport");
+const { getFinancialYearRange } = require("../utils/receipts");
 const {
   createDonor,
+  importDonors,
   getDonors,
+  getNearbyDonors,
+  exportDonors,
   getDonorById,
+  getDonorCertificate,
   updateDonor,
   deleteDonor,
   getDonorStatus,
@@ -18,6 +32,53 @@ const router = express.Router();
  * @swagger
  * components:
  *   schemas:
+ *     DonorImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         totalRows:
+ *           type: integer
+ *           example: 214
+ *         validRows:
+ *           type: integer
+ *           example: 212
+ *         invalidRows:
+ *           type: integer
+ *           example: 2
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Row number in the spreadsheet
+ *                 example: 17
+ *               hundiNo:
+ *                 type: string
+ *                 example: "H123456"
+ *               name:
+ *                 type: string
+ *                 example: "Ramesh Kumar"
+ *               group:
+ *                 type: string
+ *                 example: "Group A"
+ *               valid:
+ *                 type: boolean
+ *                 example: false
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                       example: "mobileNumber"
+ *                     message:
+ *                       type: string
+ *                       example: "Please enter a valid 10-digit mobile number"
+ *
  *     Donor:
  *       type: object
  *       properties:
@@ -47,6 +108,25 @@ const router = express.Router();
  *           type: string
  *           description: Google Maps link to donor's location
  *           example: "https://goo.gl/maps/example"
+ *         pan:
+ *           type: string
+ *           nullable: true
+ *           description: Donor's PAN, printed on 80G certificates when given
+ *           example: "ABCDE1234F"
+ *         location:
+ *           type: object
+ *           nullable: true
+ *           description: GeoJSON point read from googleMapLink; null when the link has no coordinates
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: "Point"
+ *             coordinates:
+ *               type: array
+ *               description: "[longitude, latitude]"
+ *               items:
+ *                 type: number
+ *               example: [88.3889, 23.4231]
  *         group:
  *           type: object
  *           description: Group information
@@ -70,6 +150,45 @@ const router = express.Router();
  *           format: date-time
  *           description: Next collection date
  *           example: "2024-02-15T00:00:00Z"
+ *         collectionFrequency:
+ *           type: string
+ *           enum: [weekly, fortnightly, monthly, quarterly, yearly, custom-days]
+ *           description: How often the donor is visited
+ *           example: "monthly"
+ *         collectionIntervalDays:
+ *           type: integer
+ *           nullable: true
+ *           description: Days between collections for the custom-days frequency, otherwise null
+ *           example: null
+ *         preferredDayOfMonth:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *           nullable: true
+ *           description: Preferred day of the month (the last day in shorter months). Only for monthly, quarterly and yearly donors; not together with preferredWeekday.
+ *           example: null
+ *         preferredWeekOfMonth:
+ *           type: string
+ *           enum: [first, second, third, fourth, last]
+ *           nullable: true
+ *           description: With preferredWeekday, e.g. the first Sunday. Only for monthly, quarterly and yearly donors.
+ *           example: "first"
+ *         preferredWeekday:
+ *           type: string
+ *           enum: [sunday, monday, tuesday, wednesday, thursday, friday, saturday]
+ *           nullable: true
+ *           description: Preferred weekday; on its own the collection moves to the closest such weekday
+ *           example: "sunday"
+ *         preferredTimeFrom:
+ *           type: string
+ *           nullable: true
+ *           description: Start of the preferred time window (HH:mm, 24 hour), given together with preferredTimeTo
+ *           example: "18:00"
+ *         preferredTimeTo:
+ *           type: string
+ *           nullable: true
+ *           description: End of the preferred time window (HH:mm, 24 hour)
+ *           example: "20:00"
  *         statusHistory:
  *           type: array
  *           description: History of status changes
@@ -143,6 +262,11 @@ const router = express.Router();
  *           type: string
  *           description: Google Maps link to donor's location
  *           example: "https://goo.gl/maps/example"
+ *         pan:
+ *           type: string
+ *           nullable: true
+ *           description: Donor's PAN, printed on 80G certificates when given
+ *           example: "ABCDE1234F"
  *         group:
  *           type: string
  *           description: Group ID the donor belongs to
@@ -150,8 +274,48 @@ const router = express.Router();
  *         collectionDate:
  *           type: string
  *           format: date-time
- *           description: Initial collection date (optional, defaults to one month from creation)
+ *           description: Initial collection date (optional, defaults to one collection cycle from creation)
  *           example: "2024-02-15T00:00:00Z"
+ *         collectionFrequency:
+ *           type: string
+ *           enum: [weekly, fortnightly, monthly, quarterly, yearly, custom-days]
+ *           default: monthly
+ *           description: How often the donor is visited
+ *         collectionIntervalDays:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 366
+ *           description: Days between collections, required when collectionFrequency is custom-days
+ *           example: 10
+ *         preferredDayOfMonth:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *           nullable: true
+ *           description: Preferred day of the month (the last day in shorter months). Only for monthly, quarterly and yearly donors; not together with preferredWeekday.
+ *           example: null
+ *         preferredWeekOfMonth:
+ *           type: string
+ *           enum: [first, second, third, fourth, last]
+ *           nullable: true
+ *           description: With preferredWeekday, e.g. the first Sunday. Only for monthly, quarterly and yearly donors.
+ *           example: "first"
+ *         preferredWeekday:
+ *           type: string
+ *           enum: [sunday, monday, tuesday, wednesday, thursday, friday, saturday]
+ *           nullable: true
+ *           description: Preferred weekday; on its own the collection moves to the closest such weekday
+ *           example: "sunday"
+ *         preferredTimeFrom:
+ *           type: string
+ *           nullable: true
+ *           description: Start of the preferred time window (HH:mm, 24 hour), given together with preferredTimeTo
+ *           example: "18:00"
+ *         preferredTimeTo:
+ *           type: string
+ *           nullable: true
+ *           description: End of the preferred time window (HH:mm, 24 hour)
+ *           example: "20:00"
  *       required:
  *         - hundiNo
  *         - name
@@ -184,10 +348,53 @@ const router = express.Router();
  *           type: string
  *           description: Google Maps link to donor's location
  *           example: "https://goo.gl/maps/example"
+ *         pan:
+ *           type: string
+ *           nullable: true
+ *           description: Donor's PAN, printed on 80G certificates when given
+ *           example: "ABCDE1234F"
  *         group:
  *           type: string
  *           description: Group ID the donor belongs to
  *           example: "507f1f77bcf86cd799439012"
+ *         collectionFrequency:
+ *           type: string
+ *           enum: [weekly, fortnightly, monthly, quarterly, yearly, custom-days]
+ *           description: How often the donor is visited. Changing it does not move the next collection date.
+ *         collectionIntervalDays:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 366
+ *           description: Days between collections, required when switching to custom-days
+ *         preferredDayOfMonth:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *           nullable: true
+ *           description: Preferred day of the month (the last day in shorter months). Only for monthly, quarterly and yearly donors; not together with preferredWeekday.
+ *           example: null
+ *         preferredWeekOfMonth:
+ *           type: string
+ *           enum: [first, second, third, fourth, last]
+ *           nullable: true
+ *           description: With preferredWeekday, e.g. the first Sunday. Only for monthly, quarterly and yearly donors.
+ *           example: "first"
+ *         preferredWeekday:
+ *           type: string
+ *           enum: [sunday, monday, tuesday, wednesday, thursday, friday, saturday]
+ *           nullable: true
+ *           description: Preferred weekday, replacing any day of month rule; on its own the collection moves to the closest such weekday
+ *           example: "sunday"
+ *         preferredTimeFrom:
+ *           type: string
+ *           nullable: true
+ *           description: Start of the preferred time window (HH:mm, 24 hour), given together with preferredTimeTo. Send null for both to clear the window.
+ *           example: "18:00"
+ *         preferredTimeTo:
+ *           type: string
+ *           nullable: true
+ *           description: End of the preferred time window (HH:mm, 24 hour)
+ *           example: "20:00"
  *         status:
  *           type: string
  *           enum: [pending, collected, skipped]
@@ -280,6 +487,7 @@ const router = express.Router();
  *     tags: [Donors]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -340,6 +548,7 @@ const router = express.Router();
  *     tags: [Donors]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -410,6 +619,57 @@ const router = express.Router();
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /api/donors/{id}/certificate:
+ *   get:
+ *     summary: Download a donor's annual 80G certificate
+ *     description: Consolidated certificate of the donor's donations in a financial year, with each receipt number, the total in figures and words, the donor's PAN when given, and the organization's PAN and 80G registration. In-kind donations and cheques that have not cleared are left out.
+ *     tags: [Donors]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Donor ID
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *           example: "2025-26"
+ *         description: Financial year (April to March), defaults to the last one that has ended
+ *     responses:
+ *       200:
+ *         description: The certificate, named 80G-<hundi no>-<financial year>.pdf
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error, or the organization's 80G registration number is not set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Donor outside your assigned groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Donor not found, or no donations in the financial year
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
 /**
  * @swagger
  * /api/donors/{id}:
@@ -418,6 +678,7 @@ const router = express.Router();
  *     tags: [Donors]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -458,9 +719,11 @@ const router = express.Router();
  *
  *   put:
  *     summary: Update a donor
+ *     description: Changing the collection frequency, interval, preferred day or preferred start time recalculates the next collection date from the latest donation (or today, without one), unless collectionDate is sent as well.
  *     tags: [Donors]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -518,7 +781,7 @@ const router = express.Router();
  *               $ref: '#/components/schemas/Error'
  *
  *   delete:
- *     summary: Delete a donor
+ *     summary: Delete a donor (admin only)
  *     tags: [Donors]
  *     security:
  *       - BearerAuth: []
@@ -542,6 +805,12 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Donor not found
  *         content:
@@ -564,6 +833,7 @@ const router = express.Router();
  *     tags: [Donors]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -607,6 +877,7 @@ const router = express.Router();
  *     tags: [Donors]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -670,10 +941,255 @@ const router = express.Router();
 
 /**
  * @swagger
+ * /api/donors/import:
+ *   post:
+ *     summary: Import donors from a CSV or XLSX file (admin only)
+ *     description: |
+ *       Reads the first sheet of the file. Columns are matched by header name (Hundi No, Name, Mobile Number, Address, Google Map Link, Group, Collection Frequency, Interval Days and common variants) or by an explicit `mapping`. The group column may hold a group ID or name; rows without a group go to Group A, and rows without a frequency are collected monthly.
+ *
+ *       Every row is checked with the same rules as creating a single donor, and hundi numbers must be new and unique within the file. With `dryRun` only the per-row report is returned. Otherwise the donors are created in one transaction: if any row is invalid, nothing is imported and the report is returned with status 400.
+ *     tags: [Donors]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .csv or .xlsx file, at most 5 MB and 1000 rows, with a header row
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Only check the rows and return the report
+ *                 default: false
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object mapping donor fields to header names, for headers that are not recognized
+ *                 example: '{"hundiNo": "Hundi #", "group": "Sector"}'
+ *             required:
+ *               - file
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/DonorImportReport'
+ *       201:
+ *         description: Donors imported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/DonorImportReport'
+ *                         - type: object
+ *                           properties:
+ *                             imported:
+ *                               type: integer
+ *                               example: 212
+ *       400:
+ *         description: Missing, unreadable or oversized file, missing columns, or invalid rows (nothing imported; the report is in data)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/donors/nearby:
+ *   get:
+ *     summary: Find donors near a location, nearest first
+ *     description: Returns donors within `radius` meters of the point, using the location read from each donor's Google Maps link. Donors whose link has no coordinates are not included. The list filters (search, group, status, isActive, date range) also apply.
+ *     tags: [Donors]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         example: 23.4231
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         example: 88.3889
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50000
+ *           default: 2000
+ *         description: Search radius in meters
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, collected, skipped]
+ *         description: Filter by status
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *         description: Filter by group ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Maximum number of donors returned
+ *     responses:
+ *       200:
+ *         description: Donors within the radius, nearest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         center:
+ *                           type: object
+ *                           properties:
+ *                             lat:
+ *                               type: number
+ *                             lng:
+ *                               type: number
+ *                         radius:
+ *                           type: integer
+ *                           example: 2000
+ *                         donors:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/Donor'
+ *                               - type: object
+ *                                 properties:
+ *                                   distance:
+ *                                     type: integer
+ *                                     description: Distance from the point in meters
+ *                                     example: 850
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Group outside your assigned groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/donors/export:
+ *   get:
+ *     summary: Download donors as CSV or XLSX (admin only)
+ *     description: Streams every donor matching the filters, with group and creator names. Takes the same filters as listing donors, without pagination.
+ *     tags: [Donors]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name, hundi number, or mobile number
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *         description: Filter by group ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, collected, skipped]
+ *         description: Filter by status
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Next collection date from (YYYY-MM-DD), used with endDate
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Next collection date to (YYYY-MM-DD), used with startDate
+ *     responses:
+ *       200:
+ *         description: The export file, named donors-<date>.<format>
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required, or group outside your assigned groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
  * /api/donors/trigger-status-update:
  *   post:
- *     summary: Manually trigger donor status updates
- *     description: Manually trigger the cron job that updates donor statuses. This is useful for testing or immediate updates.
+ *     summary: Manually trigger donor status updates (admin only)
+ *     description: Manually trigger the cron job that updates donor statuses for your organization. This is useful for testing or immediate updates. The run is recorded in the audit log with your name and the counts.
  *     tags: [Donors]
  *     security:
  *       - BearerAuth: []
@@ -714,6 +1230,12 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -724,23 +1246,7 @@ const router = express.Router();
 
 // Validation middleware
 const donorValidation = [
-  body("hundiNo").notEmpty().withMessage("Hundi number is required").trim(),
-  body("name")
-    .notEmpty()
-    .withMessage("Name is required")
-    .trim()
-    .isLength({ min: 2 })
-    .withMessage("Name must be at least 2 characters long"),
-  body("mobileNumber")
-    .notEmpty()
-    .withMessage("Mobile number is required")
-    .matches(/^[0-9]{10}$/)
-    .withMessage("Please enter a valid 10-digit mobile number"),
-  body("address").notEmpty().withMessage("Address is required").trim(),
-  body("googleMapLink")
-    .notEmpty()
-    .withMessage("Google Map link is required")
-    .trim(),
+  ...donorFieldValidation,
   body("group").optional().isMongoId().withMessage("Invalid group ID"),
 ];
 
@@ -775,8 +1281,38 @@ const donorUpdateValidation = [
     .trim(),
   body("group").optional().isMongoId().withMessage("Invalid group ID"),
   body("isActive").optional().isBoolean(),
+  panValidation,
+  ...collectionFrequencyValidation,
+  ...collectionPreferenceValidation,
+];
+
+// Filters shared by the donor list and export
+const donorFilterValidation = [
+  query("search").optional().trim(),
+  query("group").optional().isMongoId().withMessage("Invalid group ID format"),
+  query("status")
+    .optional()
+    .isIn(["pending", "collected", "skipped"])
+    .withMessage("Invalid status value"),
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid start date format"),
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid end date format"),
+  query("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be true or false"),
 ];
 
+const exportFormatValidation = query("format")
+  .optional()
+  .isIn(EXPORT_FORMATS)
+  .withMessage("Format must be csv or xlsx");
+
 const statusValidation = [
   body("status")
     .isIn(["pending", "collected", "skipped"])
@@ -810,11 +1346,27 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 // Routes
-router.post("/", auth, donorValidation, handleValidationErrors, createDonor);
+router.post(
+  "/",
+  auth,
+  authorize("donors:write"),
+  donorValidation,
+  handleValidationErrors,
+  createDonor
+);
+
+router.post(
+  "/import",
+  auth,
+  authorize("donors:import"),
+  uploadSpreadsheet,
+  importDonors
+);
 
 router.get(
   "/",
   auth,
+  authorize("donors:read"),
   [
     query("page")
       .optional()
@@ -824,55 +1376,108 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage("Limit must be between 1 and 100"),
-    query("search").optional().trim(),
-    query("group")
-      .optional()
-      .isMongoId()
-      .withMessage("Invalid group ID format"),
-    query("status")
-      .optional()
-      .isIn(["pending", "collected", "skipped"])
-      .withMessage("Invalid status value"),
-    query("startDate")
-      .optional()
-      .isISO8601()
-      .withMessage("Invalid start date format"),
-    query("endDate")
+    ...donorFilterValidation,
+  ],
+  handleValidationErrors,
+  getDonors
+);
+
+router.get(
+  "/nearby",
+  auth,
+  authorize("donors:read"),
+  [
+    query("lat")
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Latitude must be between -90 and 90"),
+    query("lng")
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Longitude must be between -180 and 180"),
+    query("radius")
       .optional()
-      .isISO8601()
-      .withMessage("Invalid end date format"),
-    query("isActive")
+      .isInt({ min: 1, max: 50000 })
+      .withMessage("Radius must be between 1 and 50000 meters"),
+    query("limit")
       .optional()
-      .isBoolean()
-      .withMessage("isActive must be true or false"),
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    ...donorFilterValidation,
   ],
   handleValidationErrors,
-  getDonors
+  getNearbyDonors
 );
 
-router.get("/:id", auth, validateObjectId, getDonorById);
-router.get("/:id/status", auth, validateObjectId, getDonorStatus);
+router.get(
+  "/export",
+  auth,
+  authorize("reports:read"),
+  [...donorFilterValidation, exportFormatValidation],
+  handleValidationErrors,
+  exportDonors
+);
+
+router.get(
+  "/:id",
+  auth,
+  authorize("donors:read"),
+  validateObjectId,
+  getDonorById
+);
+router.get(
+  "/:id/certificate",
+  auth,
+  authorize("donations:read"),
+  validateObjectId,
+  [
+    query("financialYear")
+      .optional()
+      .custom((value) => Boolean(getFinancialYearRange(value)))
+      .withMessage("Financial year must look like 2025-26"),
+  ],
+  handleValidationErrors,
+  getDonorCertificate
+);
+router.get(
+  "/:id/status",
+  auth,
+  authorize("donors:read"),
+  validateObjectId,
+  getDonorStatus
+);
 router.put(
   "/:id/status",
   auth,
+  authorize("donors:write"),
   validateObjectId,
   statusValidation,
   handleValidationErrors,
   updateDonorStatus
 );
 
-// Manual trigger for status updates (for testing)
-router.post("/trigger-status-update", triggerStatusUpdate);
+// Manual trigger for status updates
+router.post(
+  "/trigger-status-update",
+  auth,
+  authorize("donors:status-sync"),
+  triggerStatusUpdate
+);
 
 router.put(
   "/:id",
   auth,
+  authorize("donors:write"),
   validateObjectId,
   donorUpdateValidation,
   handleValidationErrors,
   updateDonor
 );
 
-router.delete("/:id", auth, validateObjectId, deleteDonor);
+router.delete(
+  "/:id",
+  auth,
+  authorize("donors:delete"),
+  validateObjectId,
+  deleteDonor
+);
 
 module.exports = router;
@@ -1,10 +1,16 @@
 const express = require("express");
 const { body, query } = require("express-validator");
 const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const { EXPORT_FORMATS } = require("../utils/spreadsheetExport");
+const { TIME_OF_DAY } = require("../utils/collectionSchedule");
+const { getFinancialYearRange } = require("../utils/receipts");
 const {
   createGroup,
   getGroups,
+  exportGroups,
   getGroupById,
+  exportGroupCertificates,
   updateGroup,
   deleteGroup,
 } = require("../controllers/group.controller");
@@ -132,6 +138,26 @@ const {
  *                 type: string
  *                 format: date-time
  *                 example: "2024-02-15T00:00:00Z"
+ *               preferredDayOfMonth:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: null
+ *               preferredWeekOfMonth:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "first"
+ *               preferredWeekday:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "sunday"
+ *               preferredTimeFrom:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "18:00"
+ *               preferredTimeTo:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "20:00"
  *         pagination:
  *           $ref: '#/components/schemas/Pagination'
  */
@@ -145,6 +171,7 @@ const {
  *     tags: [Groups]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -193,6 +220,7 @@ const {
  *     tags: [Groups]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: search
@@ -250,6 +278,107 @@ const {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *
+ * /api/groups/export:
+ *   get:
+ *     summary: Download groups as CSV or XLSX (admin only)
+ *     description: Streams every group matching the filters with its donor counts and creator name. Takes the same filters as listing groups, without pagination.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by group name or area
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: The export file, named groups-<date>.<format>
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/groups/{id}/certificates:
+ *   get:
+ *     summary: Download the 80G certificates of a group's donors (admin only)
+ *     description: ZIP with one certificate PDF per donor in the group who gave during the financial year, named 80G-<hundi no>-<financial year>.pdf. In-kind donations and cheques that have not cleared are left out.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *           example: "2025-26"
+ *         description: Financial year (April to March), defaults to the last one that has ended
+ *     responses:
+ *       200:
+ *         description: ZIP of certificates, named 80G-<group>-<financial year>.zip
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error, or the organization's 80G registration number is not set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required, or group outside your assigned groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Group not found, or no donations in the financial year
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 
 /**
@@ -260,6 +389,7 @@ const {
  *     tags: [Groups]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -282,6 +412,23 @@ const {
  *           maximum: 100
  *           default: 10
  *         description: Number of donors per page
+ *       - in: query
+ *         name: dueThisWeek
+ *         schema:
+ *           type: boolean
+ *         description: Only active donors due by the end of this week (Monday to Sunday), overdue ones included
+ *       - in: query
+ *         name: windowFrom
+ *         schema:
+ *           type: string
+ *           example: "18:00"
+ *         description: Start of your time window (HH:mm). With windowTo, only donors whose preferred time window overlaps it, or who have none, are listed.
+ *       - in: query
+ *         name: windowTo
+ *         schema:
+ *           type: string
+ *           example: "21:00"
+ *         description: End of your time window (HH:mm)
  *     responses:
  *       200:
  *         description: Group and its donors retrieved successfully
@@ -318,6 +465,7 @@ const {
  *     tags: [Groups]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -375,7 +523,7 @@ const {
  *               $ref: '#/components/schemas/Error'
  *
  *   delete:
- *     summary: Delete a group
+ *     summary: Delete a group (admin only)
  *     tags: [Groups]
  *     security:
  *       - BearerAuth: []
@@ -399,6 +547,12 @@ const {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Group not found
  *         content:
@@ -432,6 +586,15 @@ const groupValidation = [
   body("description").optional().trim(),
 ];
 
+// Filters shared by the group list and export
+const groupFilterValidation = [
+  query("search").optional().trim(),
+  query("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be true or false"),
+];
+
 // Parameter validation middleware
 const validateObjectId = (req, res, next) => {
   const { id } = req.params;
@@ -458,17 +621,21 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 // Routes
-router.post("/", auth, groupValidation, handleValidationErrors, createGroup);
+router.post(
+  "/",
+  auth,
+  authorize("groups:write"),
+  groupValidation,
+  handleValidationErrors,
+  createGroup
+);
 
 router.get(
   "/",
   auth,
+  authorize("groups:read"),
   [
-    query("search").optional().trim(),
-    query("isActive")
-      .optional()
-      .isBoolean()
-      .withMessage("isActive must be true or false"),
+    ...groupFilterValidation,
     query("page")
       .optional()
       .isInt({ min: 1 })
@@ -483,9 +650,25 @@ router.get(
   getGroups
 );
 
+router.get(
+  "/export",
+  auth,
+  authorize("reports:read"),
+  [
+    ...groupFilterValidation,
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage("Format must be csv or xlsx"),
+  ],
+  handleValidationErrors,
+  exportGroups
+);
+
 router.get(
   "/:id",
   auth,
+  authorize("groups:read"),
   validateObjectId,
   [
     query("search").optional().trim(),
@@ -510,14 +693,47 @@ router.get(
       .isInt({ min: 1, max: 100 })
       .withMessage("Limit must be between 1 and 100"),
     query("sort").optional().trim(),
+    query("dueThisWeek")
+      .optional()
+      .isBoolean()
+      .withMessage("dueThisWeek must be true or false"),
+    query(["windowFrom", "windowTo"])
+      .optional()
+      .matches(TIME_OF_DAY)
+      .withMessage("Time window must be in HH:mm format"),
+    query("windowTo")
+      .if((value, { req }) => value || req.query.windowFrom)
+      .custom(
+        (value, { req }) =>
+          Boolean(value && req.query.windowFrom) && req.query.windowFrom < value
+      )
+      .withMessage(
+        "Time window needs both windowFrom and windowTo, with windowFrom first"
+      ),
   ],
   handleValidationErrors,
   getGroupById
 );
 
+router.get(
+  "/:id/certificates",
+  auth,
+  authorize("reports:read"),
+  validateObjectId,
+  [
+    query("financialYear")
+      .optional()
+      .custom((value) => Boolean(getFinancialYearRange(value)))
+      .withMessage("Financial year must look like 2025-26"),
+  ],
+  handleValidationErrors,
+  exportGroupCertificates
+);
+
 router.put(
   "/:id",
   auth,
+  authorize("groups:write"),
   validateObjectId,
   [
     ...groupValidation.map((validation) => validation.optional()),
@@ -530,6 +746,12 @@ router.put(
   updateGroup
 );
 
-router.delete("/:id", auth, validateObjectId, deleteGroup);
+router.delete(
+  "/:id",
+  auth,
+  authorize("groups:delete"),
+  validateObjectId,
+  deleteGroup
+);
 
 module.exports = router;
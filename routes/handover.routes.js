@@ -0,0 +1,592 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const { HANDOVER_STATUSES } = require("../utils/handovers");
+const {
+  createHandover,
+  getHandovers,
+  getHandoverById,
+  confirmHandover,
+  cancelHandover,
+  getCashInHandReport,
+  getCashAgeingReport,
+} = require("../controllers/handover.controller");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Handover:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "65b2a1c3e4b0a1b2c3d4e5f7"
+ *         collector:
+ *           type: object
+ *           description: Collector who handed over the cash
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         donations:
+ *           type: array
+ *           description: The cash donations in the handover (only on a single handover)
+ *           items:
+ *             $ref: '#/components/schemas/Donation'
+ *         amount:
+ *           type: number
+ *           description: Total of the donations, the cash expected
+ *           example: 4500
+ *         status:
+ *           type: string
+ *           enum: [submitted, confirmed, deposited]
+ *           example: "confirmed"
+ *         notes:
+ *           type: string
+ *           description: Collector's notes
+ *         receivedAmount:
+ *           type: number
+ *           nullable: true
+ *           description: Cash the treasurer confirmed receiving
+ *           example: 4400
+ *         discrepancy:
+ *           type: number
+ *           nullable: true
+ *           description: Received minus expected; negative when cash is short
+ *           example: -100
+ *         receivedBy:
+ *           type: object
+ *           nullable: true
+ *           description: Treasurer who confirmed the handover
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         receiptNotes:
+ *           type: string
+ *           description: Treasurer's notes, e.g. the reason for a discrepancy
+ *         deposit:
+ *           type: string
+ *           nullable: true
+ *           description: ID of the bank deposit that covers this handover
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     CashTotal:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: integer
+ *           example: 12
+ *         amount:
+ *           type: number
+ *           example: 3600
+ */
+
+/**
+ * @swagger
+ * /api/handovers:
+ *   post:
+ *     summary: Hand over cash donations to the treasurer
+ *     description: Creates a handover of the signed-in collector's cash donations that are not yet handed over. Without donationIds all of them are included.
+ *     tags: [Handovers]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               donationIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Cash donations to include
+ *               notes:
+ *                 type: string
+ *                 example: "Collections from Ward 4"
+ *     responses:
+ *       201:
+ *         description: Handover submitted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         handover:
+ *                           $ref: '#/components/schemas/Handover'
+ *       400:
+ *         description: Validation error, no cash to hand over, or a donation that is not the collector's cash waiting to be handed over
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       409:
+ *         description: Some of the donations were handed over by another request at the same time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   get:
+ *     summary: List handovers
+ *     description: Admins see every handover; collectors see their own.
+ *     tags: [Handovers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [submitted, confirmed, deposited]
+ *       - in: query
+ *         name: collector
+ *         schema:
+ *           type: string
+ *         description: Filter by collector (admins only)
+ *       - in: query
+ *         name: discrepancy
+ *         schema:
+ *           type: boolean
+ *         description: Only confirmed handovers where the cash received differed from the donations
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Handovers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         handovers:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Handover'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *
+ * /api/handovers/reports/cash-in-hand:
+ *   get:
+ *     summary: Undeposited cash per collector (admin only)
+ *     description: For each collector, the cash not yet handed over and the cash in handovers awaiting confirmation, with the oldest collection date. Also the confirmed cash the treasurer holds that is not yet deposited.
+ *     tags: [Handovers]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Cash in hand retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         collectors:
+ *                           type: array
+ *                           description: Largest total first
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               collector:
+ *                                 type: object
+ *                                 properties:
+ *                                   _id:
+ *                                     type: string
+ *                                   name:
+ *                                     type: string
+ *                                   email:
+ *                                     type: string
+ *                               withCollector:
+ *                                 $ref: '#/components/schemas/CashTotal'
+ *                               awaitingConfirmation:
+ *                                 $ref: '#/components/schemas/CashTotal'
+ *                               total:
+ *                                 type: number
+ *                                 example: 5200
+ *                               oldestCollectionDate:
+ *                                 type: string
+ *                                 format: date-time
+ *                         withTreasurer:
+ *                           type: object
+ *                           properties:
+ *                             handovers:
+ *                               type: integer
+ *                               example: 3
+ *                             amount:
+ *                               type: number
+ *                               example: 12850
+ *                         total:
+ *                           type: number
+ *                           example: 18050
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/handovers/reports/ageing:
+ *   get:
+ *     summary: Ageing of undeposited cash (admin only)
+ *     description: Undeposited cash donations in bands of days since collection (0-7, 8-15, 16-30, over 30), split by who holds the cash.
+ *     tags: [Handovers]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Undeposited cash ageing retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         asOf:
+ *                           type: string
+ *                           format: date-time
+ *                         bands:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               label:
+ *                                 type: string
+ *                                 example: "8-15 days"
+ *                               count:
+ *                                 type: integer
+ *                               amount:
+ *                                 type: number
+ *                               withCollector:
+ *                                 $ref: '#/components/schemas/CashTotal'
+ *                               awaitingConfirmation:
+ *                                 $ref: '#/components/schemas/CashTotal'
+ *                               withTreasurer:
+ *                                 $ref: '#/components/schemas/CashTotal'
+ *                         total:
+ *                           $ref: '#/components/schemas/CashTotal'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/handovers/{id}:
+ *   get:
+ *     summary: Get a handover with its donations
+ *     tags: [Handovers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Handover ID
+ *     responses:
+ *       200:
+ *         description: Handover retrieved successfully
+ *       404:
+ *         description: Handover not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   delete:
+ *     summary: Cancel a handover that has not been confirmed
+ *     description: The donations go back to the collector's cash in hand. Collectors can cancel their own handovers.
+ *     tags: [Handovers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Handover ID
+ *     responses:
+ *       200:
+ *         description: Handover cancelled successfully
+ *       404:
+ *         description: Handover not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The handover has already been confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/handovers/{id}/confirm:
+ *   post:
+ *     summary: Confirm the cash received for a handover (admin only)
+ *     description: Records the amount the treasurer received. A difference from the donations' total is kept as the handover's discrepancy.
+ *     tags: [Handovers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Handover ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               receivedAmount:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 4400
+ *               notes:
+ *                 type: string
+ *                 example: "Rs. 100 short, collector to check"
+ *             required:
+ *               - receivedAmount
+ *     responses:
+ *       200:
+ *         description: Handover confirmed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         handover:
+ *                           $ref: '#/components/schemas/Handover'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Handover not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The handover has already been confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Parameter validation middleware
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (!id || !require("mongoose").Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid handover ID format",
+    });
+  }
+  next();
+};
+
+// Add validation error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = require("express-validator").validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Validation middleware
+const handoverValidation = [
+  body("donationIds")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("donationIds must be a non-empty array"),
+  body("donationIds.*").isMongoId().withMessage("Invalid donation ID format"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be longer than 500 characters"),
+];
+
+const confirmValidation = [
+  body("receivedAmount")
+    .notEmpty()
+    .withMessage("Received amount is required")
+    .bail()
+    .isFloat({ min: 0 })
+    .withMessage("Received amount must be a positive number")
+    .toFloat(),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot be longer than 500 characters"),
+];
+
+// Routes
+router.post(
+  "/",
+  auth,
+  authorize("handovers:create"),
+  handoverValidation,
+  handleValidationErrors,
+  createHandover
+);
+
+router.get(
+  "/",
+  auth,
+  authorize("handovers:read"),
+  [
+    query("status")
+      .optional()
+      .isIn(HANDOVER_STATUSES)
+      .withMessage("Invalid status value"),
+    query("collector")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid collector ID format"),
+    query("discrepancy")
+      .optional()
+      .isBoolean()
+      .withMessage("discrepancy must be true or false"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  getHandovers
+);
+
+router.get(
+  "/reports/cash-in-hand",
+  auth,
+  authorize("reports:read"),
+  getCashInHandReport
+);
+
+router.get(
+  "/reports/ageing",
+  auth,
+  authorize("reports:read"),
+  getCashAgeingReport
+);
+
+router.get(
+  "/:id",
+  auth,
+  authorize("handovers:read"),
+  validateObjectId,
+  getHandoverById
+);
+
+router.post(
+  "/:id/confirm",
+  auth,
+  authorize("handovers:confirm"),
+  validateObjectId,
+  confirmValidation,
+  handleValidationErrors,
+  confirmHandover
+);
+
+router.delete(
+  "/:id",
+  auth,
+  authorize("handovers:create"),
+  validateObjectId,
+  cancelHandover
+);
+
+module.exports = router;
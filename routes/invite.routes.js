@@ -0,0 +1,279 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const {
+  createInvite,
+  getInvites,
+  revokeInvite,
+} = require("../controllers/invite.controller");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invite:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "65a1f0c2e4b0a1b2c3d4e5f6"
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Email the invite is restricted to, if any
+ *           example: "new.volunteer@example.com"
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *           example: "user"
+ *         groups:
+ *           type: array
+ *           description: Groups the invited user will be assigned to
+ *           items:
+ *             $ref: '#/components/schemas/Group'
+ *         status:
+ *           type: string
+ *           enum: [pending, used, revoked, expired]
+ *           example: "pending"
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         usedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     CreateInviteRequest:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Restrict the invite to this email address
+ *           example: "new.volunteer@example.com"
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *           default: user
+ *         groups:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Group IDs to assign the new user to
+ *           example: ["507f1f77bcf86cd799439012"]
+ *         expiresInDays:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 30
+ *           default: 7
+ */
+
+/**
+ * @swagger
+ * /api/invites:
+ *   post:
+ *     summary: Create an invite (admin only)
+ *     description: Returns a one-time signed invite code. The code is only shown in this response; share it with the new user so they can register.
+ *     tags: [Invites]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateInviteRequest'
+ *     responses:
+ *       201:
+ *         description: Invite created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         invite:
+ *                           $ref: '#/components/schemas/Invite'
+ *                         code:
+ *                           type: string
+ *                           example: "65a1f0c2e4b0a1b2c3d4e5f6.3f2a9c1e5b7d8a6f4c2e1b3d.9b8c7d6e5f4a3b2c1d0e9f8a7b6c5d4e"
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: One of the groups was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   get:
+ *     summary: List invites (admin only)
+ *     tags: [Invites]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, used, revoked, expired]
+ *         description: Filter by invite status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Invites retrieved successfully
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/invites/{id}:
+ *   delete:
+ *     summary: Revoke an unused invite (admin only)
+ *     tags: [Invites]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invite ID
+ *     responses:
+ *       200:
+ *         description: Invite revoked successfully
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invite not found or no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Parameter validation middleware
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (!id || !require("mongoose").Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid invite ID format",
+    });
+  }
+  next();
+};
+
+// Add validation error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = require("express-validator").validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Validation middleware
+const inviteValidation = [
+  body("email")
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage("Please enter a valid email")
+    .normalizeEmail(),
+  body("role")
+    .optional()
+    .isIn(["user", "admin"])
+    .withMessage("Invalid role value"),
+  body("groups").optional().isArray().withMessage("Groups must be an array"),
+  body("groups.*").isMongoId().withMessage("Invalid group ID"),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage("expiresInDays must be between 1 and 30")
+    .toInt(),
+];
+
+// Routes
+router.post(
+  "/",
+  auth,
+  authorize("invites:manage"),
+  inviteValidation,
+  handleValidationErrors,
+  createInvite
+);
+
+router.get(
+  "/",
+  auth,
+  authorize("invites:manage"),
+  [
+    query("status")
+      .optional()
+      .isIn(["pending", "used", "revoked", "expired"])
+      .withMessage("Invalid status value"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  getInvites
+);
+
+router.delete(
+  "/:id",
+  auth,
+  authorize("invites:manage"),
+  validateObjectId,
+  revokeInvite
+);
+
+module.exports = router;
@@ -0,0 +1,519 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const {
+  createOrganization,
+  getOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  createOrganizationInvite,
+} = require("../controllers/organization.controller");
+const { PAN_FORMAT } = require("../utils/certificates");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Organization:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "65a1f0c2e4b0a1b2c3d4e5f6"
+ *         name:
+ *           type: string
+ *           example: "Sudhama Seva Pune"
+ *         slug:
+ *           type: string
+ *           description: Short unique identifier
+ *           example: "pune"
+ *         isActive:
+ *           type: boolean
+ *           description: Members of an inactive organization cannot sign in
+ *           example: true
+ *         address:
+ *           type: string
+ *           description: Shown on 80G certificates
+ *           example: "12 Temple Road, Pune 411001"
+ *         pan:
+ *           type: string
+ *           example: "AAATS1234F"
+ *         registration80G:
+ *           $ref: '#/components/schemas/Registration80G'
+ *         createdBy:
+ *           type: string
+ *           description: Super admin who created the organization
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     Registration80G:
+ *       type: object
+ *       description: Income Tax 80G registration, required before issuing 80G certificates
+ *       properties:
+ *         number:
+ *           type: string
+ *           example: "AAATS1234FF20214"
+ *         validFrom:
+ *           type: string
+ *           format: date
+ *           example: "2021-05-28"
+ *         validUntil:
+ *           type: string
+ *           format: date
+ *           example: "2026-03-31"
+ *
+ *     CreateOrganizationRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Sudhama Seva Pune"
+ *         slug:
+ *           type: string
+ *           description: Lowercase letters, numbers and hyphens
+ *           example: "pune"
+ *       required:
+ *         - name
+ *         - slug
+ */
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   post:
+ *     summary: Create an organization (super admin only)
+ *     description: Creates an empty organization. Invite its first admin with POST /api/organizations/{id}/invites.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateOrganizationRequest'
+ *     responses:
+ *       201:
+ *         description: Organization created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         organization:
+ *                           $ref: '#/components/schemas/Organization'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Super admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Slug already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   get:
+ *     summary: List and search organizations (super admin only)
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name or slug
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Organizations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         organizations:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Organization'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Super admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/organizations/{id}:
+ *   get:
+ *     summary: Get an organization with member and data counts (super admin only)
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *     responses:
+ *       200:
+ *         description: Organization retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         organization:
+ *                           $ref: '#/components/schemas/Organization'
+ *                         counts:
+ *                           type: object
+ *                           properties:
+ *                             users:
+ *                               type: integer
+ *                             admins:
+ *                               type: integer
+ *                             groups:
+ *                               type: integer
+ *                             donors:
+ *                               type: integer
+ *       403:
+ *         description: Super admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Organization not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   put:
+ *     summary: Rename, activate or deactivate an organization (super admin only)
+ *     description: Members of a deactivated organization are refused at login and on every request. You cannot deactivate your own organization.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *               address:
+ *                 type: string
+ *               pan:
+ *                 type: string
+ *               registration80G:
+ *                 $ref: '#/components/schemas/Registration80G'
+ *     responses:
+ *       200:
+ *         description: Organization updated successfully
+ *       400:
+ *         description: Validation error or attempt to deactivate own organization
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Super admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Organization not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Slug already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/organizations/{id}/invites:
+ *   post:
+ *     summary: Invite someone into an organization (super admin only)
+ *     description: Typically used to bring in a new organization's first admin. Returns the invite code once; the invitee registers with it and joins the organization.
+ *     tags: [Organizations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Restrict the invite to this email
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *                 default: admin
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invite created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         invite:
+ *                           $ref: '#/components/schemas/Invite'
+ *                         code:
+ *                           type: string
+ *       403:
+ *         description: Super admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Organization not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Parameter validation middleware
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (!id || !require("mongoose").Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid organization ID format",
+    });
+  }
+  next();
+};
+
+// Add validation error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = require("express-validator").validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Validation middleware
+const nameRule = (optional) =>
+  (optional ? body("name").optional() : body("name"))
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be longer than 100 characters");
+
+const slugRule = (optional) =>
+  (optional ? body("slug").optional() : body("slug"))
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage(
+      "Slug may only contain lowercase letters, numbers and hyphens"
+    );
+
+// Routes
+router.post(
+  "/",
+  auth,
+  authorize("organizations:manage"),
+  [nameRule(false), slugRule(false)],
+  handleValidationErrors,
+  createOrganization
+);
+
+router.get(
+  "/",
+  auth,
+  authorize("organizations:manage"),
+  [
+    query("search").optional().trim(),
+    query("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  getOrganizations
+);
+
+router.get(
+  "/:id",
+  auth,
+  authorize("organizations:manage"),
+  validateObjectId,
+  getOrganizationById
+);
+
+router.put(
+  "/:id",
+  auth,
+  authorize("organizations:manage"),
+  validateObjectId,
+  [
+    nameRule(true),
+    slugRule(true),
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false")
+      .toBoolean(),
+    body("address")
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage("Address cannot be longer than 300 characters"),
+    body("pan")
+      .optional()
+      .trim()
+      .toUpperCase()
+      .matches(PAN_FORMAT)
+      .withMessage("Please enter a valid PAN"),
+    body("registration80G")
+      .optional()
+      .isObject()
+      .withMessage("registration80G must be an object"),
+    body("registration80G.number")
+      .if(body("registration80G").exists())
+      .trim()
+      .notEmpty()
+      .withMessage("80G registration number is required"),
+    body(["registration80G.validFrom", "registration80G.validUntil"])
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Invalid date format"),
+  ],
+  handleValidationErrors,
+  updateOrganization
+);
+
+router.post(
+  "/:id/invites",
+  auth,
+  authorize("organizations:manage"),
+  validateObjectId,
+  [
+    body("email")
+      .optional()
+      .trim()
+      .isEmail()
+      .withMessage("Please enter a valid email")
+      .normalizeEmail(),
+    body("role")
+      .optional()
+      .isIn(["user", "admin"])
+      .withMessage("Invalid role value"),
+    body("expiresInDays")
+      .optional()
+      .isInt({ min: 1, max: 30 })
+      .withMessage("expiresInDays must be between 1 and 30")
+      .toInt(),
+  ],
+  handleValidationErrors,
+  createOrganizationInvite
+);
+
+module.exports = router;
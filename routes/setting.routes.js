@@ -0,0 +1,120 @@
+const express = require("express");
+const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const {
+  getSettings,
+  updateSettings,
+} = require("../controllers/setting.controller");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Settings:
+ *       type: object
+ *       properties:
+ *         openRegistration:
+ *           type: boolean
+ *           description: Allow registration without an invite code. Applies to the whole deployment; only a super admin can change it.
+ *           example: false
+ *         requireAdminTwoFactor:
+ *           type: boolean
+ *           description: Require two-factor authentication for admin accounts. Admins without it can only reach the enrollment endpoints until they set it up.
+ *           example: true
+ *         passwordMinLength:
+ *           type: integer
+ *           minimum: 6
+ *           maximum: 64
+ *           description: Minimum password length
+ *           example: 8
+ *         passwordRequireUppercase:
+ *           type: boolean
+ *           description: Require an uppercase letter in passwords
+ *           example: true
+ *         passwordRequireLowercase:
+ *           type: boolean
+ *           description: Require a lowercase letter in passwords
+ *           example: false
+ *         passwordRequireNumber:
+ *           type: boolean
+ *           description: Require a number in passwords
+ *           example: true
+ *         passwordRequireSymbol:
+ *           type: boolean
+ *           description: Require a symbol in passwords
+ *           example: false
+ *         passwordHistoryCount:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 24
+ *           description: How many of the user's previous passwords cannot be reused (0 allows reuse)
+ *           example: 5
+ */
+
+/**
+ * @swagger
+ * /api/settings:
+ *   get:
+ *     summary: Get runtime settings (admin only)
+ *     description: Returns the settings of the admin's organization together with the deployment-wide ones.
+ *     tags: [Settings]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         settings:
+ *                           $ref: '#/components/schemas/Settings'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   put:
+ *     summary: Update runtime settings (admin only)
+ *     description: Send only the settings to change. Settings are changed for the admin's organization only, except deployment-wide ones, which need a super admin. Unknown keys, values of the wrong type and numbers out of range are rejected.
+ *     tags: [Settings]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Settings'
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ *       400:
+ *         description: Unknown setting or invalid value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required, or a super admin for deployment-wide settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Routes
+router.get("/", auth, authorize("settings:manage"), getSettings);
+router.put("/", auth, authorize("settings:manage"), updateSettings);
+
+module.exports = router;
@@ -0,0 +1,908 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const { auth } = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const {
+  getUsers,
+  getUserById,
+  getUserLoginHistory,
+  getLoginActivity,
+  updateUserStatus,
+  updateUserRole,
+  updateUserGroups,
+  forcePasswordReset,
+  resetTwoFactor,
+  unlockUser,
+} = require("../controllers/user.controller");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "507f1f77bcf86cd799439011"
+ *         name:
+ *           type: string
+ *           example: "Krishna Das"
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: "krishna.das@example.com"
+ *         mobileNumber:
+ *           type: string
+ *           example: "9876543210"
+ *         role:
+ *           type: string
+ *           enum: [user, admin, superadmin]
+ *           example: "user"
+ *         organization:
+ *           type: string
+ *           description: Organization the user belongs to
+ *           example: "65a1f0c2e4b0a1b2c3d4e5f6"
+ *         groups:
+ *           type: array
+ *           description: Groups the user is assigned to. Non-admin users can only work with donors in these groups. IDs in lists, populated with name and area on single-user responses.
+ *           items:
+ *             type: string
+ *           example: ["507f1f77bcf86cd799439012"]
+ *         isActive:
+ *           type: boolean
+ *           example: true
+ *         lastLogin:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-01-15T10:30:00Z"
+ *         passwordResetRequired:
+ *           type: boolean
+ *           description: Whether the user must set a new password
+ *           example: false
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           example: true
+ *         failedLoginAttempts:
+ *           type: integer
+ *           description: Consecutive failed logins since the last success or lock
+ *           example: 2
+ *         lockUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the current login lockout ends, or null if not locked
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     AccountHistoryEntry:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [activated, deactivated, role-changed, password-reset-forced, locked, unlocked, two-factor-reset, groups-changed]
+ *         from:
+ *           type: string
+ *           example: "user"
+ *         to:
+ *           type: string
+ *           example: "admin"
+ *         changedBy:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         notes:
+ *           type: string
+ *           example: "Promoted to coordinator"
+ */
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List and search users (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, email or mobile number
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, admin, superadmin]
+ *         description: Filter by role
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *         description: Only users assigned to this group
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, email, -email, role, -role, createdAt, -createdAt]
+ *           default: name
+ *         description: Field to sort by, descending with a leading "-"
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         users:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AdminUser'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filter, page or sort field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a user with their last login and account history (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         user:
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/AdminUser'
+ *                             - type: object
+ *                               properties:
+ *                                 accountHistory:
+ *                                   type: array
+ *                                   items:
+ *                                     $ref: '#/components/schemas/AccountHistoryEntry'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/users/{id}/status:
+ *   put:
+ *     summary: Activate or deactivate a user (admin only)
+ *     description: Deactivating a user also revokes all of their sessions. Admins cannot change their own account, and the last active admin cannot be deactivated.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *                 example: false
+ *               notes:
+ *                 type: string
+ *                 example: "Volunteer moved away"
+ *             required:
+ *               - isActive
+ *     responses:
+ *       200:
+ *         description: User status updated successfully
+ *       400:
+ *         description: Validation error or attempt to change own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The last active admin cannot be deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Promote or demote a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin, superadmin]
+ *                 example: "admin"
+ *               notes:
+ *                 type: string
+ *                 example: "Promoted to coordinator"
+ *             required:
+ *               - role
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Validation error or attempt to change own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The last active admin cannot be demoted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/users/{id}/groups:
+ *   put:
+ *     summary: Set the groups a user is assigned to (admin only)
+ *     description: Replaces the user's group assignments. Non-admin users only see and collect from donors in their groups; an empty list leaves them with no access to donors. Admins are not restricted.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["507f1f77bcf86cd799439012"]
+ *               notes:
+ *                 type: string
+ *                 example: "Taking over the Gandhi Nagar route"
+ *             required:
+ *               - groups
+ *     responses:
+ *       200:
+ *         description: User groups updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User or group not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Force a user to reset their password (admin only)
+ *     description: Flags the account as requiring a new password and revokes all of the user's sessions.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: "Password shared on WhatsApp group"
+ *     responses:
+ *       200:
+ *         description: Password reset forced
+ *       400:
+ *         description: Attempt to change own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/users/{id}/reset-two-factor:
+ *   post:
+ *     summary: Turn off two-factor authentication for a user (admin only)
+ *     description: For users who lost both their authenticator and recovery codes. Also revokes all of the user's sessions; they can enroll again after logging in.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: "Phone lost, identity confirmed in person"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       400:
+ *         description: Attempt to change own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed logins (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: "Verified by phone"
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/users/login-activity:
+ *   get:
+ *     summary: Flag suspicious sign-in activity (admin only)
+ *     description: Summarizes sign-in attempts per user over the last days and flags users with many failed attempts (`many-failures`), sign-ins from a new device (`new-device`) or successful sign-ins during the quiet hours (`unusual-hours`).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 90
+ *           default: 7
+ *         description: How many days back to look
+ *       - in: query
+ *         name: failureThreshold
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 5
+ *         description: Failed attempts at which a user is flagged
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *         description: Only return users with at least one flag
+ *     responses:
+ *       200:
+ *         description: Login activity retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         since:
+ *                           type: string
+ *                           format: date-time
+ *                         failureThreshold:
+ *                           type: integer
+ *                         activity:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               user:
+ *                                 type: object
+ *                                 properties:
+ *                                   id:
+ *                                     type: string
+ *                                   name:
+ *                                     type: string
+ *                                   email:
+ *                                     type: string
+ *                                   role:
+ *                                     type: string
+ *                                   isActive:
+ *                                     type: boolean
+ *                               successes:
+ *                                 type: integer
+ *                               failures:
+ *                                 type: integer
+ *                               newDevices:
+ *                                 type: integer
+ *                               unusualHourLogins:
+ *                                 type: integer
+ *                               ips:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                               lastAttemptAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               flags:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                                   enum: [many-failures, new-device, unusual-hours]
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/users/{id}/login-history:
+ *   get:
+ *     summary: Get a user's sign-in attempts (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *         description: Only successful or only failed attempts
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Login history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         loginEvents:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/LoginEvent'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Parameter validation middleware
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (!id || !require("mongoose").Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid user ID format",
+    });
+  }
+  next();
+};
+
+// Add validation error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = require("express-validator").validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Fields the user list can be sorted by, descending with a leading "-".
+// Hidden fields such as password hashes are left out, as the order of the
+// results would give them away.
+const USER_SORT_FIELDS = ["name", "email", "role", "createdAt"].flatMap(
+  (field) => [field, `-${field}`]
+);
+
+// Validation middleware
+const statusValidation = [
+  body("isActive")
+    .isBoolean()
+    .withMessage("isActive must be true or false")
+    .toBoolean(),
+  body("notes").optional().trim(),
+];
+
+const roleValidation = [
+  body("role")
+    .isIn(["user", "admin", "superadmin"])
+    .withMessage("Invalid role value"),
+  body("notes").optional().trim(),
+];
+
+const loginHistoryValidation = [
+  query("success")
+    .optional()
+    .isBoolean()
+    .withMessage("success must be true or false"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const groupsValidation = [
+  body("groups").isArray().withMessage("Groups must be an array"),
+  body("groups.*").isMongoId().withMessage("Invalid group ID"),
+  body("notes").optional().trim(),
+];
+
+// Routes
+router.get(
+  "/",
+  auth,
+  authorize("users:read"),
+  [
+    query("search").optional().trim(),
+    query("role")
+      .optional()
+      .isIn(["user", "admin", "superadmin"])
+      .withMessage("Invalid role value"),
+    query("group").optional().isMongoId().withMessage("Invalid group ID"),
+    query("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    query("sort")
+      .optional()
+      .trim()
+      .isIn(USER_SORT_FIELDS)
+      .withMessage("Invalid sort field"),
+  ],
+  handleValidationErrors,
+  getUsers
+);
+
+router.get(
+  "/login-activity",
+  auth,
+  authorize("users:read"),
+  [
+    query("days")
+      .optional()
+      .isInt({ min: 1, max: 90 })
+      .withMessage("days must be between 1 and 90"),
+    query("failureThreshold")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("failureThreshold must be between 1 and 100"),
+    query("flagged")
+      .optional()
+      .isBoolean()
+      .withMessage("flagged must be true or false"),
+  ],
+  handleValidationErrors,
+  getLoginActivity
+);
+
+router.get(
+  "/:id",
+  auth,
+  authorize("users:read"),
+  validateObjectId,
+  getUserById
+);
+
+router.get(
+  "/:id/login-history",
+  auth,
+  authorize("users:read"),
+  validateObjectId,
+  loginHistoryValidation,
+  handleValidationErrors,
+  getUserLoginHistory
+);
+
+router.put(
+  "/:id/status",
+  auth,
+  authorize("users:manage"),
+  validateObjectId,
+  statusValidation,
+  handleValidationErrors,
+  updateUserStatus
+);
+
+router.put(
+  "/:id/role",
+  auth,
+  authorize("users:manage"),
+  validateObjectId,
+  roleValidation,
+  handleValidationErrors,
+  updateUserRole
+);
+
+router.put(
+  "/:id/groups",
+  auth,
+  authorize("users:manage"),
+  validateObjectId,
+  groupsValidation,
+  handleValidationErrors,
+  updateUserGroups
+);
+
+router.post(
+  "/:id/force-password-reset",
+  auth,
+  authorize("users:manage"),
+  validateObjectId,
+  [body("notes").optional().trim()],
+  handleValidationErrors,
+  forcePasswordReset
+);
+
+router.post(
+  "/:id/reset-two-factor",
+  auth,
+  authorize("users:manage"),
+  validateObjectId,
+  [body("notes").optional().trim()],
+  handleValidationErrors,
+  resetTwoFactor
+);
+
+router.post(
+  "/:id/unlock",
+  auth,
+  authorize("users:manage"),
+  validateObjectId,
+  [body("notes").optional().trim()],
+  handleValidationErrors,
+  unlockUser
+);
+
+module.exports = router;
@@ -0,0 +1,119 @@
+/**
+ * Audit trail: records who created, changed or deleted donors, donations,
+ * groups, users, cash handovers and deposits, with the fields that changed,
+ * and bulk changes such as the donor status update
+ */
+const AuditLog = require("../models/auditLog.model");
+
+// Bookkeeping fields, and history arrays that already record their own changes
+const IGNORED_FIELDS = [
+  "_id",
+  "__v",
+  "id",
+  "createdAt",
+  "updatedAt",
+  "statusHistory",
+  "accountHistory",
+];
+
+// Secrets are never copied into the log; a change only shows as redacted
+const REDACTED_FIELDS = [
+  "password",
+  "passwordHistory",
+  "passwordResetTokenHash",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorRecoveryCodes",
+  "twoFactorLastUsedStep",
+];
+const REDACTED = "[redacted]";
+
+// Plain JSON values, so ObjectIds and dates compare and store consistently
+const toPlain = (doc) => {
+  if (!doc) return {};
+  const object =
+    typeof doc.toObject === "function"
+      ? doc.toObject({ depopulate: true, virtuals: false })
+      : doc;
+  return JSON.parse(JSON.stringify(object));
+};
+
+// Field-level differences between two versions of a document
+const diffDocuments = (before, after) => {
+  const from = toPlain(before);
+  const to = toPlain(after);
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) continue;
+
+    if (REDACTED_FIELDS.includes(field)) {
+      changes.push({
+        field,
+        from: field in from ? REDACTED : undefined,
+        to: field in to ? REDACTED : undefined,
+      });
+    } else {
+      changes.push({ field, from: from[field], to: to[field] });
+    }
+  }
+  return changes;
+};
+
+// Record a change made during `req`. Pass `before` as null for creates and
+// `after` as null for deletes. Updates that change nothing are not logged.
+// `actor` defaults to the signed-in user; unauthenticated flows such as
+// registration pass the affected user instead.
+// Failures are logged and swallowed so they never undo a completed change.
+const recordAudit = async (
+  req,
+  { action, entity, before, after, actor = req.user?._id }
+) => {
+  try {
+    const changes = diffDocuments(before, after);
+    if (action === "update" && changes.length === 0) return;
+
+    const record = after || before;
+    await AuditLog.create({
+      organization: record.organization,
+      actor: actor || null,
+      apiKey: req.apiKey?._id,
+      action,
+      entity,
+      entityId: record._id,
+      changes,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action} ${entity}):`, error);
+  }
+};
+
+// Record a bulk change that is not about a single record, such as a run of
+// the donor status update, with a summary in `details`. `req` is null when
+// the system made the change on its own (the nightly job); the entry then
+// has no actor.
+const recordBulkAudit = async (
+  req,
+  { organization, action, entity, details }
+) => {
+  try {
+    await AuditLog.create({
+      organization,
+      actor: req?.user?._id || null,
+      apiKey: req?.apiKey?._id,
+      action,
+      entity,
+      details,
+      ip: req?.ip,
+      userAgent: req?.get("user-agent"),
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action} ${entity}):`, error);
+  }
+};
+
+module.exports = { diffDocuments, recordAudit, recordBulkAudit };
@@ -0,0 +1,206 @@
+/**
+ * Annual 80G certificates: one donor's donations over a financial year,
+ * certified under the organization's 80G registration.
+ */
+const PDFDocument = require("pdfkit");
+const Organization = require("../models/organization.model");
+const { PAYMENT_MODE_LABELS, DEFAULT_PAYMENT_MODE } = require("./payments");
+const {
+  getFinancialYear,
+  amountInWords,
+  formatAmount,
+  formatDate,
+} = require("./receipts");
+
+// Permanent Account Number, e.g. ABCDE1234F
+const PAN_FORMAT = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+// The last financial year that has ended, the usual one to certify
+const getPreviousFinancialYear = (date = new Date()) => {
+  const lastYear = new Date(date);
+  lastYear.setFullYear(lastYear.getFullYear() - 1);
+  return getFinancialYear(lastYear);
+};
+
+// The organization with the details printed on certificates, or null when
+// its 80G registration number has not been set
+const getCertifyingOrganization = async (organizationId) => {
+  const organization = await Organization.findById(organizationId)
+    .select("name address pan registration80G")
+    .lean();
+  return organization?.registration80G?.number ? organization : null;
+};
+
+// "2025-26" is assessed in "2026-27"
+const getAssessmentYear = (financialYear) => {
+  const startYear = Number(financialYear.slice(0, 4)) + 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+// Download name for a donor's certificate, e.g. "80G-H123456-2025-26.pdf"
+const certificateFilename = (hundiNo, financialYear) =>
+  `80G-${String(hundiNo).replace(/[^A-Za-z0-9-]+/g, "-")}-${financialYear}.pdf`;
+
+// Render the certificate as an A4 PDF listing every donation with its
+// receipt number. Returns the PDF as a readable stream, already ended.
+const createCertificatePdf = ({
+  organization,
+  donor,
+  financialYear,
+  donations,
+}) => {
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: { Title: `80G certificate ${donor.hundiNo} ${financialYear}` },
+  });
+  const { left, bottom } = doc.page.margins;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const registration = organization.registration80G || {};
+  const validity = registration.validFrom
+    ? `, valid from ${formatDate(registration.validFrom)}${
+        registration.validUntil
+          ? ` to ${formatDate(registration.validUntil)}`
+          : ""
+      }`
+    : "";
+  const total = donations.reduce((sum, donation) => sum + donation.amount, 0);
+
+  doc.font("Helvetica-Bold").fontSize(18).text(organization.name, {
+    align: "center",
+  });
+  doc.font("Helvetica").fontSize(10);
+  if (organization.address) {
+    doc.text(organization.address, { align: "center" });
+  }
+  doc.text(`PAN: ${organization.pan || "-"}`, { align: "center" });
+  doc.text(`80G Registration No: ${registration.number}${validity}`, {
+    align: "center",
+  });
+  doc.moveDown(0.5);
+  doc
+    .moveTo(left, doc.y)
+    .lineTo(left + width, doc.y)
+    .stroke();
+  doc.moveDown();
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(13)
+    .text(
+      "Certificate of Donation under Section 80G of the Income Tax Act, 1961",
+      { align: "center" }
+    );
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(
+      `Financial Year ${financialYear} (Assessment Year ${getAssessmentYear(
+        financialYear
+      )})`,
+      { align: "center" }
+    );
+  doc.moveDown(1.5);
+
+  const details = [
+    ["Donor", donor.name],
+    ["Address", donor.address],
+    ["PAN", donor.pan || "Not provided"],
+    ["Hundi No", donor.hundiNo],
+  ];
+  for (const [label, value] of details) {
+    const rowTop = doc.y;
+    doc
+      .font("Helvetica")
+      .fontSize(11)
+      .text(label, left, rowTop, { width: 100 });
+    doc
+      .font("Helvetica-Bold")
+      .text(value || "-", left + 110, rowTop, { width: width - 110 });
+    doc.moveDown(0.4);
+  }
+  doc.moveDown();
+
+  // Donations table, continued on further pages for frequent donors
+  const columns = [
+    { header: "Date", x: left, width: 100 },
+    { header: "Receipt No", x: left + 110, width: 160 },
+    { header: "Mode", x: left + 280, width: 90 },
+    { header: "Amount", x: left + 380, width: width - 380, align: "right" },
+  ];
+  const writeRow = (values, font) => {
+    if (doc.y > doc.page.height - bottom - 60) {
+      doc.addPage();
+    }
+    const rowTop = doc.y;
+    doc.font(font).fontSize(10);
+    columns.forEach((column, index) => {
+      doc.text(values[index], column.x, rowTop, {
+        width: column.width,
+        align: column.align || "left",
+      });
+    });
+    doc.moveDown(0.3);
+  };
+
+  writeRow(
+    columns.map((column) => column.header),
+    "Helvetica-Bold"
+  );
+  for (const donation of donations) {
+    writeRow(
+      [
+        formatDate(donation.collectionDate),
+        donation.receiptNumber || "-",
+        PAYMENT_MODE_LABELS[donation.paymentMode || DEFAULT_PAYMENT_MODE],
+        formatAmount(donation.amount),
+      ],
+      "Helvetica"
+    );
+  }
+  doc
+    .moveTo(left, doc.y)
+    .lineTo(left + width, doc.y)
+    .stroke();
+  doc.moveDown(0.3);
+  writeRow(
+    ["Total", `${donations.length} donations`, "", formatAmount(total)],
+    "Helvetica-Bold"
+  );
+  doc.moveDown();
+
+  const totalText = `${formatAmount(total)} (${amountInWords(total)})`;
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(
+      `This is to certify that ${organization.name} received donations ` +
+        `totalling ${totalText} from the above donor during the financial ` +
+        `year ${financialYear}. Donations to ${organization.name} are ` +
+        "eligible for deduction under section 80G of the Income Tax Act, " +
+        "1961 under the registration above.",
+      left,
+      doc.y,
+      { width, align: "justify" }
+    );
+
+  doc.moveDown(2);
+  doc
+    .font("Helvetica-Oblique")
+    .fontSize(8)
+    .text("This is a computer generated certificate and needs no signature.", {
+      width,
+      align: "center",
+    });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  PAN_FORMAT,
+  getPreviousFinancialYear,
+  getCertifyingOrganization,
+  certificateFilename,
+  createCertificatePdf,
+};
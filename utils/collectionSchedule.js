@@ -0,0 +1,270 @@
+/**
+ * Collection scheduling: how often each donor is visited, when the next
+ * collection falls due (snapped to the donor's preferred day and time) and
+ * which donations count towards the current cycle. Every path that moves a
+ * donor's collection date goes through here. Voided donations never count.
+ * Days, weekdays and times are those in India, whatever the timezone of the
+ * server: the helpers below work on dates shifted by toIndianTime.
+ */
+const Donation = require("../models/donation.model");
+const { toIndianTime, fromIndianTime } = require("./indianTime");
+
+const COLLECTION_FREQUENCIES = [
+  "weekly",
+  "fortnightly",
+  "monthly",
+  "quarterly",
+  "yearly",
+  "custom-days",
+];
+
+const DEFAULT_COLLECTION_FREQUENCY = "monthly";
+const MAX_COLLECTION_INTERVAL_DAYS = 366;
+
+// Preferred day rules: a day of the month ("the 5th"), a weekday of the
+// month ("the first Sunday") or, on its own, a weekday ("any Sunday")
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const WEEKS_OF_MONTH = ["first", "second", "third", "fourth", "last"];
+
+// Preferred times are "HH:mm" on a 24 hour clock, so they compare as strings
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Length of a cycle, in months for calendar based frequencies and in days
+// for the others
+const CYCLE_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+const CYCLE_DAYS = { weekly: 7, fortnightly: 14 };
+
+const cycleDays = (donor) =>
+  donor.collectionFrequency === "custom-days"
+    ? donor.collectionIntervalDays
+    : CYCLE_DAYS[donor.collectionFrequency];
+
+const cycleMonths = (donor) =>
+  CYCLE_MONTHS[donor.collectionFrequency || DEFAULT_COLLECTION_FREQUENCY];
+
+// Add months, keeping to the last day of shorter months (31 Jan + 1 month
+// is 28 or 29 Feb rather than early March)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setUTCHours(0, 0, 0, 0);
+  return result;
+};
+
+const endOfDay = (date) => {
+  const result = new Date(date);
+  result.setUTCHours(23, 59, 59, 999);
+  return result;
+};
+
+// Day-of-month rules only make sense for cycles that follow the calendar
+const isCalendarFrequency = (frequency) =>
+  Boolean(CYCLE_MONTHS[frequency || DEFAULT_COLLECTION_FREQUENCY]);
+
+const hasMonthRule = (donor) =>
+  isCalendarFrequency(donor.collectionFrequency) &&
+  Boolean(donor.preferredDayOfMonth || donor.preferredWeekOfMonth);
+
+// The donor's preferred day in a month. Days past the end of a short month
+// fall on its last day.
+const preferredDayInMonth = (donor, year, month) => {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0));
+  if (donor.preferredDayOfMonth) {
+    return new Date(
+      Date.UTC(
+        year,
+        month,
+        Math.min(donor.preferredDayOfMonth, lastDay.getUTCDate())
+      )
+    );
+  }
+
+  const weekday = WEEKDAYS.indexOf(donor.preferredWeekday);
+  if (donor.preferredWeekOfMonth === "last") {
+    return addDays(lastDay, -((lastDay.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  return addDays(
+    first,
+    ((weekday - first.getUTCDay() + 7) % 7) +
+      7 * WEEKS_OF_MONTH.indexOf(donor.preferredWeekOfMonth)
+  );
+};
+
+// Move a due date onto the donor's preferred day, keeping it after `from`.
+// Calendar cycles stay in the month they fall due in; a weekday on its own
+// moves the date to the closest such weekday.
+const snapToPreferredDay = (donor, date, from) => {
+  let candidates;
+  if (hasMonthRule(donor)) {
+    candidates = [0, 1].map((months) =>
+      preferredDayInMonth(
+        donor,
+        date.getUTCFullYear(),
+        date.getUTCMonth() + months
+      )
+    );
+  } else if (donor.preferredWeekday) {
+    const ahead =
+      (WEEKDAYS.indexOf(donor.preferredWeekday) - date.getUTCDay() + 7) % 7;
+    candidates = [addDays(date, ahead - 7), addDays(date, ahead)].sort(
+      (a, b) => Math.abs(a - date) - Math.abs(b - date)
+    );
+  } else {
+    return date;
+  }
+  return candidates.find((candidate) => startOfDay(candidate) > from);
+};
+
+// Next collection date for a donor, one cycle after `from`, on the donor's
+// preferred day and at the start of their preferred time window
+const getNextCollectionDate = (donor, from = new Date()) => {
+  const start = toIndianTime(from);
+  const days = cycleDays(donor);
+  const due = days
+    ? addDays(start, days)
+    : addMonths(start, cycleMonths(donor));
+  const next = snapToPreferredDay(donor, due, start);
+
+  if (donor.preferredTimeFrom) {
+    const [hours, minutes] = donor.preferredTimeFrom.split(":").map(Number);
+    next.setUTCHours(hours, minutes, 0, 0);
+  } else {
+    next.setUTCHours(
+      due.getUTCHours(),
+      due.getUTCMinutes(),
+      due.getUTCSeconds(),
+      due.getUTCMilliseconds()
+    );
+  }
+  return fromIndianTime(next);
+};
+
+// Monday to Sunday week containing `date`
+const getWeek = (date = new Date()) => {
+  const day = toIndianTime(date);
+  const start = startOfDay(addDays(day, -((day.getUTCDay() + 6) % 7)));
+  return {
+    start: fromIndianTime(start),
+    end: fromIndianTime(endOfDay(addDays(start, 6))),
+  };
+};
+
+// The cycle `date` falls in. Monthly, quarterly and yearly donors follow the
+// calendar (quarters start in January, April, July and October); weekly,
+// fortnightly and custom-days donors look back one interval from `date`.
+const getCollectionCycle = (donor, date = new Date()) => {
+  const day = toIndianTime(date);
+  const end = endOfDay(day);
+
+  const days = cycleDays(donor);
+  if (days) {
+    return {
+      start: fromIndianTime(startOfDay(addDays(end, 1 - days))),
+      end: fromIndianTime(end),
+    };
+  }
+
+  const months = cycleMonths(donor);
+  const year = day.getUTCFullYear();
+  const firstMonth = Math.floor(day.getUTCMonth() / months) * months;
+  return {
+    start: fromIndianTime(new Date(Date.UTC(year, firstMonth, 1))),
+    end: fromIndianTime(
+      endOfDay(new Date(Date.UTC(year, firstMonth + months, 0)))
+    ),
+  };
+};
+
+// Ids (as strings) of the donors that already have a donation in the cycle
+// `date` falls in, found with one query for all of them
+const findDonorsCollectedInCycle = async (donors, date = new Date()) => {
+  if (donors.length === 0) return new Set();
+
+  const cycles = new Map(
+    donors.map((donor) => [String(donor._id), getCollectionCycle(donor, date)])
+  );
+  const windows = [...cycles.values()];
+  const earliest = windows.reduce((a, b) => (b.start < a.start ? b : a)).start;
+  const latest = windows.reduce((a, b) => (b.end > a.end ? b : a)).end;
+
+  const donations = await Donation.find({
+    donor: { $in: donors.map((donor) => donor._id) },
+    collectionDate: { $gte: earliest, $lte: latest },
+    voided: { $ne: true },
+  }).select("donor collectionDate");
+
+  const collected = new Set();
+  for (const donation of donations) {
+    const donorId = String(donation.donor);
+    const { start, end } = cycles.get(donorId);
+    if (donation.collectionDate >= start && donation.collectionDate <= end) {
+      collected.add(donorId);
+    }
+  }
+  return collected;
+};
+
+// Status and next collection date of a donor worked out again from their
+// latest remaining donation, after the donation that set them was voided.
+// Without any donation left the donor is due from `dueDate`, when the voided
+// donation was collected.
+const getScheduleAfterVoid = (
+  donor,
+  latestDonation,
+  dueDate,
+  now = new Date()
+) => {
+  if (!latestDonation) {
+    return { status: "pending", collectionDate: dueDate };
+  }
+
+  const { start } = getCollectionCycle(donor, now);
+  return {
+    status: latestDonation.collectionDate >= start ? "collected" : "pending",
+    collectionDate: getNextCollectionDate(
+      donor,
+      new Date(latestDonation.collectionDate)
+    ),
+  };
+};
+
+module.exports = {
+  COLLECTION_FREQUENCIES,
+  DEFAULT_COLLECTION_FREQUENCY,
+  MAX_COLLECTION_INTERVAL_DAYS,
+  WEEKDAYS,
+  WEEKS_OF_MONTH,
+  TIME_OF_DAY,
+  isCalendarFrequency,
+  getNextCollectionDate,
+  getCollectionCycle,
+  getWeek,
+  findDonorsCollectedInCycle,
+  getScheduleAfterVoid,
+};
@@ -1,55 +1,77 @@
 const cron = require('node-cron');
 const Donor = require('../models/donor.model');
-const Donation = require('../models/donation.model');
+const { findDonorsCollectedInCycle } = require('./collectionSchedule');
+const { recordBulkAudit } = require('./audit');
 
-// Function to update donor status to pending when collection date is missed
-async function updateDonorStatus() {
+const BATCH_SIZE = 500;
+
+// Function to update donor status to pending when collection date is missed.
+// Pass an organization ID to limit the update to that organization, and the
+// request when a user started the run. Each run is audited once per
+// organization, with the counts.
+async function updateDonorStatus(organizationId, req = null) {
   try {
     const today = new Date();
-    const currentMonth = today.getMonth();
-    const currentYear = today.getFullYear();
 
-    // Find donors whose collection date has passed and they don't have a donation for current month
+    // Find donors whose collection date has passed and they don't have a donation for current cycle
     const donors = await Donor.find({
       collectionDate: { 
         $lt: today, // Collection date has passed
         $ne: null 
       },
       isActive: true,
-      status: { $ne: 'pending' }
+      status: { $ne: 'pending' },
+      ...(organizationId && { organization: organizationId })
     });
 
     let updatedCount = 0;
 
-    for (const donor of donors) {
-      // Check if donor has a donation for the current month
-      const startOfMonth = new Date(currentYear, currentMonth, 1);
-      const endOfMonth = new Date(currentYear, currentMonth + 1, 0, 23, 59, 59);
+    // Counts per organization for the audit log
+    const runs = new Map();
+    const countFor = (organization) => {
+      const key = String(organization);
+      if (!runs.has(key)) {
+        runs.set(key, { organization, updatedCount: 0, totalChecked: 0 });
+      }
+      return runs.get(key);
+    };
+    if (organizationId) countFor(organizationId);
+    for (const donor of donors) countFor(donor.organization).totalChecked++;
 
-      const existingDonation = await Donation.findOne({
-        donor: donor._id,
-        collectionDate: {
-          $gte: startOfMonth,
-          $lte: endOfMonth
-        }
-      });
+    for (let i = 0; i < donors.length; i += BATCH_SIZE) {
+      const batch = donors.slice(i, i + BATCH_SIZE);
+
+      // Donors with a donation in their current cycle (month, quarter, week...)
+      const collected = await findDonorsCollectedInCycle(batch, today);
 
-      // If no donation exists for current month, set status to pending
-      if (!existingDonation) {
-        // Add to status history
-        donor.statusHistory.push({
-          status: 'pending',
-          date: new Date(),
-          notes: 'Automatically set to pending - collection date missed and no donation for current month'
-        });
-        
-        donor.status = 'pending';
-        await donor.save();
-        updatedCount++;
+      for (const donor of batch) {
+        // If no donation exists for current cycle, set status to pending
+        if (!collected.has(String(donor._id))) {
+          // Add to status history
+          donor.statusHistory.push({
+            status: 'pending',
+            date: new Date(),
+            notes: 'Automatically set to pending - collection date missed and no donation for current cycle'
+          });
+
+          donor.status = 'pending';
+          await donor.save();
+          updatedCount++;
+          countFor(donor.organization).updatedCount++;
+        }
       }
     }
 
-    console.log(`Updated ${updatedCount} donors to pending status - collection date missed without current month donation`);
+    for (const { organization, ...details } of runs.values()) {
+      await recordBulkAudit(req, {
+        organization,
+        action: 'status-update',
+        entity: 'donor',
+        details,
+      });
+    }
+
+    console.log(`Updated ${updatedCount} donors to pending status - collection date missed without current cycle donation`);
     return { updatedCount, totalChecked: donors.length };
   } catch (error) {
     console.error('Error updating donor status:', error);
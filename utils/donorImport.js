@@ -0,0 +1,198 @@
+/**
+ * Spreadsheet donor import: reads CSV or XLSX uploads, maps their columns to
+ * donor fields and checks each row with the same rules as POST /api/donors
+ */
+const path = require("path");
+const { parse } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+const { validationResult } = require("express-validator");
+const { donorFieldValidation } = require("./donorValidation");
+const { ERROR_MESSAGES, ERROR_CODES } = require("./errorHandler");
+
+const MAX_IMPORT_ROWS = 1000;
+
+const REQUIRED_IMPORT_FIELDS = [
+  "hundiNo",
+  "name",
+  "mobileNumber",
+  "address",
+  "googleMapLink",
+];
+const DONOR_IMPORT_FIELDS = [
+  ...REQUIRED_IMPORT_FIELDS,
+  "group",
+  "collectionFrequency",
+  "collectionIntervalDays",
+];
+
+// Header names recognized without an explicit mapping, compared after
+// lowercasing and dropping spaces and punctuation
+const COLUMN_ALIASES = {
+  hundino: "hundiNo",
+  hundi: "hundiNo",
+  hundinumber: "hundiNo",
+  name: "name",
+  donor: "name",
+  donorname: "name",
+  mobilenumber: "mobileNumber",
+  mobile: "mobileNumber",
+  mobileno: "mobileNumber",
+  phone: "mobileNumber",
+  phonenumber: "mobileNumber",
+  address: "address",
+  googlemaplink: "googleMapLink",
+  googlemap: "googleMapLink",
+  googlemaps: "googleMapLink",
+  maplink: "googleMapLink",
+  location: "googleMapLink",
+  group: "group",
+  groupname: "group",
+  area: "group",
+  collectionfrequency: "collectionFrequency",
+  frequency: "collectionFrequency",
+  collectionintervaldays: "collectionIntervalDays",
+  intervaldays: "collectionIntervalDays",
+};
+
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const invalidFile = (message) => ({
+  status: 400,
+  message,
+  code: ERROR_CODES.VALIDATION_ERROR,
+});
+
+// Header row and data rows of the first sheet, as strings. Row numbers are
+// the line or row numbers the user sees in their spreadsheet.
+const readSheet = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  try {
+    if (extension === ".csv") {
+      const records = parse(file.buffer, {
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        trim: true,
+        info: true,
+      });
+      const [header, ...rows] = records;
+      return {
+        headers: header ? header.record : [],
+        rows: rows.map(({ record, info }) => ({
+          rowNumber: info.lines,
+          values: record,
+        })),
+      };
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { headers: [], rows: [] };
+
+    // Cell text is what the spreadsheet displays, so numbers such as mobile
+    // numbers keep their digits
+    const readRow = (row) =>
+      Array.from({ length: sheet.columnCount }, (_, index) =>
+        row.getCell(index + 1).text.trim()
+      );
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber > 1) rows.push({ rowNumber, values: readRow(row) });
+    });
+    return { headers: readRow(sheet.getRow(1)), rows };
+  } catch (error) {
+    throw invalidFile(ERROR_MESSAGES.IMPORT_FILE_INVALID);
+  }
+};
+
+// Column index for each donor field. An explicit mapping of field to header
+// name wins over the recognized header names.
+const mapColumns = (headers, mapping = {}) => {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  normalized.forEach((header, index) => {
+    const field = COLUMN_ALIASES[header];
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!DONOR_IMPORT_FIELDS.includes(field)) continue;
+    const index = normalized.indexOf(normalizeHeader(header));
+    if (index !== -1) columns[field] = index;
+  }
+
+  return columns;
+};
+
+// Read the uploaded spreadsheet into rows of donor fields. `mapping` is the
+// optional JSON object sent with the upload, e.g. {"hundiNo": "Hundi #"}.
+const readDonorRows = async (file, mapping) => {
+  let columnMapping = {};
+  if (mapping) {
+    try {
+      columnMapping = JSON.parse(mapping);
+    } catch (error) {
+      throw invalidFile(ERROR_MESSAGES.IMPORT_MAPPING_INVALID);
+    }
+  }
+
+  const { headers, rows } = await readSheet(file);
+  const columns = mapColumns(headers, columnMapping);
+
+  const missing = REQUIRED_IMPORT_FIELDS.filter(
+    (field) => columns[field] === undefined
+  );
+  if (missing.length > 0) {
+    throw invalidFile(
+      `${ERROR_MESSAGES.IMPORT_COLUMNS_MISSING}: ${missing.join(", ")}`
+    );
+  }
+
+  const donorRows = rows
+    .map(({ rowNumber, values }) => ({
+      rowNumber,
+      data: Object.fromEntries(
+        Object.entries(columns).map(([field, index]) => [
+          field,
+          values[index] ?? "",
+        ])
+      ),
+    }))
+    .filter(({ data }) => Object.values(data).some((value) => value !== ""));
+
+  if (donorRows.length === 0) {
+    throw invalidFile(ERROR_MESSAGES.IMPORT_FILE_EMPTY);
+  }
+  if (donorRows.length > MAX_IMPORT_ROWS) {
+    throw invalidFile(
+      `${ERROR_MESSAGES.IMPORT_TOO_MANY_ROWS} (${MAX_IMPORT_ROWS})`
+    );
+  }
+
+  return donorRows;
+};
+
+// Check a row with the donor field rules. Returns the sanitized fields and
+// the broken rules.
+const validateDonorRow = async (data) => {
+  const req = { body: { ...data } };
+  for (const rule of donorFieldValidation) {
+    await rule.run(req);
+  }
+
+  return {
+    data: req.body,
+    errors: validationResult(req)
+      .array()
+      .map((error) => ({ field: error.path, message: error.msg })),
+  };
+};
+
+module.exports = { readDonorRows, validateDonorRow };
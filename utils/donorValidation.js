@@ -0,0 +1,145 @@
+/**
+ * Field rules for a new donor, shared by POST /api/donors and the
+ * spreadsheet import so both accept exactly the same data
+ */
+const { body } = require("express-validator");
+const {
+  COLLECTION_FREQUENCIES,
+  MAX_COLLECTION_INTERVAL_DAYS,
+  WEEKDAYS,
+  WEEKS_OF_MONTH,
+  TIME_OF_DAY,
+  isCalendarFrequency,
+} = require("./collectionSchedule");
+const { PAN_FORMAT } = require("./certificates");
+
+// Optional on create and update. The interval is required when the
+// frequency is custom-days and checked whenever it is given.
+const collectionFrequencyValidation = [
+  body("collectionFrequency")
+    .optional({ values: "falsy" })
+    .trim()
+    .toLowerCase()
+    .isIn(COLLECTION_FREQUENCIES)
+    .withMessage(
+      `Collection frequency must be one of: ${COLLECTION_FREQUENCIES.join(
+        ", "
+      )}`
+    ),
+  body("collectionIntervalDays")
+    .if(
+      (value, { req }) =>
+        (value ?? "") !== "" || req.body.collectionFrequency === "custom-days"
+    )
+    .notEmpty()
+    .withMessage(
+      "Collection interval in days is required for the custom-days frequency"
+    )
+    .bail()
+    .isInt({ min: 1, max: MAX_COLLECTION_INTERVAL_DAYS })
+    .withMessage(
+      `Collection interval must be between 1 and ${MAX_COLLECTION_INTERVAL_DAYS} days`
+    )
+    .toInt(),
+];
+
+const given = (value) => value !== undefined && value !== null;
+
+// Day of month rules need a calendar frequency, when one is being set
+const forCalendarFrequency = (value, { req }) =>
+  !req.body.collectionFrequency ||
+  isCalendarFrequency(req.body.collectionFrequency);
+
+// Optional on create and update; null clears a preference. The preferred day
+// is either a day of the month or a weekday (with an optional week of the
+// month), and the time window is always given as a pair.
+const collectionPreferenceValidation = [
+  body("preferredDayOfMonth")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: 31 })
+    .withMessage("Preferred day of month must be between 1 and 31")
+    .bail()
+    .custom((value, { req }) => !given(req.body.preferredWeekday))
+    .withMessage("Give either a preferred day of month or a preferred weekday")
+    .bail()
+    .custom(forCalendarFrequency)
+    .withMessage(
+      "A preferred day of month needs a monthly, quarterly or yearly frequency"
+    )
+    .toInt(),
+  body("preferredWeekday")
+    .optional({ values: "null" })
+    .trim()
+    .toLowerCase()
+    .isIn(WEEKDAYS)
+    .withMessage("Preferred weekday must be a day name such as sunday"),
+  body("preferredWeekOfMonth")
+    .optional({ values: "null" })
+    .trim()
+    .toLowerCase()
+    .isIn(WEEKS_OF_MONTH)
+    .withMessage(
+      `Preferred week of month must be one of: ${WEEKS_OF_MONTH.join(", ")}`
+    )
+    .bail()
+    .custom((value, { req }) => given(req.body.preferredWeekday))
+    .withMessage("A preferred week of month needs a preferred weekday")
+    .bail()
+    .custom(forCalendarFrequency)
+    .withMessage(
+      "A preferred week of month needs a monthly, quarterly or yearly frequency"
+    ),
+  body(["preferredTimeFrom", "preferredTimeTo"])
+    .optional({ values: "null" })
+    .matches(TIME_OF_DAY)
+    .withMessage("Preferred times must be in HH:mm format"),
+  body("preferredTimeTo")
+    .if((value, { req }) => given(value) || given(req.body.preferredTimeFrom))
+    .custom(
+      (value, { req }) =>
+        given(value) &&
+        given(req.body.preferredTimeFrom) &&
+        req.body.preferredTimeFrom < value
+    )
+    .withMessage(
+      "Preferred time window needs both times, with preferredTimeFrom before preferredTimeTo"
+    ),
+];
+
+// Optional on create and update; null clears it
+const panValidation = body("pan")
+  .optional({ values: "null" })
+  .trim()
+  .toUpperCase()
+  .matches(PAN_FORMAT)
+  .withMessage("Please enter a valid PAN, e.g. ABCDE1234F");
+
+const donorFieldValidation = [
+  body("hundiNo").notEmpty().withMessage("Hundi number is required").trim(),
+  body("name")
+    .notEmpty()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage("Name must be at least 2 characters long"),
+  body("mobileNumber")
+    .notEmpty()
+    .withMessage("Mobile number is required")
+    .matches(/^[0-9]{10}$/)
+    .withMessage("Please enter a valid 10-digit mobile number"),
+  body("address").notEmpty().withMessage("Address is required").trim(),
+  body("googleMapLink")
+    .notEmpty()
+    .withMessage("Google Map link is required")
+    .trim(),
+  panValidation,
+  ...collectionFrequencyValidation,
+  ...collectionPreferenceValidation,
+];
+
+module.exports = {
+  donorFieldValidation,
+  panValidation,
+  collectionFrequencyValidation,
+  collectionPreferenceValidation,
+};
@@ -45,18 +45,96 @@ const ERROR_MESSAGES = {
   NOT_FOUND: "Resource not found",
   UNAUTHORIZED: "Authentication required",
   FORBIDDEN: "Access denied",
+  INSUFFICIENT_PERMISSIONS: "You do not have permission to perform this action",
+  ORGANIZATION_INACTIVE: "Your organization has been deactivated",
+  ORGANIZATION_NOT_FOUND: "Organization not found",
+  ORGANIZATION_SLUG_IN_USE: "An organization with this slug already exists",
+  CANNOT_DEACTIVATE_OWN_ORGANIZATION:
+    "You cannot deactivate your own organization",
+  GROUP_OUT_OF_SCOPE: "You are not assigned to this group",
+  INSUFFICIENT_SCOPE: "This API key does not have the scope for this action",
+  INVALID_API_KEY: "Invalid, expired or revoked API key",
+  API_KEY_NOT_ALLOWED: "API keys cannot be used for this endpoint",
+  API_KEY_NOT_FOUND: "API key not found",
   DUPLICATE_ENTRY: "Resource already exists",
   INVALID_ID: "Invalid ID format",
   SERVER_ERROR: "Something went wrong. Please try again.",
   AUTH_FAILED: "Authentication failed. Please try again.",
   TOKEN_EXPIRED: "Token has expired",
   INVALID_TOKEN: "Invalid token",
+  INVALID_REFRESH_TOKEN: "Invalid or expired refresh token",
+  SESSION_REVOKED: "Session has been revoked. Please log in again.",
+  SESSION_NOT_FOUND: "Session not found",
   USER_NOT_FOUND: "User not found",
   USER_DEACTIVATED: "User account is deactivated",
+  CANNOT_MODIFY_SELF: "You cannot change your own account from here",
+  LAST_ACTIVE_ADMIN: "At least one active admin is required",
   INVALID_CREDENTIALS: "Invalid email or password",
+  ACCOUNT_LOCKED:
+    "Account is temporarily locked after too many failed login attempts",
+  TOO_MANY_REQUESTS: "Too many requests. Please try again later.",
+  INVALID_OTP: "Invalid or expired OTP",
+  INVALID_TWO_FACTOR_TOKEN:
+    "Two-factor login has expired or is invalid. Please log in again.",
+  INVALID_TWO_FACTOR_CODE: "Invalid authentication code",
+  TWO_FACTOR_ALREADY_ENABLED: "Two-factor authentication is already enabled",
+  TWO_FACTOR_NOT_ENABLED: "Two-factor authentication is not enabled",
+  TWO_FACTOR_SETUP_NOT_STARTED:
+    "Start two-factor setup before confirming a code",
+  TWO_FACTOR_SETUP_REQUIRED:
+    "Admin accounts must set up two-factor authentication before continuing",
+  TWO_FACTOR_REQUIRED_FOR_ADMINS:
+    "Two-factor authentication is required for admin accounts",
+  MOBILE_IN_USE: "This mobile number is already registered to another account",
+  INVALID_RESET_TOKEN: "Password reset token is invalid or has expired",
+  INCORRECT_PASSWORD: "Current password is incorrect",
+  SAME_PASSWORD: "New password must be different from the current password",
+  WEAK_PASSWORD: "Password does not meet the password policy",
+  PASSWORD_RESET_REQUIRED: "You must set a new password before continuing",
+  INVITE_REQUIRED: "An invite code is required to register",
+  INVALID_INVITE: "Invite code is invalid, expired or already used",
+  INVITE_EMAIL_MISMATCH: "This invite was issued for a different email address",
+  INVITE_NOT_FOUND: "Invite not found",
+  UNKNOWN_SETTING: "Unknown setting",
+  DEPLOYMENT_SETTING:
+    "Only a super admin can change settings that apply to every organization",
   DONOR_NOT_FOUND: "Donor not found",
   GROUP_NOT_FOUND: "Group not found",
   DONATION_NOT_FOUND: "Donation not found",
+  RECEIPT_NOT_AVAILABLE:
+    "This donation was recorded before receipts were numbered",
+  REGISTRATION_80G_MISSING:
+    "Add the organization's 80G registration number before issuing certificates",
+  NO_DONATIONS_IN_YEAR: "No donations in this financial year",
+  NOT_A_CHEQUE_DONATION: "Only cheque donations have a clearance status",
+  DONATION_FINANCIAL_YEAR_CHANGE:
+    "The collection date cannot move into another financial year, as the receipt number belongs to this one. Void the donation and record it again instead",
+  DONATION_CASH_HANDED_OVER:
+    "The cash for this donation has been handed over, so its amount and payment can no longer change",
+  NO_CASH_TO_HAND_OVER: "You have no cash donations waiting to be handed over",
+  HANDOVER_DONATIONS_UNAVAILABLE:
+    "Only your own cash donations that are not yet handed over can be included",
+  HANDOVER_DONATIONS_CHANGED:
+    "Some of these donations were handed over at the same time; please try again",
+  HANDOVER_NOT_FOUND: "Handover not found",
+  HANDOVER_NOT_SUBMITTED: "This handover has already been confirmed",
+  HANDOVERS_NOT_DEPOSITABLE:
+    "Only confirmed handovers that are not yet deposited can be deposited",
+  HANDOVERS_CHANGED:
+    "Some of these handovers were deposited at the same time; please try again",
+  DEPOSIT_NOT_FOUND: "Deposit not found",
+  DONATION_VOIDED: "This donation has been voided",
+  DONATION_CASH_IN_HANDOVER:
+    "The cash for this donation is in a handover, so it cannot be voided",
+  IMPORT_FILE_REQUIRED: "Upload a .csv or .xlsx file in the 'file' field",
+  IMPORT_FILE_TOO_LARGE: "Import file is larger than 5 MB",
+  IMPORT_FILE_INVALID: "Import file could not be read",
+  IMPORT_FILE_EMPTY: "Import file has no donor rows",
+  IMPORT_TOO_MANY_ROWS: "Import file has too many rows",
+  IMPORT_MAPPING_INVALID: "Column mapping must be a JSON object",
+  IMPORT_COLUMNS_MISSING: "Import file is missing columns",
+  IMPORT_HAS_ERRORS: "Some rows are invalid, so no donors were imported",
+  ROUTE_TOO_MANY_STOPS: "Too many donors to plan in one route",
   CANNOT_DELETE_WITH_DEPENDENCIES:
     "Cannot delete resource with existing dependencies",
   INVALID_STATUS_TRANSITION: "Invalid status transition",
@@ -76,13 +154,70 @@ const SUCCESS_MESSAGES = {
   LOGIN_SUCCESS: "Login successful",
   REGISTER_SUCCESS: "Registration successful",
   PROFILE_RETRIEVED: "Profile retrieved successfully",
+  PROFILE_UPDATED: "Profile updated successfully",
+  TWO_FACTOR_CODE_REQUIRED:
+    "Enter the code from your authenticator app to finish logging in",
+  TWO_FACTOR_SETUP_STARTED:
+    "Add the secret to your authenticator app, then confirm with a code",
+  TWO_FACTOR_ENABLED: "Two-factor authentication enabled",
+  TWO_FACTOR_DISABLED: "Two-factor authentication disabled",
+  TWO_FACTOR_RESET: "Two-factor authentication reset successfully",
+  RECOVERY_CODES_GENERATED: "New recovery codes generated",
+  OTP_SENT:
+    "If this mobile number is registered, a login code has been sent to it",
+  TOKEN_REFRESHED: "Token refreshed successfully",
+  LOGOUT_SUCCESS: "Logged out successfully",
+  LOGOUT_ALL_SUCCESS: "Logged out from all devices successfully",
+  SESSIONS_RETRIEVED: "Sessions retrieved successfully",
+  LOGIN_HISTORY_RETRIEVED: "Login history retrieved successfully",
+  SESSION_REVOKED: "Session revoked successfully",
+  USERS_RETRIEVED: "Users retrieved successfully",
+  USER_RETRIEVED: "User retrieved successfully",
+  USER_STATUS_UPDATED: "User status updated successfully",
+  USER_ROLE_UPDATED: "User role updated successfully",
+  USER_GROUPS_UPDATED: "User groups updated successfully",
+  PASSWORD_RESET_FORCED: "User must reset their password at next login",
+  USER_UNLOCKED: "User account unlocked successfully",
+  PASSWORD_RESET_REQUESTED:
+    "If an account exists for this email, password reset instructions have been sent",
+  PASSWORD_RESET_SUCCESS: "Password has been reset. Please log in again.",
+  PASSWORD_CHANGED: "Password changed successfully",
+  INVITE_CREATED: "Invite created successfully",
+  INVITES_RETRIEVED: "Invites retrieved successfully",
+  INVITE_REVOKED: "Invite revoked successfully",
+  API_KEY_CREATED: "API key created successfully",
+  API_KEYS_RETRIEVED: "API keys retrieved successfully",
+  API_KEY_REVOKED: "API key revoked successfully",
+  ORGANIZATION_CREATED: "Organization created successfully",
+  ORGANIZATIONS_RETRIEVED: "Organizations retrieved successfully",
+  ORGANIZATION_RETRIEVED: "Organization retrieved successfully",
+  ORGANIZATION_UPDATED: "Organization updated successfully",
+  AUDIT_LOGS_RETRIEVED: "Audit logs retrieved successfully",
+  LOGIN_ACTIVITY_RETRIEVED: "Login activity retrieved successfully",
+  SETTINGS_RETRIEVED: "Settings retrieved successfully",
+  SETTINGS_UPDATED: "Settings updated successfully",
   STATUS_UPDATED: "Status updated successfully",
   COLLECTION_SKIPPED: "Collection skipped successfully",
   DONATION_CREATED: "Donation created successfully",
   DONORS_RETRIEVED: "Donors retrieved successfully",
+  DONORS_IMPORTED: "Donors imported successfully",
+  DONOR_IMPORT_CHECKED: "Import checked; no donors were created",
   DONOR_RETRIEVED: "Donor retrieved successfully",
   DONOR_STATUS_RETRIEVED: "Donor status retrieved successfully",
   DONATIONS_RETRIEVED: "Donations retrieved successfully",
+  ROUTE_PLANNED: "Collection route planned successfully",
+  HANDOVER_CREATED: "Handover submitted successfully",
+  HANDOVERS_RETRIEVED: "Handovers retrieved successfully",
+  HANDOVER_RETRIEVED: "Handover retrieved successfully",
+  HANDOVER_CONFIRMED: "Handover confirmed successfully",
+  HANDOVER_CANCELLED: "Handover cancelled successfully",
+  DEPOSIT_CREATED: "Deposit recorded successfully",
+  DEPOSITS_RETRIEVED: "Deposits retrieved successfully",
+  DEPOSIT_RETRIEVED: "Deposit retrieved successfully",
+  CASH_IN_HAND_RETRIEVED: "Cash in hand retrieved successfully",
+  CASH_AGEING_RETRIEVED: "Undeposited cash ageing retrieved successfully",
+  DONATION_VOIDED: "Donation voided successfully",
+  VOIDED_DONATIONS_RETRIEVED: "Voided donations retrieved successfully",
   GROUPS_RETRIEVED: "Groups retrieved successfully",
   GROUP_RETRIEVED: "Group retrieved successfully",
   GROUP_AND_DONORS_RETRIEVED: "Group and donors retrieved successfully",
@@ -98,6 +233,8 @@ const STATUS_CODES = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  LOCKED: 423,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   NOT_IMPLEMENTED: 501,
 };
@@ -106,11 +243,26 @@ const STATUS_CODES = {
 const ERROR_CODES = {
   TOKEN_EXPIRED: "TOKEN_EXPIRED",
   INVALID_TOKEN: "INVALID_TOKEN",
+  INVALID_REFRESH_TOKEN: "INVALID_REFRESH_TOKEN",
+  SESSION_REVOKED: "SESSION_REVOKED",
   VALIDATION_ERROR: "VALIDATION_ERROR",
   DUPLICATE_ENTRY: "DUPLICATE_ENTRY",
   NOT_FOUND: "NOT_FOUND",
   UNAUTHORIZED: "UNAUTHORIZED",
   FORBIDDEN: "FORBIDDEN",
+  CONFLICT: "CONFLICT",
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED",
+  RATE_LIMITED: "RATE_LIMITED",
+  INVALID_OTP: "INVALID_OTP",
+  INVALID_API_KEY: "INVALID_API_KEY",
+  INVALID_TWO_FACTOR_TOKEN: "INVALID_TWO_FACTOR_TOKEN",
+  INVALID_TWO_FACTOR_CODE: "INVALID_TWO_FACTOR_CODE",
+  TWO_FACTOR_SETUP_REQUIRED: "TWO_FACTOR_SETUP_REQUIRED",
+  INVALID_RESET_TOKEN: "INVALID_RESET_TOKEN",
+  WEAK_PASSWORD: "WEAK_PASSWORD",
+  PASSWORD_RESET_REQUIRED: "PASSWORD_RESET_REQUIRED",
+  INVITE_REQUIRED: "INVITE_REQUIRED",
+  INVALID_INVITE: "INVALID_INVITE",
   SERVER_ERROR: "SERVER_ERROR",
 };
 
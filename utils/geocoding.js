@@ -0,0 +1,174 @@
+/**
+ * Donor locations: reads coordinates out of the Google Maps link stored on a
+ * donor into a GeoJSON point for distance queries. No geocoding service is
+ * called; links without coordinates leave the donor without a location.
+ */
+const Donor = require("../models/donor.model");
+
+// Short share links only hold coordinates once their redirects are followed
+const SHORT_LINK_HOSTS = ["goo.gl", "maps.app.goo.gl", "g.co"];
+const MAX_REDIRECTS = 5;
+const REDIRECT_TIMEOUT_MS = 5000;
+const EARTH_RADIUS_METERS = 6378100;
+
+// Query parameters that Google Maps links put a position in
+const COORDINATE_PARAMS = [
+  "q",
+  "query",
+  "ll",
+  "sll",
+  "center",
+  "destination",
+  "daddr",
+  "saddr",
+];
+
+// Coordinates need decimals so that addresses such as "12, 5th Cross" are
+// not read as a position
+const LAT_LNG = /(-?\d{1,2}\.\d+)\s*,\s*\+?(-?\d{1,3}\.\d+)/;
+const LEADING_LAT_LNG = new RegExp(`^\\s*${LAT_LNG.source}`);
+const PLACE_PIN = /!3d(-?\d{1,2}\.\d+)!4d(-?\d{1,3}\.\d+)/;
+const VIEWPORT_CENTER = /@(-?\d{1,2}\.\d+),(-?\d{1,3}\.\d+)/;
+
+const toPoint = (match) => {
+  if (!match) return null;
+  const lat = Number(match[1]);
+  const lng = Number(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, " "));
+  } catch (error) {
+    return value;
+  }
+};
+
+// GeoJSON point for the coordinates in a Google Maps link, or null. Handles
+// place links (the pin wins over the map centre in @lat,lng), ?q=, ?ll=,
+// ?query= and directions links, /search/lat,lng paths, geo: URIs and plain
+// "lat, lng" text.
+const parseMapLink = (link) => {
+  if (!link) return null;
+  const raw = String(link).trim();
+  const text = decode(raw);
+
+  const pin = toPoint(text.match(PLACE_PIN));
+  if (pin) return pin;
+
+  if (/^geo:/i.test(text)) {
+    return toPoint(text.slice(4).match(LEADING_LAT_LNG));
+  }
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (error) {
+    // Not a URL: coordinates typed or pasted on their own
+    return toPoint(text.match(LEADING_LAT_LNG));
+  }
+
+  // Cookie consent pages wrap the real link
+  const wrapped = url.searchParams.get("continue");
+  if (wrapped) return parseMapLink(wrapped);
+
+  for (const param of COORDINATE_PARAMS) {
+    const value = url.searchParams.get(param);
+    const point =
+      value && toPoint(value.replace(/^loc:/, "").match(LEADING_LAT_LNG));
+    if (point) return point;
+  }
+
+  return (
+    toPoint(text.match(VIEWPORT_CENTER)) ||
+    toPoint(decode(url.pathname).match(LAT_LNG))
+  );
+};
+
+// Great-circle distance between two [longitude, latitude] points, matching
+// the spherical distance MongoDB uses for $nearSphere
+const distanceInMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+const isShortLink = (link) => {
+  try {
+    return SHORT_LINK_HOSTS.includes(new URL(link).hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Follow a short link's redirects until a link with coordinates turns up
+const resolveShortLink = async (link) => {
+  let url = link;
+  for (let hop = 0; hop < MAX_REDIRECTS; hop++) {
+    const response = await fetch(url, {
+      redirect: "manual",
+      signal: AbortSignal.timeout(REDIRECT_TIMEOUT_MS),
+    });
+    const location = response.headers.get("location");
+    if (!location) return null;
+
+    url = new URL(location, url).href;
+    const point = parseMapLink(url);
+    if (point) return point;
+  }
+  return null;
+};
+
+// Location for a donor's Google Maps link. Short links are resolved over the
+// network; failures are logged and give null rather than failing the save.
+const geocodeMapLink = async (link) => {
+  const point = parseMapLink(link);
+  if (point || !isShortLink(link)) return point;
+
+  try {
+    return await resolveShortLink(link);
+  } catch (error) {
+    console.error(`Could not resolve map link ${link}:`, error.message);
+    return null;
+  }
+};
+
+// Fill in the location of donors saved before locations were stored. Donors
+// whose link has no coordinates get null so they are not retried. Safe to run
+// on every startup.
+const backfillDonorLocations = async () => {
+  const donors = Donor.find({ location: { $exists: false } })
+    .select("googleMapLink")
+    .lean()
+    .cursor();
+
+  let located = 0;
+  let missing = 0;
+  for await (const donor of donors) {
+    const location = await geocodeMapLink(donor.googleMapLink);
+    await Donor.updateOne({ _id: donor._id }, { $set: { location } });
+    if (location) located++;
+    else missing++;
+  }
+
+  if (located + missing > 0) {
+    console.log(
+      `Backfilled donor locations: ${located} located, ${missing} without coordinates`
+    );
+  }
+};
+
+module.exports = {
+  parseMapLink,
+  geocodeMapLink,
+  distanceInMeters,
+  backfillDonorLocations,
+};
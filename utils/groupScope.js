@@ -0,0 +1,61 @@
+/**
+ * Group scoping: collectors only see and act on donors in the groups assigned
+ * to them (`User.groups`). Admins are not restricted.
+ */
+const Donor = require("../models/donor.model");
+const { isAdminRole } = require("../config/permissions");
+const {
+  createErrorResponse,
+  ERROR_MESSAGES,
+  ERROR_CODES,
+} = require("./errorHandler");
+
+// Ids of the groups the user is limited to, or null when unrestricted
+const getScopedGroupIds = (user) =>
+  isAdminRole(user.role) ? null : (user.groups || []).map(String);
+
+// Accepts a group id or a populated group
+const canAccessGroup = (user, group) => {
+  const groupIds = getScopedGroupIds(user);
+  return groupIds === null || groupIds.includes(String(group?._id ?? group));
+};
+
+// Limit a donor query filter to the user's groups. Returns false when the
+// filter already asks for a group outside them.
+const scopeDonorFilter = (user, filter) => {
+  const groupIds = getScopedGroupIds(user);
+  if (groupIds === null) return true;
+
+  if (filter.group) {
+    return groupIds.includes(String(filter.group));
+  }
+  filter.group = { $in: groupIds };
+  return true;
+};
+
+// Ids of the donors the user may see, or null when unrestricted
+const getScopedDonorIds = async (user) => {
+  const groupIds = getScopedGroupIds(user);
+  if (groupIds === null) return null;
+  return Donor.find({ group: { $in: groupIds } }).distinct("_id");
+};
+
+const sendOutOfScope = (res) =>
+  res
+    .status(403)
+    .json(
+      createErrorResponse(
+        403,
+        ERROR_MESSAGES.GROUP_OUT_OF_SCOPE,
+        null,
+        ERROR_CODES.FORBIDDEN
+      )
+    );
+
+module.exports = {
+  getScopedGroupIds,
+  canAccessGroup,
+  scopeDonorFilter,
+  getScopedDonorIds,
+  sendOutOfScope,
+};
@@ -0,0 +1,208 @@
+/**
+ * Cash handovers: following cash donations from the collector to the
+ * treasurer and into the bank, and the cash in hand and ageing reports built
+ * on the `cashStatus` of each donation.
+ */
+const Donation = require("../models/donation.model");
+const Handover = require("../models/handover.model");
+
+const HANDOVER_STATUSES = ["submitted", "confirmed", "deposited"];
+const CASH_STATUSES = [
+  "with-collector",
+  "handed-over",
+  "with-treasurer",
+  "deposited",
+];
+
+// Cash that has not reached the bank yet, keyed by who holds it
+const UNDEPOSITED_CASH = {
+  "with-collector": "withCollector",
+  "handed-over": "awaitingConfirmation",
+  "with-treasurer": "withTreasurer",
+};
+
+// Age bands of the ageing report, in whole days since collection
+const AGEING_BANDS = [
+  { label: "0-7 days", maxDays: 7 },
+  { label: "8-15 days", maxDays: 15 },
+  { label: "16-30 days", maxDays: 30 },
+  { label: "Over 30 days", maxDays: null },
+];
+
+// Sums of rupees and paise, without floating point leftovers
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sumAmounts = (records, field = "amount") =>
+  roundAmount(records.reduce((sum, record) => sum + record[field], 0));
+
+const emptyTotal = () => ({ count: 0, amount: 0 });
+
+// Cash donations recorded before handovers were tracked are taken to be
+// deposited already. Safe to run on every startup.
+const backfillCashStatus = async () => {
+  const result = await Donation.updateMany(
+    { cashStatus: { $exists: false }, paymentMode: "cash" },
+    { $set: { cashStatus: "deposited" } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(
+      `Marked ${result.modifiedCount} earlier cash donation(s) as deposited`
+    );
+  }
+};
+
+// Undeposited cash per collector: not yet handed over, and handed over but
+// not confirmed by the treasurer. Also returns the confirmed cash the
+// treasurer holds that has not been deposited.
+const getCashInHand = async (organization) => {
+  const [rows, [treasurer]] = await Promise.all([
+    Donation.aggregate([
+      {
+        $match: {
+          organization,
+          cashStatus: { $in: ["with-collector", "handed-over"] },
+        },
+      },
+      {
+        $group: {
+          _id: { collector: "$collectedBy", cashStatus: "$cashStatus" },
+          count: { $sum: 1 },
+          amount: { $sum: "$amount" },
+          oldestCollectionDate: { $min: "$collectionDate" },
+        },
+      },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id.collector",
+          foreignField: "_id",
+          as: "collector",
+        },
+      },
+    ]),
+    Handover.aggregate([
+      { $match: { organization, status: "confirmed" } },
+      {
+        $group: {
+          _id: null,
+          handovers: { $sum: 1 },
+          amount: { $sum: "$receivedAmount" },
+        },
+      },
+    ]),
+  ]);
+
+  const collectors = new Map();
+  for (const row of rows) {
+    const key = String(row._id.collector);
+    if (!collectors.has(key)) {
+      const [user = {}] = row.collector;
+      collectors.set(key, {
+        collector: {
+          _id: row._id.collector,
+          name: user.name,
+          email: user.email,
+        },
+        withCollector: emptyTotal(),
+        awaitingConfirmation: emptyTotal(),
+        total: 0,
+        oldestCollectionDate: row.oldestCollectionDate,
+      });
+    }
+    const entry = collectors.get(key);
+    entry[UNDEPOSITED_CASH[row._id.cashStatus]] = {
+      count: row.count,
+      amount: roundAmount(row.amount),
+    };
+    entry.total = roundAmount(entry.total + row.amount);
+    if (row.oldestCollectionDate < entry.oldestCollectionDate) {
+      entry.oldestCollectionDate = row.oldestCollectionDate;
+    }
+  }
+
+  const withTreasurer = {
+    handovers: treasurer?.handovers || 0,
+    amount: roundAmount(treasurer?.amount || 0),
+  };
+  const byCollector = [...collectors.values()].sort(
+    (a, b) => b.total - a.total
+  );
+  return {
+    collectors: byCollector,
+    withTreasurer,
+    total: roundAmount(sumAmounts(byCollector, "total") + withTreasurer.amount),
+  };
+};
+
+// Undeposited cash by how long ago it was collected, split by who holds it
+const getUndepositedCashAgeing = async (organization, now = new Date()) => {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const cutoff = (days) => new Date(today.getTime() - days * 86400000);
+
+  const rows = await Donation.aggregate([
+    {
+      $match: {
+        organization,
+        cashStatus: { $in: Object.keys(UNDEPOSITED_CASH) },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          band: {
+            $switch: {
+              branches: AGEING_BANDS.filter((band) => band.maxDays).map(
+                (band) => ({
+                  case: { $gte: ["$collectionDate", cutoff(band.maxDays)] },
+                  then: band.label,
+                })
+              ),
+              default: AGEING_BANDS[AGEING_BANDS.length - 1].label,
+            },
+          },
+          cashStatus: "$cashStatus",
+        },
+        count: { $sum: 1 },
+        amount: { $sum: "$amount" },
+      },
+    },
+  ]);
+
+  const bands = AGEING_BANDS.map(({ label }) => ({
+    label,
+    count: 0,
+    amount: 0,
+    ...Object.fromEntries(
+      Object.values(UNDEPOSITED_CASH).map((holder) => [holder, emptyTotal()])
+    ),
+  }));
+  for (const row of rows) {
+    const band = bands.find((entry) => entry.label === row._id.band);
+    band[UNDEPOSITED_CASH[row._id.cashStatus]] = {
+      count: row.count,
+      amount: roundAmount(row.amount),
+    };
+    band.count += row.count;
+    band.amount = roundAmount(band.amount + row.amount);
+  }
+
+  return {
+    asOf: now,
+    bands,
+    total: {
+      count: bands.reduce((sum, band) => sum + band.count, 0),
+      amount: sumAmounts(bands),
+    },
+  };
+};
+
+module.exports = {
+  HANDOVER_STATUSES,
+  CASH_STATUSES,
+  roundAmount,
+  sumAmounts,
+  backfillCashStatus,
+  getCashInHand,
+  getUndepositedCashAgeing,
+};
@@ -0,0 +1,29 @@
+/**
+ * Indian Standard Time (UTC+5:30, no daylight saving). Financial years,
+ * collection days and preferred times follow it whatever the timezone of the
+ * server, which is UTC on Vercel.
+ */
+const INDIAN_TIMEZONE = "Asia/Kolkata";
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// The same moment shifted so its UTC fields read as the date and time in
+// India. Date arithmetic on the shifted value uses the UTC getters and
+// setters, and fromIndianTime turns the result back into a real moment.
+const toIndianTime = (date) =>
+  new Date(new Date(date).getTime() + IST_OFFSET_MS);
+
+const fromIndianTime = (date) => new Date(date.getTime() - IST_OFFSET_MS);
+
+// Last moment of the day in India that `date` falls in
+const endOfIndianDay = (date) => {
+  const day = toIndianTime(date);
+  day.setUTCHours(23, 59, 59, 999);
+  return fromIndianTime(day);
+};
+
+module.exports = {
+  INDIAN_TIMEZONE,
+  toIndianTime,
+  fromIndianTime,
+  endOfIndianDay,
+};
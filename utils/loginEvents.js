@@ -0,0 +1,157 @@
+/**
+ * Login history: records every sign-in attempt against a known account,
+ * flagged when it comes from a new device or during quiet hours
+ */
+const LoginEvent = require("../models/loginEvent.model");
+
+const DEFAULT_LOGIN_TIMEZONE = "Asia/Kolkata";
+const DEFAULT_QUIET_HOURS_START = 22;
+const DEFAULT_QUIET_HOURS_END = 6;
+
+const readHour = (value, fallback) => {
+  const hour = parseInt(value);
+  return hour >= 0 && hour <= 23 ? hour : fallback;
+};
+
+// Hour of the day (0-23) in LOGIN_TIMEZONE
+const getLocalHour = (date) => {
+  try {
+    return Number(
+      new Intl.DateTimeFormat("en-GB", {
+        hour: "numeric",
+        hourCycle: "h23",
+        timeZone: process.env.LOGIN_TIMEZONE || DEFAULT_LOGIN_TIMEZONE,
+      }).format(date)
+    );
+  } catch (error) {
+    console.error("Login timezone error:", error.message);
+    return date.getHours();
+  }
+};
+
+// Whether a time falls within the quiet hours, which may wrap past midnight
+// (22 to 6 by default)
+const isUnusualHour = (date) => {
+  const start = readHour(
+    process.env.LOGIN_QUIET_HOURS_START,
+    DEFAULT_QUIET_HOURS_START
+  );
+  const end = readHour(
+    process.env.LOGIN_QUIET_HOURS_END,
+    DEFAULT_QUIET_HOURS_END
+  );
+  const hour = getLocalHour(date);
+
+  return start <= end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+};
+
+// A device is new when the user has signed in before, but never with this
+// user agent. First sign-ins are not flagged.
+const isNewDevice = async (userId, userAgent) => {
+  const previous = { user: userId, success: true, method: { $ne: "api-key" } };
+  if (!(await LoginEvent.exists(previous))) return false;
+  return !(await LoginEvent.exists({ ...previous, userAgent }));
+};
+
+// Record a sign-in attempt made during `req`. Attempts for unknown accounts
+// belong to no organization and are not recorded. API key attempts take the
+// user and organization from the key.
+// Failures are logged and swallowed so they never block a login.
+const recordLoginEvent = async (
+  req,
+  {
+    user,
+    apiKey,
+    method,
+    identifier,
+    twoFactor = false,
+    success,
+    failureReason,
+  }
+) => {
+  try {
+    const userId = user?._id || apiKey?.createdBy;
+    const organization = user?.organization || apiKey?.organization;
+    if (!userId || !organization) return;
+
+    const now = new Date();
+    const userAgent = req.get("user-agent");
+
+    await LoginEvent.create({
+      organization,
+      user: userId,
+      apiKey: apiKey?._id,
+      method,
+      twoFactor,
+      identifier,
+      success,
+      failureReason: success ? null : failureReason,
+      ip: req.ip,
+      userAgent,
+      newDevice:
+        success && method !== "api-key"
+          ? await isNewDevice(userId, userAgent)
+          : false,
+      unusualHour: isUnusualHour(now),
+      createdAt: now,
+    });
+  } catch (error) {
+    console.error(`Login event error (${method}):`, error);
+  }
+};
+
+// One page of login events, newest first. `query` carries the optional
+// `success`, `page` and `limit` request parameters.
+const findLoginEvents = async (filter, query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  filter = { ...filter };
+  if (query.success !== undefined) {
+    filter.success = query.success === "true";
+  }
+
+  const [loginEvents, total] = await Promise.all([
+    LoginEvent.find(filter)
+      .populate("apiKey", "name")
+      .sort("-createdAt")
+      .skip(skip)
+      .limit(limit),
+    LoginEvent.countDocuments(filter),
+  ]);
+
+  return {
+    loginEvents,
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+// Per-user summary of an organization's sign-in attempts since a date,
+// most failed attempts first
+const summarizeLoginActivity = (organization, since) =>
+  LoginEvent.aggregate([
+    { $match: { organization, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: "$user",
+        successes: { $sum: { $cond: ["$success", 1, 0] } },
+        failures: { $sum: { $cond: ["$success", 0, 1] } },
+        newDevices: { $sum: { $cond: ["$newDevice", 1, 0] } },
+        unusualHourLogins: {
+          $sum: { $cond: [{ $and: ["$success", "$unusualHour"] }, 1, 0] },
+        },
+        ips: { $addToSet: "$ip" },
+        lastAttemptAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { failures: -1, lastAttemptAt: -1 } },
+  ]);
+
+module.exports = { recordLoginEvent, findLoginEvents, summarizeLoginActivity };
@@ -0,0 +1,107 @@
+/**
+ * Outgoing mail with pluggable transports.
+ *
+ * Every transport exposes `send({ to, subject, text, html })`. The transport is
+ * picked with MAIL_TRANSPORT:
+ * - "console" (default outside production): prints messages to the server log
+ * - "file": appends messages as JSON lines to MAIL_FILE_PATH
+ * - "smtp": delivers through the SMTP_* settings
+ *
+ * In production MAIL_TRANSPORT must be set: messages carry live reset tokens,
+ * so they are refused rather than printed to the log.
+ */
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const DEFAULT_MAIL_FILE_PATH = "mail-outbox.log";
+
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+    return { accepted: [message.to] };
+  },
+});
+
+const createFileTransport = (filePath) => ({
+  name: "file",
+  send: async (message) => {
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.appendFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n"
+    );
+    return { accepted: [message.to] };
+  },
+});
+
+// Stands in when production has no transport configured. Sending fails, so
+// nothing secret ends up in the log.
+const createUnconfiguredTransport = () => ({
+  name: "unconfigured",
+  send: async () => {
+    throw new Error("No mail transport configured: set MAIL_TRANSPORT");
+  },
+});
+
+const createSmtpTransport = ({ from, ...options }) => {
+  const transporter = nodemailer.createTransport(options);
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail({ from, ...message }),
+  };
+};
+
+const createTransportFromEnv = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case "smtp":
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+        from: process.env.MAIL_FROM,
+      });
+    case "file":
+      return createFileTransport(
+        process.env.MAIL_FILE_PATH || DEFAULT_MAIL_FILE_PATH
+      );
+    case "console":
+      return createConsoleTransport();
+    default:
+      return process.env.NODE_ENV === "production"
+        ? createUnconfiguredTransport()
+        : createConsoleTransport();
+  }
+};
+
+let transport = null;
+
+// Transport is created on first use so environment variables are loaded
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+// Replace the active transport, e.g. with a custom provider
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = (message) => getTransport().send(message);
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+};
@@ -0,0 +1,108 @@
+/**
+ * Organization (tenant) helpers. Every donor, donation, group and user
+ * belongs to an organization; deployments that predate organizations are
+ * moved into a default one on startup.
+ */
+const Organization = require("../models/organization.model");
+const User = require("../models/user.model");
+const Donor = require("../models/donor.model");
+const Donation = require("../models/donation.model");
+const Group = require("../models/group.model");
+const Invite = require("../models/invite.model");
+const ApiKey = require("../models/apiKey.model");
+const AuditLog = require("../models/auditLog.model");
+const { ROLES } = require("../config/permissions");
+
+const DEFAULT_ORGANIZATION_NAME = "Sudhama Seva";
+const DEFAULT_ORGANIZATION_SLUG = "default";
+
+// The organization used for the bootstrap account and open registration
+const getDefaultOrganization = async () => {
+  const slug =
+    process.env.DEFAULT_ORGANIZATION_SLUG || DEFAULT_ORGANIZATION_SLUG;
+
+  return Organization.findOneAndUpdate(
+    { slug },
+    {
+      $setOnInsert: {
+        name:
+          process.env.DEFAULT_ORGANIZATION_NAME || DEFAULT_ORGANIZATION_NAME,
+      },
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+// Members of a deactivated organization are locked out
+const isOrganizationActive = async (organizationId) =>
+  !!(await Organization.exists({ _id: organizationId, isActive: true }));
+
+const dropIndexIfExists = async (Model, name) => {
+  if (await Model.collection.indexExists(name)) {
+    await Model.collection.dropIndex(name);
+    console.log(`Dropped index ${Model.collection.name}.${name}`);
+  }
+};
+
+// Move records created before organizations existed into the default
+// organization and replace the old globally unique indexes with
+// per-organization ones. Safe to run on every startup.
+const migrateToOrganizations = async () => {
+  const models = [User, Donor, Donation, Group, Invite, ApiKey];
+  const unassigned = await Promise.all(
+    models.map((Model) => Model.exists({ organization: { $exists: false } }))
+  );
+
+  if (unassigned.some(Boolean)) {
+    const organization = await getDefaultOrganization();
+    for (const Model of models) {
+      const result = await Model.updateMany(
+        { organization: { $exists: false } },
+        { $set: { organization: organization._id } }
+      );
+      if (result.modifiedCount > 0) {
+        console.log(
+          `Moved ${result.modifiedCount} ${Model.modelName} record(s) into organization "${organization.slug}"`
+        );
+      }
+    }
+    // Audit entries are append-only, so they are updated on the collection
+    await AuditLog.collection.updateMany(
+      { organization: { $exists: false } },
+      { $set: { organization: organization._id } }
+    );
+  }
+
+  // hundiNo and group names used to be unique across the whole deployment;
+  // the schemas now declare per-organization unique indexes instead
+  await dropIndexIfExists(Donor, "hundiNo_1");
+  await dropIndexIfExists(Group, "name_1");
+
+  // Someone has to be able to manage organizations: promote the longest
+  // serving active admin when there is no super admin yet
+  if (!(await User.exists({ role: ROLES.SUPER_ADMIN }))) {
+    const admin = await User.findOne({
+      role: ROLES.ADMIN,
+      isActive: true,
+    }).sort("createdAt");
+    if (admin) {
+      admin.role = ROLES.SUPER_ADMIN;
+      admin.accountHistory.push({
+        action: "role-changed",
+        from: ROLES.ADMIN,
+        to: ROLES.SUPER_ADMIN,
+        date: new Date(),
+        notes: "Promoted automatically: no super admin existed",
+      });
+      await admin.save();
+      console.log(`Promoted ${admin.email} to super admin`);
+    }
+  }
+};
+
+module.exports = {
+  getDefaultOrganization,
+  dropIndexIfExists,
+  isOrganizationActive,
+  migrateToOrganizations,
+};
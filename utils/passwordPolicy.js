@@ -0,0 +1,87 @@
+/**
+ * Password policy applied whenever a password is chosen: registration,
+ * change-password and reset-password. The rules are runtime settings of the
+ * user's organization.
+ */
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const { getAllSettings } = require("./settings");
+
+// Common and breached passwords, one per line in lowercase. Bundled so the
+// check works without calling an external service.
+const COMMON_PASSWORDS = new Set(
+  fs
+    .readFileSync(
+      path.join(__dirname, "../config/common-passwords.txt"),
+      "utf8"
+    )
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+);
+
+// Most reused passwords are a common word with digits or symbols added, so
+// "Krishna@123" counts as common as well as "krishna"
+const isCommonPassword = (password) => {
+  const normalized = password.toLowerCase();
+  const base = normalized.replace(/[^a-z]+$/, "");
+  return (
+    COMMON_PASSWORDS.has(normalized) ||
+    (base.length >= 4 && COMMON_PASSWORDS.has(base))
+  );
+};
+
+// Current and previous password hashes of a user loaded with
+// +password +passwordHistory, newest first
+const getRecentPasswordHashes = (user, count) =>
+  [...new Set([user.password, ...(user.passwordHistory || [])])]
+    .filter(Boolean)
+    .slice(0, count);
+
+// Check a new password against the policy of an organization. Pass the user
+// when they already have a password, to refuse reusing a recent one. Returns
+// the list of broken rules, empty when the password is acceptable.
+const validatePassword = async (password, organization, user = null) => {
+  const settings = await getAllSettings(organization);
+  const errors = [];
+
+  if (password.length < settings.passwordMinLength) {
+    errors.push(
+      `Password must be at least ${settings.passwordMinLength} characters long`
+    );
+  }
+  if (settings.passwordRequireUppercase && !/[A-Z]/.test(password)) {
+    errors.push("Password must contain at least one uppercase letter");
+  }
+  if (settings.passwordRequireLowercase && !/[a-z]/.test(password)) {
+    errors.push("Password must contain at least one lowercase letter");
+  }
+  if (settings.passwordRequireNumber && !/\d/.test(password)) {
+    errors.push("Password must contain at least one number");
+  }
+  if (settings.passwordRequireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push("Password must contain at least one symbol");
+  }
+  if (isCommonPassword(password)) {
+    errors.push("Password is too common or has appeared in a data breach");
+  }
+
+  if (user && settings.passwordHistoryCount > 0) {
+    for (const hash of getRecentPasswordHashes(
+      user,
+      settings.passwordHistoryCount
+    )) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push(
+          `Password cannot be one of your last ${settings.passwordHistoryCount} passwords`
+        );
+        break;
+      }
+    }
+  }
+
+  return errors;
+};
+
+module.exports = { validatePassword };
@@ -0,0 +1,110 @@
+/**
+ * How a donation was paid: the payment modes, the fields each mode records
+ * and how a payment is described on receipts and certificates.
+ */
+const Donation = require("../models/donation.model");
+
+const PAYMENT_MODES = ["cash", "upi", "cheque", "bank-transfer", "in-kind"];
+const DEFAULT_PAYMENT_MODE = "cash";
+const CLEARANCE_STATUSES = ["pending", "cleared", "bounced"];
+
+const PAYMENT_MODE_LABELS = {
+  cash: "Cash",
+  upi: "UPI",
+  cheque: "Cheque",
+  "bank-transfer": "Bank transfer",
+  "in-kind": "In kind",
+};
+
+// Query filter for donations that count towards an 80G certificate. Gifts in
+// kind are not deductible, and a cheque only counts once it has cleared.
+const ELIGIBLE_FOR_80G = {
+  paymentMode: { $ne: "in-kind" },
+  $or: [
+    { paymentMode: { $ne: "cheque" } },
+    { "cheque.clearanceStatus": "cleared" },
+  ],
+};
+
+// Payment fields to store for a donation. Only the fields of its mode are
+// kept; the others are null so that changing the mode clears them. Cash
+// starts out with the collector until it is handed over.
+const getPaymentDetails = ({
+  paymentMode = DEFAULT_PAYMENT_MODE,
+  upiTransactionId,
+  bankReference,
+  cheque = {},
+  inKindDescription,
+}) => {
+  const details = {
+    paymentMode,
+    upiTransactionId: null,
+    bankReference: null,
+    cheque: null,
+    inKindDescription: null,
+    cashStatus: paymentMode === "cash" ? "with-collector" : null,
+  };
+
+  if (paymentMode === "upi") {
+    details.upiTransactionId = upiTransactionId;
+  } else if (paymentMode === "bank-transfer") {
+    details.bankReference = bankReference || null;
+  } else if (paymentMode === "cheque") {
+    const clearanceStatus = cheque.clearanceStatus || "pending";
+    details.cheque = {
+      number: cheque.number,
+      bank: cheque.bank,
+      date: cheque.date,
+      clearanceStatus,
+      clearedAt: clearanceStatus === "cleared" ? new Date() : null,
+    };
+  } else if (paymentMode === "in-kind") {
+    details.inKindDescription = inKindDescription;
+  }
+  return details;
+};
+
+// One line description, e.g. "Cheque No 123456, HDFC Bank"
+const describePayment = (donation) => {
+  const mode = donation.paymentMode || DEFAULT_PAYMENT_MODE;
+  const label = PAYMENT_MODE_LABELS[mode];
+
+  if (mode === "upi" && donation.upiTransactionId) {
+    return `${label}, transaction ${donation.upiTransactionId}`;
+  }
+  if (mode === "bank-transfer" && donation.bankReference) {
+    return `${label}, reference ${donation.bankReference}`;
+  }
+  if (mode === "cheque" && donation.cheque) {
+    return `${label} No ${donation.cheque.number}, ${donation.cheque.bank}`;
+  }
+  if (mode === "in-kind" && donation.inKindDescription) {
+    return `${label}: ${donation.inKindDescription}`;
+  }
+  return label;
+};
+
+// Donations recorded before payment modes were tracked were all cash. Safe
+// to run on every startup.
+const backfillPaymentModes = async () => {
+  const result = await Donation.updateMany(
+    { paymentMode: { $exists: false } },
+    { $set: { paymentMode: DEFAULT_PAYMENT_MODE } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(
+      `Marked ${result.modifiedCount} earlier donation(s) as paid in cash`
+    );
+  }
+};
+
+module.exports = {
+  PAYMENT_MODES,
+  DEFAULT_PAYMENT_MODE,
+  CLEARANCE_STATUSES,
+  PAYMENT_MODE_LABELS,
+  ELIGIBLE_FOR_80G,
+  getPaymentDetails,
+  describePayment,
+  backfillPaymentModes,
+};
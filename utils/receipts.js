@@ -0,0 +1,270 @@
+/**
+ * Donation receipts: gap-free receipt numbers per organization and financial
+ * year, and the printable PDF handed to the donor. The financial year and
+ * amount helpers are shared with the 80G certificates.
+ */
+const PDFDocument = require("pdfkit");
+const ReceiptCounter = require("../models/receiptCounter.model");
+const {
+  INDIAN_TIMEZONE,
+  toIndianTime,
+  fromIndianTime,
+} = require("./indianTime");
+
+const DEFAULT_RECEIPT_PREFIX = "SS";
+const RECEIPT_NUMBER_DIGITS = 6;
+
+const ONES = [
+  "",
+  "One",
+  "Two",
+  "Three",
+  "Four",
+  "Five",
+  "Six",
+  "Seven",
+  "Eight",
+  "Nine",
+  "Ten",
+  "Eleven",
+  "Twelve",
+  "Thirteen",
+  "Fourteen",
+  "Fifteen",
+  "Sixteen",
+  "Seventeen",
+  "Eighteen",
+  "Nineteen",
+];
+const TENS = [
+  "",
+  "",
+  "Twenty",
+  "Thirty",
+  "Forty",
+  "Fifty",
+  "Sixty",
+  "Seventy",
+  "Eighty",
+  "Ninety",
+];
+
+// Financial year (April to March) a date falls in, e.g. "2026-27"
+const getFinancialYear = (date) => {
+  const day = toIndianTime(date);
+  const startYear =
+    day.getUTCMonth() >= 3 ? day.getUTCFullYear() : day.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+// Midnight in India at the start of 1 April of a year
+const financialYearStart = (year) =>
+  fromIndianTime(new Date(Date.UTC(year, 3, 1)));
+
+// First and last moment of a financial year such as "2026-27", or null when
+// it is not one
+const getFinancialYearRange = (financialYear) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(financialYear || "");
+  if (!match) return null;
+
+  const startYear = Number(match[1]);
+  if (Number(match[2]) !== (startYear + 1) % 100) return null;
+  return {
+    start: financialYearStart(startYear),
+    end: new Date(financialYearStart(startYear + 1).getTime() - 1),
+  };
+};
+
+// Create the receipt counter of the financial year of `date` if it does not
+// exist yet. Call before the transaction that allocates the number: two
+// transactions both inserting the counter would collide on its unique index.
+const ensureReceiptCounter = async (organization, date) => {
+  try {
+    await ReceiptCounter.updateOne(
+      { organization, financialYear: getFinancialYear(date) },
+      { $setOnInsert: { sequence: 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another request created it at the same moment
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Next receipt number for the financial year of `date`, e.g.
+// "SS/2026-27/000123". Pass the session of the transaction that saves the
+// donation: if it is rolled back the number is not used up. The counter is
+// expected to exist already, see ensureReceiptCounter.
+const allocateReceiptNumber = async (organization, date, session) => {
+  const financialYear = getFinancialYear(date);
+  const counter = await ReceiptCounter.findOneAndUpdate(
+    { organization, financialYear },
+    { $inc: { sequence: 1 } },
+    { upsert: true, new: true, session }
+  );
+
+  const prefix = process.env.RECEIPT_PREFIX || DEFAULT_RECEIPT_PREFIX;
+  const sequence = String(counter.sequence).padStart(
+    RECEIPT_NUMBER_DIGITS,
+    "0"
+  );
+  return `${prefix}/${financialYear}/${sequence}`;
+};
+
+const belowHundred = (number) =>
+  number < 20
+    ? ONES[number]
+    : `${TENS[Math.floor(number / 10)]} ${ONES[number % 10]}`.trim();
+
+const belowThousand = (number) => {
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+  return [hundreds && `${ONES[hundreds]} Hundred`, rest && belowHundred(rest)]
+    .filter(Boolean)
+    .join(" ");
+};
+
+// Whole number in words using the Indian system (thousand, lakh, crore)
+const integerInWords = (number) => {
+  if (number === 0) return "Zero";
+
+  const crores = Math.floor(number / 10000000);
+  const lakhs = Math.floor((number % 10000000) / 100000);
+  const thousands = Math.floor((number % 100000) / 1000);
+  const rest = number % 1000;
+  return [
+    crores && `${integerInWords(crores)} Crore`,
+    lakhs && `${belowHundred(lakhs)} Lakh`,
+    thousands && `${belowHundred(thousands)} Thousand`,
+    rest && belowThousand(rest),
+  ]
+    .filter(Boolean)
+    .join(" ");
+};
+
+// e.g. "Rupees One Lakh Twenty Thousand Fifty and Fifty Paise Only"
+const amountInWords = (amount) => {
+  const totalPaise = Math.round(amount * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+  return `Rupees ${integerInWords(rupees)}${
+    paise ? ` and ${belowHundred(paise)} Paise` : ""
+  } Only`;
+};
+
+// e.g. "Rs. 1,20,050.50". The standard PDF fonts have no rupee sign.
+const formatAmount = (amount) =>
+  `Rs. ${amount.toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    timeZone: INDIAN_TIMEZONE,
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+
+// Download name for a receipt, e.g. "receipt-SS-2026-27-000123.pdf"
+const receiptFilename = (receiptNumber) =>
+  `receipt-${receiptNumber.replace(/[^A-Za-z0-9-]+/g, "-")}.pdf`;
+
+// Render a receipt as a one page A5 PDF, marked void with the reason for a
+// voided donation. Returns the PDF as a readable stream, already ended, to
+// pipe into the response.
+const createReceiptPdf = ({
+  receiptNumber,
+  organizationName,
+  donorName,
+  hundiNo,
+  amount,
+  collectionDate,
+  collectionTime,
+  collectorName,
+  payment,
+  voidReason,
+}) => {
+  const doc = new PDFDocument({
+    size: "A5",
+    layout: "landscape",
+    margin: 40,
+    info: { Title: `Donation receipt ${receiptNumber}` },
+  });
+  const { left } = doc.page.margins;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.font("Helvetica-Bold").fontSize(18).text(organizationName, {
+    align: "center",
+  });
+  doc.font("Helvetica").fontSize(11).text("Donation Receipt", {
+    align: "center",
+  });
+  if (voidReason) {
+    doc
+      .font("Helvetica-Bold")
+      .fillColor("red")
+      .text(`VOID - ${voidReason}`, { align: "center" })
+      .fillColor("black");
+  }
+  doc.moveDown(0.5);
+  doc
+    .moveTo(left, doc.y)
+    .lineTo(left + width, doc.y)
+    .stroke();
+  doc.moveDown();
+
+  const top = doc.y;
+  doc.fontSize(10).text(`Receipt No: ${receiptNumber}`, left, top);
+  doc.text(`Date: ${formatDate(collectionDate)}`, left, top, {
+    width,
+    align: "right",
+  });
+  doc.moveDown(1.5);
+
+  const rows = [
+    ["Received with thanks from", donorName],
+    ["Hundi No", hundiNo],
+    ["Amount", formatAmount(amount)],
+    ["Amount in words", amountInWords(amount)],
+    ["Payment", payment],
+    ["Collected on", `${formatDate(collectionDate)} at ${collectionTime}`],
+    ["Collected by", collectorName],
+  ];
+  for (const [label, value] of rows) {
+    const rowTop = doc.y;
+    doc.font("Helvetica").fontSize(11).text(label, left, rowTop, {
+      width: 160,
+    });
+    doc
+      .font("Helvetica-Bold")
+      .text(value || "-", left + 170, rowTop, { width: width - 170 });
+    doc.moveDown(0.6);
+  }
+
+  doc
+    .font("Helvetica-Oblique")
+    .fontSize(8)
+    .text(
+      "This is a computer generated receipt and needs no signature.",
+      left,
+      doc.page.height - doc.page.margins.bottom - 12,
+      { width, align: "center", lineBreak: false }
+    );
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  getFinancialYear,
+  getFinancialYearRange,
+  ensureReceiptCounter,
+  allocateReceiptNumber,
+  amountInWords,
+  formatAmount,
+  formatDate,
+  receiptFilename,
+  createReceiptPdf,
+};
@@ -0,0 +1,104 @@
+/**
+ * Collection route planning: orders a collector's stops with a nearest
+ * neighbour tour improved by 2-opt. Runs offline on straight-line distances
+ * between [longitude, latitude] points.
+ */
+const { distanceInMeters } = require("./geocoding");
+
+// Stop improving after this many full 2-opt passes; a pass over 200 stops is
+// about 20,000 swaps, so planning stays well under a second
+const MAX_TWO_OPT_PASSES = 50;
+
+// Visit order starting from index 0: always go to the closest unvisited point
+const nearestNeighbourOrder = (distances) => {
+  const order = [0];
+  const visited = new Set(order);
+
+  while (order.length < distances.length) {
+    const current = order[order.length - 1];
+    let next = -1;
+    for (let candidate = 0; candidate < distances.length; candidate++) {
+      if (
+        !visited.has(candidate) &&
+        (next === -1 ||
+          distances[current][candidate] < distances[current][next])
+      ) {
+        next = candidate;
+      }
+    }
+    order.push(next);
+    visited.add(next);
+  }
+  return order;
+};
+
+// Reverse stretches of the route while that shortens it. The first point is
+// fixed; the route ends wherever the last stop is, or back at the first
+// point when `closed`.
+const improveWithTwoOpt = (order, distances, closed) => {
+  const route = [...order];
+  const last = route.length - 1;
+  const after = (index) =>
+    index < last ? route[index + 1] : closed ? route[0] : null;
+  const leg = (from, to) => (to === null ? 0 : distances[from][to]);
+
+  for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+    let improved = false;
+    for (let i = 1; i < last; i++) {
+      for (let j = i + 1; j <= last; j++) {
+        const delta =
+          leg(route[i - 1], route[j]) +
+          leg(route[i], after(j)) -
+          leg(route[i - 1], route[i]) -
+          leg(route[j], after(j));
+        if (delta < -1e-6) {
+          const reversed = route.slice(i, j + 1).reverse();
+          route.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return route;
+};
+
+// Order `stops` (objects with a `coordinates` [lng, lat] pair) for a
+// collector starting at `start`. Returns the stops in visiting order with
+// the distance of each leg, and the total distance in meters.
+const planRoute = (start, stops, { returnToStart = false } = {}) => {
+  const points = [start, ...stops.map((stop) => stop.coordinates)];
+  const distances = points.map((from) =>
+    points.map((to) => distanceInMeters(from, to))
+  );
+
+  const order = improveWithTwoOpt(
+    nearestNeighbourOrder(distances),
+    distances,
+    returnToStart
+  );
+
+  let totalDistance = 0;
+  const route = order.slice(1).map((point, index) => {
+    const legDistance = distances[order[index]][point];
+    totalDistance += legDistance;
+    return {
+      stop: stops[point - 1],
+      distanceFromPrevious: legDistance,
+      cumulativeDistance: totalDistance,
+    };
+  });
+
+  const returnDistance =
+    returnToStart && order.length > 1
+      ? distances[order[order.length - 1]][0]
+      : 0;
+
+  return {
+    route,
+    returnDistance,
+    totalDistance: totalDistance + returnDistance,
+  };
+};
+
+module.exports = { planRoute };
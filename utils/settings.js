@@ -0,0 +1,179 @@
+/**
+ * Runtime settings that admins can change without a redeploy. Each
+ * organization keeps its own values; settings with the "deployment" scope
+ * are shared by every organization.
+ */
+const Setting = require("../models/setting.model");
+const Organization = require("../models/organization.model");
+const { dropIndexIfExists } = require("./organizations");
+
+// Known settings with their type and default value
+const SETTING_DEFINITIONS = {
+  // Accounts created without an invite join the default organization, so
+  // this one is not up to any single organization
+  openRegistration: {
+    type: "boolean",
+    default: false,
+    scope: "deployment",
+    description: "Allow registration without an invite code",
+  },
+  requireAdminTwoFactor: {
+    type: "boolean",
+    default: false,
+    description: "Require two-factor authentication for admin accounts",
+  },
+  passwordMinLength: {
+    type: "number",
+    default: 8,
+    min: 6,
+    max: 64,
+    description: "Minimum password length",
+  },
+  passwordRequireUppercase: {
+    type: "boolean",
+    default: true,
+    description: "Require an uppercase letter in passwords",
+  },
+  passwordRequireLowercase: {
+    type: "boolean",
+    default: false,
+    description: "Require a lowercase letter in passwords",
+  },
+  passwordRequireNumber: {
+    type: "boolean",
+    default: true,
+    description: "Require a number in passwords",
+  },
+  passwordRequireSymbol: {
+    type: "boolean",
+    default: false,
+    description: "Require a symbol in passwords",
+  },
+  passwordHistoryCount: {
+    type: "number",
+    default: 5,
+    min: 0,
+    max: 24,
+    description: "Number of previous passwords that cannot be reused",
+  },
+};
+
+const isDeploymentSetting = (key) =>
+  SETTING_DEFINITIONS[key]?.scope === "deployment";
+
+// Organization a setting is stored under: null for deployment settings
+const settingOwner = (key, organization) =>
+  isDeploymentSetting(key) ? null : organization;
+
+const getSetting = async (key, organization = null) => {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  const setting = await Setting.findOne({
+    organization: settingOwner(key, organization),
+    key,
+  });
+  return setting ? setting.value : definition.default;
+};
+
+// All known settings of an organization, deployment settings included, with
+// stored values applied over defaults
+const getAllSettings = async (organization = null) => {
+  const stored = await Setting.find({
+    organization: { $in: [organization, null] },
+    key: { $in: Object.keys(SETTING_DEFINITIONS) },
+  });
+  const values = Object.fromEntries(
+    stored
+      .filter(
+        (s) =>
+          String(s.organization) === String(settingOwner(s.key, organization))
+      )
+      .map((s) => [s.key, s.value])
+  );
+
+  return Object.entries(SETTING_DEFINITIONS).reduce(
+    (settings, [key, definition]) => {
+      settings[key] = key in values ? values[key] : definition.default;
+      return settings;
+    },
+    {}
+  );
+};
+
+const setSetting = async (key, value, userId, organization = null) => {
+  if (!SETTING_DEFINITIONS[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  return Setting.findOneAndUpdate(
+    { organization: settingOwner(key, organization), key },
+    { value, updatedBy: userId },
+    { upsert: true, new: true }
+  );
+};
+
+// Marker stored once the deployment has its first account, the super admin
+const BOOTSTRAP_KEY = "bootstrapped";
+
+// Claim the first account of the deployment. Only the registration that
+// inserts the marker gets true, so registrations racing on an empty database
+// cannot all become super admin. Run it in the registration's transaction so
+// that a failed registration leaves the claim to the next one.
+const claimBootstrap = async (session) => {
+  const existing = await Setting.findOneAndUpdate(
+    { organization: null, key: BOOTSTRAP_KEY },
+    { $setOnInsert: { value: true } },
+    { upsert: true, new: false, session }
+  );
+  return !existing;
+};
+
+// Settings used to be a single set for the whole deployment. Give every
+// organization a copy of the values that are now per organization and
+// replace the old globally unique index. Safe to run on every startup.
+const migrateSettingsToOrganizations = async () => {
+  await dropIndexIfExists(Setting, "key_1");
+
+  const legacy = await Setting.find({ organization: { $exists: false } });
+  if (legacy.length === 0) {
+    return;
+  }
+
+  const organizations = await Organization.find().select("_id");
+  for (const setting of legacy) {
+    if (isDeploymentSetting(setting.key)) {
+      await Setting.updateOne(
+        { _id: setting._id },
+        { $set: { organization: null } }
+      );
+      continue;
+    }
+
+    for (const organization of organizations) {
+      await Setting.updateOne(
+        { organization: organization._id, key: setting.key },
+        {
+          $setOnInsert: { value: setting.value, updatedBy: setting.updatedBy },
+        },
+        { upsert: true }
+      );
+    }
+    await Setting.deleteOne({ _id: setting._id });
+  }
+  console.log(
+    `Copied ${legacy.length} setting(s) into ${organizations.length} organization(s)`
+  );
+};
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  isDeploymentSetting,
+  getSetting,
+  getAllSettings,
+  setSetting,
+  claimBootstrap,
+  migrateSettingsToOrganizations,
+};
@@ -0,0 +1,88 @@
+/**
+ * Outgoing SMS with pluggable providers.
+ *
+ * Every provider exposes `send({ to, text })`. The provider is picked with
+ * SMS_PROVIDER:
+ * - "log" (default outside production): prints messages to the server log
+ * - "webhook": POSTs `{ to, text }` as JSON to SMS_WEBHOOK_URL, for gateways
+ *   or a small relay in front of one
+ *
+ * In production SMS_PROVIDER must be set: messages carry live login codes,
+ * so they are refused rather than printed to the log.
+ */
+
+const createLogProvider = () => ({
+  name: "log",
+  send: async (message) => {
+    console.log(`[sms] To: ${message.to}\n[sms] ${message.text}`);
+    return { accepted: [message.to] };
+  },
+});
+
+// Stands in when production has no provider configured. Sending fails, so
+// no login code ends up in the log.
+const createUnconfiguredProvider = () => ({
+  name: "unconfigured",
+  send: async () => {
+    throw new Error("No SMS provider configured: set SMS_PROVIDER");
+  },
+});
+
+const createWebhookProvider = ({ url, authToken }) => ({
+  name: "webhook",
+  send: async (message) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(authToken && { Authorization: `Bearer ${authToken}` }),
+      },
+      body: JSON.stringify(message),
+    });
+    if (!response.ok) {
+      throw new Error(`SMS webhook responded with ${response.status}`);
+    }
+    return { accepted: [message.to] };
+  },
+});
+
+const createProviderFromEnv = () => {
+  switch (process.env.SMS_PROVIDER) {
+    case "webhook":
+      return createWebhookProvider({
+        url: process.env.SMS_WEBHOOK_URL,
+        authToken: process.env.SMS_WEBHOOK_TOKEN,
+      });
+    case "log":
+      return createLogProvider();
+    default:
+      return process.env.NODE_ENV === "production"
+        ? createUnconfiguredProvider()
+        : createLogProvider();
+  }
+};
+
+let provider = null;
+
+// Provider is created on first use so environment variables are loaded
+const getProvider = () => {
+  if (!provider) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+};
+
+// Replace the active provider, e.g. with a gateway-specific client
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+const sendSms = (message) => getProvider().send(message);
+
+module.exports = {
+  createLogProvider,
+  createWebhookProvider,
+  getProvider,
+  setProvider,
+  sendSms,
+};
@@ -0,0 +1,106 @@
+/**
+ * Spreadsheet exports: streams query results to the response as a CSV or
+ * XLSX download one document at a time, so large exports are never held in
+ * memory
+ */
+const { once } = require("events");
+const { pipeline } = require("stream/promises");
+const { stringify } = require("csv-stringify");
+const ExcelJS = require("exceljs");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Spreadsheet apps run a cell starting with one of these as a formula, so
+// text typed in by users (names, addresses, notes) could run on the
+// treasurer's machine. A leading apostrophe keeps it plain text.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeFormula = (value) =>
+  typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+
+// Columns are { header, value: (doc) => cell, width, date }. `date` columns
+// hold a calendar day rather than a moment in time.
+const formatCsvCell = (column, value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    return column.date ? value.toISOString().slice(0, 10) : value.toISOString();
+  }
+  return escapeFormula(value);
+};
+
+const writeCsv = async (res, columns, rows) => {
+  // The BOM makes Excel open the file as UTF-8, keeping non-English names
+  const stringifier = stringify({
+    bom: true,
+    header: true,
+    columns: columns.map((column) => column.header),
+  });
+  const done = pipeline(stringifier, res);
+
+  try {
+    for await (const doc of rows) {
+      const record = columns.map((column) =>
+        formatCsvCell(column, column.value(doc))
+      );
+      if (!stringifier.write(record)) await once(stringifier, "drain");
+    }
+    stringifier.end();
+  } catch (error) {
+    stringifier.destroy(error);
+  }
+
+  await done;
+};
+
+const writeXlsx = async (res, columns, rows, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((column, index) => ({
+    header: column.header,
+    key: String(index),
+    width: column.width || 15,
+    style: column.date ? { numFmt: "yyyy-mm-dd" } : undefined,
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const doc of rows) {
+    sheet
+      .addRow(columns.map((column) => escapeFormula(column.value(doc) ?? null)))
+      .commit();
+    if (res.writableNeedDrain) await once(res, "drain");
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Send `rows` (an async iterable such as a query cursor) as a download named
+// `<filename>-<date>.<format>`. Once this starts writing, errors can no longer
+// be reported as JSON; callers check res.headersSent.
+const streamSpreadsheet = async (
+  res,
+  { format = "csv", filename, sheetName, columns, rows }
+) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}-${date}.${format}"`
+  );
+
+  if (format === "xlsx") {
+    await writeXlsx(res, columns, rows, sheetName);
+  } else {
+    await writeCsv(res, columns, rows);
+  }
+};
+
+module.exports = { EXPORT_FORMATS, streamSpreadsheet };
@@ -0,0 +1,253 @@
+/**
+ * Token helpers: access/refresh tokens backed by server-side sessions, API
+ * keys and signed one-time codes
+ */
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session.model");
+
+const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = "15m";
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const DEFAULT_TWO_FACTOR_TOKEN_EXPIRES_IN = "5m";
+const TWO_FACTOR_TOKEN_PURPOSE = "2fa";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const HEX_PATTERN = /^[0-9a-f]+$/i;
+
+// Constant-time comparison of two hex digests. Anything that is not hex of
+// the same length, such as a tampered signature, simply does not match.
+const hashesMatch = (a, b) => {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  if (!HEX_PATTERN.test(a) || !HEX_PATTERN.test(b)) return false;
+
+  const bufferA = Buffer.from(a, "hex");
+  const bufferB = Buffer.from(b, "hex");
+  if (bufferA.length !== bufferB.length) return false;
+  return crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const getRefreshTokenExpiry = () => {
+  const days =
+    parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) ||
+    DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Sign a short-lived access token bound to a session
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+// Short-lived token proving the first step of a login (password or SMS code,
+// named by `method`), exchanged for a session once the second factor is
+// checked. It has no session id, so `auth` never accepts it as an access token.
+const signTwoFactorToken = (userId, method) => {
+  return jwt.sign(
+    { id: userId, method, purpose: TWO_FACTOR_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    {
+      expiresIn:
+        process.env.TWO_FACTOR_TOKEN_EXPIRES_IN ||
+        DEFAULT_TWO_FACTOR_TOKEN_EXPIRES_IN,
+    }
+  );
+};
+
+// Returns the user id and first-step method of a valid two-factor token,
+// otherwise null
+const verifyTwoFactorToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === TWO_FACTOR_TOKEN_PURPOSE
+      ? { userId: decoded.id, method: decoded.method || "password" }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null;
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const newSecret = () => crypto.randomBytes(48).toString("hex");
+
+// API keys are "ssk_<keyId>.<secret>"; only the secret's hash is stored. The
+// prefix makes leaked keys easy to spot in logs and code.
+const API_KEY_PREFIX = "ssk_";
+
+const createApiKeySecret = (keyId) => {
+  const secret = newSecret();
+  return {
+    apiKey: `${API_KEY_PREFIX}${buildRefreshToken(keyId, secret)}`,
+    secretHash: hashToken(secret),
+  };
+};
+
+const parseApiKey = (apiKey) => {
+  if (typeof apiKey !== "string" || !apiKey.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+  const parsed = parseRefreshToken(apiKey.slice(API_KEY_PREFIX.length));
+  return parsed && { keyId: parsed.sessionId, secret: parsed.secret };
+};
+
+const signPayload = (payload) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(payload)
+    .digest("hex")
+    .slice(0, 32);
+
+// One-time codes are "<id>.<nonce>.<signature>". The signature lets forged
+// codes be rejected without a database lookup; callers store hashToken(code).
+const createSignedCode = (id) => {
+  const payload = `${id}.${crypto.randomBytes(12).toString("hex")}`;
+  return `${payload}.${signPayload(payload)}`;
+};
+
+// Returns the id embedded in a correctly signed code, otherwise null
+const verifySignedCode = (code) => {
+  if (typeof code !== "string") return null;
+  const parts = code.split(".");
+  if (parts.length !== 3 || !/^[a-f0-9]{24}$/i.test(parts[0])) return null;
+
+  const payload = `${parts[0]}.${parts[1]}`;
+  return hashesMatch(signPayload(payload), parts[2]) ? parts[0] : null;
+};
+
+const describeClient = (req) => ({
+  userAgent: req.get("User-Agent"),
+  ip: req.ip,
+});
+
+// Start a new session for the user and issue its first token pair
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: getRefreshTokenExpiry(),
+    ...describeClient(req),
+  });
+
+  return {
+    session,
+    token: signAccessToken(user._id, session._id),
+    refreshToken: buildRefreshToken(session._id, secret),
+  };
+};
+
+// Exchange a refresh token for a new pair. Returns null if the token is not
+// usable. Presenting an already rotated token revokes the whole session, as
+// it means the token was copied.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId).select(
+    "+refreshTokenHash +previousTokenHash"
+  );
+  if (!session || !session.isActive()) return null;
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (hashesMatch(presentedHash, session.previousTokenHash)) {
+    session.revokedAt = new Date();
+    session.revokedReason = "token-reuse";
+    await session.save();
+    return null;
+  }
+
+  if (!hashesMatch(presentedHash, session.refreshTokenHash)) return null;
+
+  // Swapped only while the presented token is still the current one, so of
+  // two refreshes racing with the same token just one gets a new pair. The
+  // other is treated as reuse.
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        previousTokenHash: presentedHash,
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: new Date(),
+        expiresAt: getRefreshTokenExpiry(),
+        ...describeClient(req),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(session._id, "token-reuse");
+    return null;
+  }
+
+  return {
+    session: rotated,
+    token: signAccessToken(rotated.user, rotated._id),
+    refreshToken: buildRefreshToken(rotated._id, secret),
+  };
+};
+
+// Revoke one session, optionally restricted to a given user
+const revokeSession = async (sessionId, reason = "revoked", userId = null) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  return Session.findOneAndUpdate(
+    filter,
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeAllSessions = async (
+  userId,
+  reason = "logout-all",
+  exceptSessionId = null
+) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  hashesMatch,
+  createSignedCode,
+  verifySignedCode,
+  signAccessToken,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  parseRefreshToken,
+  createApiKeySecret,
+  parseApiKey,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+};
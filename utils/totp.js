@@ -0,0 +1,102 @@
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps,
+ * with SHA-1, 6 digits and a 30 second step
+ */
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const CODE_PATTERN = new RegExp(`^\\d{${DIGITS}}$`);
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = "";
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size recommended for HMAC-SHA1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateHotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(message)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+};
+
+const getTimeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateTotp = (secret, time = Date.now()) =>
+  generateHotp(secret, getTimeStep(time));
+
+// Returns the time step the code belongs to, or null if it does not match.
+// `window` steps either side are accepted to allow for phone clock drift.
+const verifyTotp = (secret, code, window = 1) => {
+  // Only ASCII digits, so the byte lengths compared below are always equal
+  if (typeof code !== "string" || !CODE_PATTERN.test(code)) return null;
+
+  const currentStep = getTimeStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI understood by Google Authenticator, Authy and others; apps
+// usually receive it as a QR code
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(
+    accountName
+  )}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  // Some apps show "+" literally, so encode spaces as %20
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, "%20")}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+};